@@ -0,0 +1,47 @@
+// activitySource.js - The interface the tracker reads activity through
+//
+// An activity source reports what the user is doing right now. The tracker
+// samples it on every tick, so any object with these methods can stand in
+// for the system detector:
+//
+//   getActiveApp()           -> Promise<{ appName }>
+//   getWindowTitle(appName)  -> Promise<string>  ('Unknown Window' if unknown)
+//   getUrl(appName, windowTitle)
+//                            -> Promise<string|null>  (null if not a browser
+//                               or the URL can't be read)
+//   getIdleTime()            -> Promise<number>  (seconds since last input)
+//
+// A source may provide watchFocus(listener) to call listener whenever focus
+// changes, so the tracker samples at once instead of on its next check;
+// watchFocus(null) stops it.
+//
+// A source may provide isSamplingCheap() -> boolean, whether a sample can be
+// taken without starting processes. A source that says no is checked every
+// trackingIntervalSeconds instead of every focusCheckSeconds.
+//
+// A source may provide stop() to release anything it holds open (such as a
+// helper process); the tracker calls it when tracking stops.
+//
+// A source may also provide now() -> Date. The tracker then takes its
+// timestamps from it instead of the wall clock, which is how a replayed
+// timeline produces the same rows on every run.
+//
+// Implementations: CrossPlatformDetector (crossPlatform.js) asks the OS;
+// ReplayActivitySource (replaySource.js) plays back a recorded timeline.
+const ACTIVITY_SOURCE_METHODS = ['getActiveApp', 'getWindowTitle', 'getUrl', 'getIdleTime'];
+
+// Check whether an object implements the ActivitySource interface
+function isActivitySource(source) {
+  return !!source && ACTIVITY_SOURCE_METHODS.every(method => typeof source[method] === 'function');
+}
+
+// Get the current time from a source's clock, or the wall clock
+function getSourceTime(source) {
+  return source && typeof source.now === 'function' ? source.now() : new Date();
+}
+
+module.exports = {
+  ACTIVITY_SOURCE_METHODS,
+  isActivitySource,
+  getSourceTime
+};
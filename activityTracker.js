@@ -1,15 +1,69 @@
 // activityTracker.js - Module to record user activity
+//
+// Focus is checked every few seconds where a sample is cheap (a persistent
+// helper answers it), at once for sources that report focus changes, and
+// otherwise every trackingIntervalSeconds, since each check starts processes.
+// A row is logged only when the focused app, window or
+// URL changes. Each row carries its duration: it is extended on a heartbeat
+// while focus stays put, and closed at the exact moment focus moves on or
+// the user goes AFK. A check that comes later than the pulse window after the
+// previous one (the machine slept, the process stalled) doesn't bridge the
+// gap: the row ends at the last check that saw it. Sleep and screen lock
+// make the user AFK the moment they happen (markSystemAway). Starting and
+// stopping tracking log startup and shutdown markers, so time the tracker
+// wasn't running shows as a gap instead of stretching the last row.
+// Pausing stops tracking with a pause marker instead, and tracking resumes by
+// itself when the pause runs out; the marker keeps the pause across restarts.
+// A row still running at the day rollover is split there, so each row falls
+// within one day.
+// While a meeting window is in front (see meetingRules in classifier.js) the
+// user isn't counted as AFK, since calls leave the keyboard idle. Only the
+// window in front is sampled, so a call left running behind another window
+// doesn't keep an idle user present.
 const path = require('path');
 const os = require('os');
 const { config } = require('./config');
 const { db } = require('./database');
+const { days } = require('./dayBoundary');
 const { projects } = require('./projects');
+const { editorHeartbeats } = require('./editorHeartbeats');
+const { shellActivity } = require('./shellActivity');
+const { sessions } = require('./sessionBuilder');
+const { classifier } = require('./classifier');
 const { detector } = require('./crossPlatform');
+const { isActivitySource, getSourceTime } = require('./activitySource');
 
 // State
 let isAFK = false;
 let trackingInterval = null;
+// Seconds between the checks of the running timer, and whether the source
+// reports focus changes itself
+let checkIntervalSeconds = null;
+let focusWatched = false;
 let cfg = null;
+let source = detector;
+// The row for the window that has focus: { id, start, appName, windowTitle,
+// url, project, category, isProductive, isMeeting, lastSeen, savedAt }
+let currentRow = null;
+// A sample is in progress; another one was asked for meanwhile
+let sampling = false;
+let resampleRequested = false;
+// Why the system is away ('suspend', 'lock-screen'); nothing is sampled
+// until all of them have cleared
+const awayReasons = new Set();
+// When the current AFK period began, and who to tell about long ones
+let awaySince = null;
+let awayReturnHandler = null;
+// Seconds between checks while replaying a timeline, instead of focusCheckSeconds
+let replayIntervalSeconds = null;
+// The current pause ({ since, until }, until null meant "until I resume")
+// and the timer that ends it
+let pause = null;
+let pauseTimer = null;
+let pauseEndHandler = null;
+// How often a timed pause checks whether it has run out. A single timer set
+// for the deadline would fire late after the machine sleeps.
+const PAUSE_CHECK_SECONDS = 15;
 
 // Get the data directory path (for legacy compatibility)
 function getDataDir() {
@@ -28,14 +82,118 @@ function getIdleThreshold() {
   return cfg.afkThresholdSeconds || 180;
 }
 
-// Get tracking interval from config
+// Get tracking interval from config: how often the current row's duration
+// is saved
 function getTrackingInterval() {
   if (!cfg) loadConfig();
   return cfg.trackingIntervalSeconds || 30;
 }
 
-// Log activity to database
+// Get the configured focus check interval, for sources that sample cheaply
+function getFocusCheckSeconds() {
+  if (!cfg) loadConfig();
+  return cfg.focusCheckSeconds || 2;
+}
+
+// Get how often focus is checked: every focusCheckSeconds while the source
+// samples cheaply, otherwise at the tracking interval. A source that reports
+// focus changes is sampled on each change, so it needs no faster checks
+// either.
+function getFocusCheckInterval() {
+  const cheap = typeof source.isSamplingCheap !== 'function' || source.isSamplingCheap();
+  return cheap && !focusWatched ? getFocusCheckSeconds() : getTrackingInterval();
+}
+
+// Get the pulse window: the longest gap between checks that still extends
+// the current row. Live checks get twice their interval, as timers run late.
+function getPulseWindow() {
+  if (!cfg) loadConfig();
+  const checkSeconds = replayIntervalSeconds || 2 * (checkIntervalSeconds || getFocusCheckSeconds());
+  return Math.max(cfg.heartbeatPulseSeconds || 60, checkSeconds);
+}
+
+// Replace the activity source (see activitySource.js)
+function setActivitySource(newSource) {
+  if (!isActivitySource(newSource)) {
+    console.error('Not an activity source:', newSource);
+    return false;
+  }
+  source = newSource;
+  return true;
+}
+
+// Get the activity source in use
+function getActivitySource() {
+  return source;
+}
+
+// Current time according to the activity source
+function getTimestamp() {
+  return getSourceTime(source).toISOString();
+}
+
+// Seconds between two ISO timestamps
+function secondsBetween(start, end) {
+  return (new Date(end) - new Date(start)) / 1000;
+}
+
+// If the day rolled over between the start of the current row and
+// timestamp, end the row at the rollover and carry on in a new one
+function splitCurrentRowAtRollover(timestamp) {
+  const start = new Date(currentRow.start);
+  const rollover = new Date(start.getTime() + days.msUntilNextDay(start));
+  if (new Date(timestamp) <= rollover) return;
+
+  const boundary = rollover.toISOString();
+  db.updateActivityDuration(currentRow.id, secondsBetween(currentRow.start, boundary));
+  const { appName, windowTitle, url, project, category } = currentRow;
+  const id = db.logActivity(boundary, appName, windowTitle, false, null, project, category, 0, url);
+  currentRow = id ? { ...currentRow, id, start: boundary, savedAt: boundary } : null;
+}
+
+// Save the current row's duration up to timestamp, and let the session
+// builder know work carried on
+function extendCurrentRow(timestamp) {
+  if (!currentRow) return;
+
+  splitCurrentRowAtRollover(timestamp);
+  if (!currentRow) return;
+  db.updateActivityDuration(currentRow.id, secondsBetween(currentRow.start, timestamp));
+  sessions.recordActivity(timestamp, currentRow.isProductive, currentRow.project);
+  currentRow.savedAt = timestamp;
+}
+
+// End the current row at timestamp
+function closeCurrentRow(timestamp) {
+  if (!currentRow) return;
+
+  splitCurrentRowAtRollover(timestamp);
+  if (!currentRow) return;
+  db.updateActivityDuration(currentRow.id, secondsBetween(currentRow.start, timestamp));
+  currentRow = null;
+}
+
+// Check focus and idle time once, logging a row if focus moved. Samples
+// asked for while one is running are folded into a single follow-up.
 async function logActivity() {
+  if (sampling) {
+    resampleRequested = true;
+    return;
+  }
+
+  sampling = true;
+  try {
+    do {
+      resampleRequested = false;
+      await sampleActivity();
+    } while (resampleRequested);
+  } finally {
+    sampling = false;
+  }
+}
+
+// Take one sample
+async function sampleActivity() {
   if (!cfg) loadConfig();
 
   // Ensure database is initialized
@@ -48,45 +206,87 @@ async function logActivity() {
     return;
   }
 
+  // Asleep or locked: the AFK start is already logged
+  if (awayReasons.size > 0) return;
+
   try {
     // Check if user is idle
-    const idleTimeSeconds = await detector.getIdleTime();
+    const idleTimeSeconds = await source.getIdleTime();
     const idleThreshold = getIdleThreshold();
 
-    // Handle AFK status changes
-    if (idleTimeSeconds > idleThreshold) {
+    // Handle AFK status changes; a call in front keeps the user present
+    const inMeeting = currentRow && currentRow.isMeeting;
+    if (idleTimeSeconds > idleThreshold && !inMeeting) {
       if (!isAFK) {
         isAFK = true;
-        const timestamp = new Date().toISOString();
+        const timestamp = getTimestamp();
         console.log(`${timestamp}: User went AFK`);
+        closeCurrentRow(timestamp);
         db.logActivity(timestamp, null, null, true, 'start', null);
+        sessions.recordAfkStart(timestamp);
+        awaySince = timestamp;
       }
       return; // Skip logging if user is AFK
     } else if (isAFK) {
       // User returned from being AFK
       isAFK = false;
-      const timestamp = new Date().toISOString();
+      const timestamp = getTimestamp();
       console.log(`${timestamp}: User returned from AFK`);
       db.logActivity(timestamp, null, null, true, 'end', null);
+      reportAwayPeriod(timestamp);
     }
 
     // User is active, log the current application
-    const { appName } = await detector.getActiveApp();
+    const { appName } = await source.getActiveApp();
     let windowTitle = 'Unknown Window';
+    let url = null;
 
     if (appName && !appName.includes('Finder') && !appName.includes('Dock')) {
       try {
-        windowTitle = await detector.getWindowTitle(appName);
+        windowTitle = await source.getWindowTitle(appName);
+        url = await source.getUrl(appName, windowTitle);
       } catch (e) {
         // Silently fail if we can't get window title
       }
     }
 
-    // Detect project from window title
-    const project = projects.detectProject(windowTitle, appName);
+    const timestamp = getTimestamp();
+    const withinPulse = currentRow && secondsBetween(currentRow.lastSeen, timestamp) <= getPulseWindow();
 
-    const timestamp = new Date().toISOString();
-    db.logActivity(timestamp, appName, windowTitle, false, null, project);
+    // Same window as before: only save the duration, on the heartbeat
+    if (withinPulse && currentRow.appName === appName &&
+        currentRow.windowTitle === windowTitle && currentRow.url === url) {
+      currentRow.lastSeen = timestamp;
+      if (secondsBetween(currentRow.savedAt, timestamp) >= getTrackingInterval()) {
+        extendCurrentRow(timestamp);
+      }
+      return;
+    }
+
+    if (currentRow && !withinPulse) {
+      // Nothing was tracked since the previous row was last seen
+      const lastSeen = currentRow.lastSeen;
+      closeCurrentRow(lastSeen);
+      sessions.closeSession(lastSeen);
+    } else {
+      // Focus moved just now
+      closeCurrentRow(timestamp);
+    }
+
+    // Detect project from window title, or the project root an editor
+    // plugin or the shell integration reported
+    const projectRoot = editorHeartbeats.getProjectRoot(windowTitle, timestamp) ||
+      shellActivity.getProjectRoot(appName, timestamp, cfg);
+    const project = projects.detectProject(windowTitle, appName, projectRoot);
+
+    const { isProductive, isMeeting, category } = classifier.classify({ appName, windowTitle, url }, cfg);
+    const id = db.logActivity(timestamp, appName, windowTitle, false, null, project, category, 0, url);
+    if (id) {
+      currentRow = { id, start: timestamp, appName, windowTitle, url, project, category, isProductive, isMeeting, lastSeen: timestamp, savedAt: timestamp };
+    }
+
+    // Feed the session builder so work_sessions stays in step with the log
+    sessions.recordActivity(timestamp, isProductive, project);
 
     console.log(`${timestamp}: App: ${appName}, Window: ${windowTitle}`);
   } catch (error) {
@@ -94,7 +294,59 @@ async function logActivity() {
   }
 }
 
-// Start tracking function
+// Get how long an absence must last before the user is asked about it, in
+// seconds (0 = never ask)
+function getAwayPromptSeconds() {
+  if (!cfg) loadConfig();
+  return (cfg.awayPromptMinutes || 0) * 60;
+}
+
+// Pass an AFK period that just ended to the away handler if it was long
+// enough to ask about
+function reportAwayPeriod(timestamp) {
+  const start = awaySince;
+  awaySince = null;
+  if (!start || !awayReturnHandler) return;
+
+  const seconds = secondsBetween(start, timestamp);
+  const promptSeconds = getAwayPromptSeconds();
+  if (promptSeconds > 0 && seconds >= promptSeconds) {
+    awayReturnHandler({ start, end: timestamp, seconds });
+  }
+}
+
+// Set the function called with { start, end, seconds } when the user comes
+// back from a long absence (see manualEntries.js)
+function setAwayReturnHandler(handler) {
+  awayReturnHandler = handler;
+}
+
+// The system went to sleep or locked its screen (Electron powerMonitor).
+// The user is AFK from this moment, without waiting for the idle threshold.
+function markSystemAway(reason) {
+  awayReasons.add(reason);
+  if (!trackingInterval || isAFK || !db.initialized) return;
+
+  isAFK = true;
+  const timestamp = getTimestamp();
+  console.log(`${timestamp}: User went AFK (${reason})`);
+  closeCurrentRow(timestamp);
+  db.logActivity(timestamp, null, null, true, 'start', null);
+  sessions.recordAfkStart(timestamp);
+  awaySince = timestamp;
+}
+
+// The system woke up or unlocked. The next sample logs the AFK end once the
+// user is actually active again.
+function markSystemBack(reason) {
+  if (!awayReasons.delete(reason)) return;
+  if (trackingInterval && awayReasons.size === 0) {
+    logActivity();
+  }
+}
+
+// Start tracking function. Does nothing while a pause left over from the
+// last run is still going; it resumes tracking when it runs out.
 function startTracking() {
   // Load config
   loadConfig();
@@ -104,35 +356,192 @@ function startTracking() {
     db.init();
   }
 
-  // Only start if not already running
-  if (!trackingInterval) {
-    // Run immediately once
-    logActivity();
+  if (trackingInterval || restorePause()) return false;
 
-    // Then set up interval
-    const intervalSeconds = getTrackingInterval();
-    trackingInterval = setInterval(logActivity, intervalSeconds * 1000);
+  // Close sessions left open by a crash or forced quit; the startup marker
+  // says anything since the last row wasn't tracked
+  if (db.isAvailable() && db.initialized) {
+    sessions.recoverOpenSessions();
+  }
+  beginTracking('startup');
 
-    const idleThreshold = getIdleThreshold();
-    console.log(`Activity tracking started. Checking every ${intervalSeconds} seconds with AFK threshold set to ${idleThreshold} seconds (${idleThreshold / 60} minutes).`);
-    console.log(`Data stored in: ${getDataDir()}`);
+  const idleThreshold = getIdleThreshold();
+  console.log(`Activity tracking started. Checking focus every ${getFocusCheckInterval()} seconds with AFK threshold set to ${idleThreshold} seconds (${idleThreshold / 60} minutes).`);
+  console.log(`Data stored in: ${getDataDir()}`);
 
-    return true;
+  return true;
+}
+
+// Log a startup or resume marker and start checking focus
+function beginTracking(marker) {
+  if (db.isAvailable() && db.initialized) {
+    db.logActivity(getTimestamp(), null, null, true, marker, null);
   }
 
-  return false;
+  // Run immediately once
+  logActivity();
+
+  // Then check focus on an interval, and at once when the source reports
+  // a change
+  focusWatched = typeof source.watchFocus === 'function' && source.watchFocus(() => logActivity()) === true;
+  scheduleChecks();
+}
+
+// (Re)start the focus check timer at the current interval
+function scheduleChecks() {
+  clearInterval(trackingInterval);
+  checkIntervalSeconds = getFocusCheckInterval();
+  trackingInterval = setInterval(checkFocus, checkIntervalSeconds * 1000);
+}
+
+// Timer tick: sample, then follow a change of interval (the detection helper
+// gave up, or started answering)
+async function checkFocus() {
+  await logActivity();
+  if (trackingInterval && getFocusCheckInterval() !== checkIntervalSeconds) {
+    scheduleChecks();
+  }
 }
 
 // Stop tracking function
 function stopTracking() {
+  if (!trackingInterval) return false;
+
+  haltTracking(getTimestamp(), 'shutdown');
+  if (typeof source.stop === 'function') {
+    source.stop();
+  }
+  console.log('Activity tracking stopped.');
+  return true;
+}
+
+// Stop checking focus, closing the current row and session, and log a
+// shutdown or pause marker (with the planned pause length, if any)
+function haltTracking(timestamp, marker, durationSeconds = null) {
+  clearInterval(trackingInterval);
+  trackingInterval = null;
+  focusWatched = false;
+  if (typeof source.watchFocus === 'function') {
+    source.watchFocus(null);
+  }
+
+  closeCurrentRow(timestamp);
+  sessions.closeSession(timestamp);
+  if (db.initialized) {
+    db.logActivity(timestamp, null, null, true, marker, null, null, durationSeconds);
+  }
+}
+
+// Pause tracking until a time (Date or ISO string), or until resumed when
+// until is null. Returns false if tracking isn't running.
+function pauseTracking(until = null) {
+  if (!trackingInterval) return false;
+
+  const since = getTimestamp();
+  const untilTime = until ? new Date(until).toISOString() : null;
+  haltTracking(since, 'pause', untilTime ? secondsBetween(since, untilTime) : null);
+  awaySince = null;
+  startPause(since, untilTime);
+  console.log(`${since}: Tracking paused${untilTime ? ` until ${untilTime}` : ''}`);
+  return true;
+}
+
+// Resume tracking after a pause. Returns false if it wasn't paused.
+function resumeTracking() {
+  if (!pause) return false;
+
+  endPause();
+  loadConfig();
+  beginTracking('resume');
+  console.log(`${getTimestamp()}: Tracking resumed`);
+  return true;
+}
+
+// Carry on a pause the last run left open. Returns whether it's still going;
+// one that ran out while the app was closed just lets tracking start.
+function restorePause() {
+  if (!db.isAvailable() || !db.initialized) return false;
+
+  const marker = db.getLastTrackingMarker();
+  if (!marker || marker.afk_type !== 'pause') return false;
+
+  const until = marker.duration_seconds === null ? null :
+    new Date(new Date(marker.timestamp).getTime() + marker.duration_seconds * 1000).toISOString();
+  if (until && new Date(until) <= new Date(getTimestamp())) return false;
+
+  startPause(marker.timestamp, until);
+  console.log(`Tracking is paused${until ? ` until ${until}` : ''}`);
+  return true;
+}
+
+// Remember a pause and, for a timed one, watch for its deadline
+function startPause(since, until) {
+  pause = { since, until };
+  if (until) {
+    pauseTimer = setInterval(() => {
+      if (new Date(getTimestamp()) >= new Date(until) && resumeTracking() && pauseEndHandler) {
+        pauseEndHandler();
+      }
+    }, PAUSE_CHECK_SECONDS * 1000);
+  }
+}
+
+// Forget the current pause
+function endPause() {
+  clearInterval(pauseTimer);
+  pauseTimer = null;
+  pause = null;
+}
+
+// Set the function called when a timed pause runs out and tracking resumes
+function setPauseEndHandler(handler) {
+  pauseEndHandler = handler;
+}
+
+// Get the current pause as { since, until }, or null when not paused
+function getPause() {
+  return pause ? { ...pause } : null;
+}
+
+// Run the tracker over a whole replay source (replaySource.js) without
+// timers: sample, move the replay clock on by the focus check interval,
+// repeat. Returns the number of samples taken.
+async function replayActivity(replaySource, intervalSeconds = getFocusCheckSeconds()) {
   if (trackingInterval) {
-    clearInterval(trackingInterval);
-    trackingInterval = null;
-    console.log('Activity tracking stopped.');
-    return true;
+    console.error('Cannot replay while tracking is running');
+    return 0;
+  }
+
+  const previousSource = source;
+  if (!setActivitySource(replaySource)) return 0;
+
+  let samples = 0;
+  try {
+    loadConfig();
+    isAFK = false;
+    currentRow = null;
+    replayIntervalSeconds = intervalSeconds;
+
+    while (!replaySource.isFinished()) {
+      await logActivity();
+      samples++;
+      replaySource.advance(intervalSeconds);
+    }
+
+    if (replaySource.getEndTime()) {
+      const end = replaySource.getEndTime().toISOString();
+      closeCurrentRow(end);
+      sessions.closeSession(end);
+    }
+  } finally {
+    source = previousSource;
+    isAFK = false;
+    awaySince = null;
+    currentRow = null;
+    replayIntervalSeconds = null;
   }
 
-  return false;
+  return samples;
 }
 
 // Get log file path (legacy - returns data directory for compatibility)
@@ -148,10 +557,10 @@ function isUserAFK() {
 // Reload configuration
 function reloadConfig() {
   loadConfig();
-  // Restart tracking if running to apply new interval
+  // Restart the timer if running to apply a new interval; tracking itself
+  // carries on, so no shutdown/startup markers are written
   if (trackingInterval) {
-    stopTracking();
-    startTracking();
+    scheduleChecks();
   }
 }
 
@@ -162,5 +571,16 @@ module.exports = {
   getLogFilePath,
   isTracking: () => !!trackingInterval,
   isUserAFK,
-  reloadConfig
+  markSystemAway,
+  markSystemBack,
+  setAwayReturnHandler,
+  reloadConfig,
+  pauseTracking,
+  resumeTracking,
+  getPause,
+  setPauseEndHandler,
+  logActivity,
+  setActivitySource,
+  getActivitySource,
+  replayActivity
 };
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// benchmark.js - Measures what heartbeat merging saves
+//
+// Usage: node benchmark.js [--days <n>]
+//
+// Writes a synthetic activity log the way the tracker did before heartbeat
+// merging (one row per 30-second sample), measures the database size and the
+// time to read and summarise each day, then compacts it and measures again.
+// Everything happens in a temporary directory.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('./config');
+const { db } = require('./database');
+const { days } = require('./dayBoundary');
+
+const SAMPLE_SECONDS = 30;
+const WORKDAY_HOURS = 8;
+const QUERY_RUNS = 5;
+const WINDOWS = [
+  ['VSCode', 'api - index.js'],
+  ['VSCode', 'api - routes.js'],
+  ['Google Chrome', 'Pull Request #42 · github.com'],
+  ['Slack', 'General'],
+  ['Terminal', 'npm test'],
+  ['Google Chrome', 'YouTube']
+];
+
+// Small deterministic PRNG so every run logs the same activity
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+// Log dayCount workdays of per-sample rows; focus moves every 1-20 minutes
+function writeSamples(dayCount) {
+  const random = createRandom(42);
+  const insert = db.db.prepare(`
+    INSERT INTO activity_log (timestamp, app_name, window_title, is_afk, afk_type, project, category)
+    VALUES (?, ?, ?, 0, NULL, 'Uncategorized', NULL)
+  `);
+  const dates = [];
+
+  db.db.transaction(() => {
+    for (let day = 0; day < dayCount; day++) {
+      const date = days.addDays('2024-01-01', day);
+      dates.push(date);
+
+      let time = days.getDayStart(date).getTime() + 9 * 3600 * 1000;
+      const end = time + WORKDAY_HOURS * 3600 * 1000;
+      while (time < end) {
+        const [appName, windowTitle] = WINDOWS[Math.floor(random() * WINDOWS.length)];
+        const samples = 2 + Math.floor(random() * 40);
+        for (let i = 0; i < samples && time < end; i++) {
+          insert.run(new Date(time).toISOString(), appName, windowTitle);
+          time += SAMPLE_SECONDS * 1000;
+        }
+      }
+    }
+  })();
+
+  return dates;
+}
+
+// Median time in milliseconds to read and summarise every date
+function timeQueries(dates) {
+  const runs = [];
+  for (let run = 0; run < QUERY_RUNS; run++) {
+    const start = process.hrtime.bigint();
+    for (const date of dates) {
+      db.getActivityForDate(date);
+      db.calculateWorkTimeForDate(date, null, { useCache: false });
+    }
+    runs.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return runs.sort((a, b) => a - b)[Math.floor(runs.length / 2)];
+}
+
+// Rows, file size and query time of the database as it stands
+function measure(dates) {
+  db.db.exec('VACUUM');
+  db.db.pragma('wal_checkpoint(TRUNCATE)');
+  return {
+    rows: db.db.prepare('SELECT COUNT(*) AS count FROM activity_log').get().count,
+    bytes: fs.statSync(db.dbPath).size,
+    queryMs: timeQueries(dates)
+  };
+}
+
+function main() {
+  const daysIndex = process.argv.indexOf('--days');
+  const dayCount = daysIndex > -1 ? parseInt(process.argv[daysIndex + 1], 10) : 20;
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worktracker-benchmark-'));
+  config.configDir = dataDir;
+  config.configPath = path.join(dataDir, 'config.json');
+  config.config = null;
+  db.dbDir = dataDir;
+  db.dbPath = path.join(dataDir, 'worktracker.db');
+
+  // Keep migration messages out of the report
+  const log = console.log;
+  console.log = () => {};
+  const ready = db.isAvailable() && db.init();
+  console.log = log;
+  if (!ready) {
+    console.error('Database not available');
+    process.exit(1);
+  }
+
+  try {
+    const dates = writeSamples(dayCount);
+    const before = measure(dates);
+    db.compactActivityLog();
+    const after = measure(dates);
+
+    const kilobytes = bytes => `${Math.round(bytes / 1024)} KB`;
+    const saved = (a, b) => `${Math.round((1 - b / a) * 100)}%`;
+    console.log(`${dayCount} workdays of ${WORKDAY_HOURS}h sampled every ${SAMPLE_SECONDS}s\n`);
+    console.log('                 per-sample rows   merged rows   saved');
+    console.log(`Activity rows    ${String(before.rows).padStart(15)}   ${String(after.rows).padStart(11)}   ${saved(before.rows, after.rows)}`);
+    console.log(`Database size    ${kilobytes(before.bytes).padStart(15)}   ${kilobytes(after.bytes).padStart(11)}   ${saved(before.bytes, after.bytes)}`);
+    console.log(`Query time       ${(before.queryMs.toFixed(1) + ' ms').padStart(15)}   ${(after.queryMs.toFixed(1) + ' ms').padStart(11)}   ${saved(before.queryMs, after.queryMs)}`);
+  } finally {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+main();
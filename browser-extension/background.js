@@ -0,0 +1,60 @@
+// background.js - Reports the active tab to the Work Tracker app
+//
+// Whenever the active tab changes, navigates or gets a new title, its URL and
+// title are posted to the tracker's browser bridge (browserBridge.js in the
+// app). The URL is sent without credentials, query string or fragment, and
+// private windows are never reported. If the app isn't running the
+// request fails quietly.
+
+// Must match ingestServer.port in ~/.worktracker/config.json
+const BRIDGE_URL = 'http://127.0.0.1:27191/activity';
+
+// Post a tab's URL and title to the tracker
+async function reportTab(tab) {
+  if (!tab || !tab.active || tab.incognito || !tab.url || !tab.title) return;
+
+  try {
+    await fetch(BRIDGE_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: stripUrl(tab.url), title: tab.title })
+    });
+  } catch (error) {
+    // The tracker isn't running, or the URL can't be parsed
+  }
+}
+
+// Reduce a URL to its origin and path
+function stripUrl(value) {
+  const url = new URL(value);
+  url.username = '';
+  url.password = '';
+  url.search = '';
+  url.hash = '';
+  return url.toString();
+}
+
+// Report the active tab of the focused window
+async function reportActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  reportTab(tab);
+}
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  chrome.tabs.get(tabId).then(reportTab, () => {});
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.title) {
+    reportTab(tab);
+  }
+});
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+    reportActiveTab();
+  }
+});
+
+chrome.runtime.onStartup.addListener(reportActiveTab);
+chrome.runtime.onInstalled.addListener(reportActiveTab);
@@ -0,0 +1,83 @@
+// browserBridge.js - Receives the active tab's URL from the browser extension
+//
+// The OS tools in crossPlatform.js can read a browser's window title but not
+// the address of the tab it shows. The companion extension (browser-extension/)
+// posts { url, title } to the ingest server's /activity path (ingestServer.js)
+// whenever the active tab changes, navigates or retitles.
+//
+// A report is matched to a browser window by its tab title, which browsers
+// put in the window title, so the URL is only used while that tab is the one
+// in front. Only the origin and path are kept: query strings and fragments
+// often hold session tokens, reset links and search terms. Without the
+// extension nothing is reported and getUrl returns null, which leaves
+// classification to the window title.
+const { config } = require('./config');
+
+// Most recent tabs remembered, so switching back to one finds its URL again
+const MAX_REPORTS = 50;
+
+class BrowserBridge {
+  constructor() {
+    // Reports by tab title, oldest first: { url, title, receivedAt }
+    this.reports = new Map();
+  }
+
+  // Forget the reported tabs
+  clear() {
+    this.reports.clear();
+  }
+
+  // Remember a tab report ({ url, title }). Returns false if it's invalid.
+  handleReport(report, receivedAt = new Date()) {
+    if (!report || typeof report.url !== 'string' || typeof report.title !== 'string') return false;
+
+    const title = report.title.trim();
+    const url = this.cleanUrl(report.url);
+    if (!title || !url) return false;
+
+    // Re-insert so the map stays in report order
+    this.reports.delete(title);
+    this.reports.set(title, { url, title, receivedAt: receivedAt.toISOString() });
+    if (this.reports.size > MAX_REPORTS) {
+      this.reports.delete(this.reports.keys().next().value);
+    }
+    return true;
+  }
+
+  // Get the URL of the tab a browser window shows, or null if the app isn't
+  // a browser or no reported tab matches its title
+  getUrl(appName, windowTitle, cfg = config.getAll()) {
+    if (!appName || !windowTitle || this.reports.size === 0) return null;
+
+    const browsers = (cfg.browserApps || []).map(b => b.toLowerCase());
+    if (!browsers.includes(appName.toLowerCase())) return null;
+
+    // Newest first: the same title may have been reported for several tabs
+    const reports = [...this.reports.values()].reverse();
+    const match = reports.find(report => windowTitle.includes(report.title));
+    return match ? match.url : null;
+  }
+
+  // Parse a URL, dropping any username and password, query string and
+  // fragment, or return null if it isn't one
+  cleanUrl(value) {
+    try {
+      const url = new URL(value);
+      url.username = '';
+      url.password = '';
+      url.search = '';
+      url.hash = '';
+      return url.toString();
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Singleton instance
+const browserBridge = new BrowserBridge();
+
+module.exports = {
+  BrowserBridge,
+  browserBridge
+};
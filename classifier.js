@@ -0,0 +1,400 @@
+// classifier.js - Rule-based activity classification
+const { config } = require('./config');
+
+// Rules generated from the productive/distracting app and website lists are
+// evaluated after user-defined rules with the default priority
+const LEGACY_RULE_PRIORITY = -100;
+
+// Activity tiers, from most to least focused. Activity no rule matches is
+// neutral.
+const TIERS = ['productive', 'neutral', 'distracting'];
+const DEFAULT_TIER = 'neutral';
+
+// Joins category names into the path stored on activity_log rows
+const CATEGORY_SEPARATOR = ' > ';
+// Category of meetings, whether detected or entered by hand
+const MEETING_CATEGORY = 'Meetings';
+
+// Rules live in config.classificationRules. Each rule names one or more
+// conditions, all of which must match for the rule to apply:
+//
+//   {
+//     app:   { match: 'exact' | 'glob' | 'regex', pattern: 'Google Chrome' },
+//     title: { match: 'glob', pattern: '*YouTube*' },
+//     url:   { match: 'regex', pattern: '^https://(www\\.)?youtube\\.com/' },
+//     tier: 'productive' | 'neutral' | 'distracting',
+//     priority: 10
+//   }
+//
+// Instead of a tier a rule may give action: 'include' (productive) or
+// 'exclude' (neutral). A rule with withoutUrl: true only applies to activity
+// whose URL isn't known, as a fallback for browsers without the extension
+// (see browserBridge.js). A condition given as a plain string is an exact
+// match. Matching is case-insensitive unless the condition sets
+// caseSensitive: true. Rules are tried from the highest priority down (list
+// order breaks ties) and the first match decides the tier.
+//
+// Separately, config.categories holds a tree of named categories, each with
+// its own list of condition sets ({ app, title, url } as above):
+//
+//   [{ name: 'Work', children: [
+//     { name: 'Coding', rules: [{ app: 'Code' }], children: [
+//       { name: 'Code Review', rules: [{ title: { match: 'glob', pattern: '*Pull Request*' } }] }
+//     ] }
+//   ] }]
+//
+// An activity gets the most specific category any of whose rules match,
+// e.g. 'Work > Coding > Code Review'; children are tried before their
+// parent and siblings in list order.
+//
+// config.meetingRules is a list of condition sets, like a category's rules,
+// for windows that mean a call is in progress (a Zoom meeting window, a Meet
+// tab, a Slack huddle). A meeting is productive and gets the Meetings
+// category whatever the other rules say; the tracker also doesn't count the
+// user as AFK while one is in front.
+class ActivityClassifier {
+  // Classify an activity ({ appName, windowTitle, url })
+  classify(activity, cfg = config.getAll()) {
+    return this.createClassifier(cfg)(activity);
+  }
+
+  // Check whether an activity counts as productive
+  isProductive(activity, cfg = config.getAll()) {
+    return this.classify(activity, cfg).isProductive;
+  }
+
+  // Get the tier of an activity
+  getTier(activity, cfg = config.getAll()) {
+    return this.classify(activity, cfg).tier;
+  }
+
+  // Compile the rules once and return a classify(activity) function,
+  // for classifying many activities against the same configuration
+  createClassifier(cfg = config.getAll()) {
+    const rules = this.compileRules(this.getRules(cfg));
+    const categories = this.compileCategories(cfg.categories);
+    const meetingRules = this.compileConditionSets(cfg.meetingRules);
+
+    return activity => {
+      const meetingRule = meetingRules.find(rule => this.ruleMatches(rule, activity));
+      if (meetingRule) {
+        return {
+          tier: 'productive',
+          isProductive: true,
+          category: MEETING_CATEGORY,
+          isMeeting: true,
+          rule: meetingRule.source
+        };
+      }
+
+      const category = this.matchCategory(categories, activity);
+
+      for (const rule of rules) {
+        if (this.ruleMatches(rule, activity)) {
+          return {
+            tier: rule.tier,
+            isProductive: rule.tier === 'productive',
+            category,
+            isMeeting: false,
+            rule: rule.source
+          };
+        }
+      }
+
+      return { tier: DEFAULT_TIER, isProductive: false, category, isMeeting: false, rule: null };
+    };
+  }
+
+  // Check whether an activity is a meeting
+  isMeeting(activity, cfg = config.getAll()) {
+    return this.classify(activity, cfg).isMeeting;
+  }
+
+  // Get the category path of an activity, or null if it has none
+  getCategory(activity, cfg = config.getAll()) {
+    return this.classify(activity, cfg).category;
+  }
+
+  // Get the ordered rule list: user rules plus rules built from the legacy lists
+  getRules(cfg = config.getAll()) {
+    const rules = (cfg.classificationRules || []).map(rule => ({ priority: 0, ...rule }));
+
+    rules.push(...this.getListRules(cfg.productiveApps, cfg.productiveWebsites, cfg.browserApps, 'productive'));
+    rules.push(...this.getListRules(cfg.distractingApps, cfg.distractingWebsites, cfg.browserApps, 'distracting'));
+
+    return rules;
+  }
+
+  // Build rules assigning a tier to the apps and websites in the given lists
+  getListRules(apps = [], websites = [], browsers = [], tier) {
+    const rules = [];
+
+    for (const app of apps || []) {
+      rules.push({
+        app: { match: 'exact', pattern: app },
+        tier,
+        priority: LEGACY_RULE_PRIORITY
+      });
+    }
+
+    // Websites only count inside a browser. A domain is matched against the
+    // URL, falling back to looking for it in the window title when the URL
+    // isn't known; a plain site name ('GitHub') is only looked for in titles.
+    if (browsers && browsers.length > 0) {
+      const browserPattern = `^(${browsers.map(b => this.escapeRegExp(b)).join('|')})$`;
+
+      for (const site of websites || []) {
+        const urlPattern = this.getSiteUrlPattern(site);
+        if (urlPattern) {
+          rules.push({
+            app: { match: 'regex', pattern: browserPattern },
+            url: { match: 'regex', pattern: urlPattern },
+            tier,
+            priority: LEGACY_RULE_PRIORITY
+          });
+        }
+
+        rules.push({
+          app: { match: 'regex', pattern: browserPattern },
+          title: { match: 'glob', pattern: `*${this.escapeGlob(site)}*` },
+          ...(urlPattern ? { withoutUrl: true } : {}),
+          tier,
+          priority: LEGACY_RULE_PRIORITY
+        });
+      }
+    }
+
+    return rules;
+  }
+
+  // Build a URL pattern for a website list entry that names a domain,
+  // optionally with a port and path ('github.com', 'localhost:3000',
+  // 'github.com/my-org'), or return null for a plain site name. The domain
+  // matches itself and its subdomains, and a path itself and what's below it.
+  getSiteUrlPattern(site) {
+    const match = String(site).trim().match(/^((?:[a-z0-9-]+\.)+[a-z0-9-]+|localhost)(:\d+)?(\/[^?#]*)?$/i);
+    if (!match) return null;
+
+    const [, host, port, path] = match;
+    const portPattern = port ? this.escapeRegExp(port) : '(:\\d+)?';
+    const pathPattern = path ? this.escapeRegExp(path.replace(/\/+$/, '')) : '';
+    return `^[a-z][a-z0-9+.-]*://([^/?#]*@)?([^/?#]*\\.)?${this.escapeRegExp(host)}${portPattern}${pathPattern}([/?#]|$)`;
+  }
+
+  // Resolve the tier a rule assigns, or null if it names none
+  getRuleTier(rule) {
+    if (rule.tier !== undefined) {
+      return TIERS.includes(rule.tier) ? rule.tier : null;
+    }
+    if (rule.action === 'include') return 'productive';
+    if (rule.action === 'exclude') return 'neutral';
+    return null;
+  }
+
+  // Fingerprint of everything that affects classification, for cache keys
+  getRulesFingerprint(cfg = config.getAll()) {
+    return JSON.stringify({
+      rules: this.getRules(cfg),
+      categories: cfg.categories || [],
+      meetingRules: cfg.meetingRules || []
+    });
+  }
+
+  // Compile a rule list into evaluation order, dropping invalid rules
+  compileRules(rules) {
+    return rules
+      .map((rule, index) => this.compileRule(rule, index))
+      .filter(Boolean)
+      .sort((a, b) => (b.priority - a.priority) || (a.index - b.index));
+  }
+
+  // Compile one rule, or return null if it is invalid
+  compileRule(rule, index) {
+    const tier = this.getRuleTier(rule);
+    if (!tier) {
+      console.warn('Ignoring classification rule with invalid tier or action:', rule);
+      return null;
+    }
+
+    const conditions = this.compileConditions(rule);
+    if (!conditions) return null;
+
+    return {
+      source: rule,
+      tier,
+      priority: Number(rule.priority) || 0,
+      index,
+      conditions,
+      withoutUrl: !!rule.withoutUrl
+    };
+  }
+
+  // Compile a rule's app/title/url conditions, or return null if they are
+  // missing or invalid
+  compileConditions(rule) {
+    const conditions = {};
+    for (const field of ['app', 'title', 'url']) {
+      if (rule[field] === undefined || rule[field] === null) continue;
+
+      const matcher = this.compileMatcher(rule[field]);
+      if (!matcher) {
+        console.warn(`Ignoring classification rule with invalid ${field} condition:`, rule);
+        return null;
+      }
+      conditions[field] = matcher;
+    }
+
+    if (Object.keys(conditions).length === 0) {
+      console.warn('Ignoring classification rule without conditions:', rule);
+      return null;
+    }
+
+    return conditions;
+  }
+
+  // Compile the category tree, dropping unnamed nodes and invalid rules
+  compileCategories(nodes) {
+    if (!Array.isArray(nodes)) return [];
+
+    return nodes
+      .filter(node => node && node.name)
+      .map(node => ({
+        // The separator can't appear inside a name or paths become ambiguous
+        name: String(node.name).split(CATEGORY_SEPARATOR.trim()).map(part => part.trim()).join(' - '),
+        rules: this.compileConditionSets(node.rules),
+        children: this.compileCategories(node.children)
+      }));
+  }
+
+  // Compile a list of condition sets ({ app, title, url, withoutUrl }),
+  // dropping invalid ones
+  compileConditionSets(rules) {
+    if (!Array.isArray(rules)) return [];
+
+    return rules
+      .map(rule => ({ source: rule, conditions: this.compileConditions(rule || {}), withoutUrl: !!(rule && rule.withoutUrl) }))
+      .filter(rule => rule.conditions);
+  }
+
+  // List every category path in the tree, parents before their children
+  getCategoryPaths(cfg = config.getAll()) {
+    const paths = [];
+    const walk = (nodes, parents) => {
+      for (const node of nodes) {
+        const path = [...parents, node.name];
+        paths.push(path.join(CATEGORY_SEPARATOR));
+        walk(node.children, path);
+      }
+    };
+
+    walk(this.compileCategories(cfg.categories), []);
+    return paths;
+  }
+
+  // Find the most specific category matching an activity, as a path string
+  matchCategory(nodes, activity, parents = []) {
+    for (const node of nodes) {
+      const path = [...parents, node.name];
+
+      const childMatch = this.matchCategory(node.children, activity, path);
+      if (childMatch) return childMatch;
+
+      if (node.rules.some(rule => this.ruleMatches(rule, activity))) {
+        return path.join(CATEGORY_SEPARATOR);
+      }
+    }
+
+    return null;
+  }
+
+  // Compile a condition into a predicate over a string
+  compileMatcher(condition) {
+    const spec = typeof condition === 'string' ? { match: 'exact', pattern: condition } : condition;
+    if (!spec || typeof spec.pattern !== 'string') return null;
+
+    const flags = spec.caseSensitive ? '' : 'i';
+
+    try {
+      switch (spec.match || 'exact') {
+        case 'exact': {
+          const pattern = spec.caseSensitive ? spec.pattern : spec.pattern.toLowerCase();
+          return value => (spec.caseSensitive ? value : value.toLowerCase()) === pattern;
+        }
+        case 'glob': {
+          const regex = this.globToRegExp(spec.pattern, flags);
+          return value => regex.test(value);
+        }
+        case 'regex': {
+          const regex = new RegExp(spec.pattern, flags);
+          return value => regex.test(value);
+        }
+        default:
+          return null;
+      }
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Check a compiled rule against an activity
+  ruleMatches(rule, activity) {
+    if (rule.withoutUrl && activity.url) return false;
+
+    // URLs match on origin and path only, however they were recorded
+    const values = {
+      app: activity.appName,
+      title: activity.windowTitle,
+      url: activity.url && String(activity.url).replace(/[?#].*$/s, '')
+    };
+
+    for (const [field, matches] of Object.entries(rule.conditions)) {
+      const value = values[field];
+      if (value === null || value === undefined || !matches(String(value))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // Convert a glob (* and ?) into an anchored regular expression
+  globToRegExp(glob, flags = 'i') {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === '\\' && i + 1 < glob.length) {
+        source += this.escapeRegExp(glob[++i]);
+      } else if (char === '*') {
+        source += '.*';
+      } else if (char === '?') {
+        source += '.';
+      } else {
+        source += this.escapeRegExp(char);
+      }
+    }
+    return new RegExp(`^${source}$`, flags);
+  }
+
+  // Escape regular expression metacharacters
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Escape glob wildcards so a literal string matches itself
+  escapeGlob(text) {
+    return text.replace(/[\\*?]/g, '\\$&');
+  }
+}
+
+// Singleton instance
+const activityClassifier = new ActivityClassifier();
+
+module.exports = {
+  ActivityClassifier,
+  classifier: activityClassifier,
+  LEGACY_RULE_PRIORITY,
+  TIERS,
+  DEFAULT_TIER,
+  CATEGORY_SEPARATOR,
+  MEETING_CATEGORY
+};
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// compact.js - One-time compaction of an existing activity log
+//
+// Usage: node compact.js [--data-dir <dir>] [--pulse <seconds>]
+//
+// Databases written before heartbeat merging hold a row for every sample,
+// even when nothing changed. This merges runs of identical rows (see
+// WorkTrackerDB.compactActivityLog), then vacuums the file to hand the space
+// back. A backup is taken first. Quit Work Tracker before running it.
+const fs = require('fs');
+const path = require('path');
+const { db } = require('./database');
+
+// Parse command line arguments
+function parseArgs(argv) {
+  const args = { dataDir: null, pulse: 60 };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--data-dir') {
+      args.dataDir = argv[++i];
+    } else if (argv[i] === '--pulse') {
+      args.pulse = parseInt(argv[++i], 10);
+    }
+  }
+
+  return args;
+}
+
+// Size of the database file in bytes
+function getFileSize(filePath) {
+  return fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!(args.pulse >= 0)) {
+    console.error('Usage: node compact.js [--data-dir <dir>] [--pulse <seconds>]');
+    process.exit(1);
+  }
+
+  if (args.dataDir) {
+    db.dbDir = args.dataDir;
+    db.dbPath = path.join(args.dataDir, 'worktracker.db');
+  }
+  if (!fs.existsSync(db.dbPath)) {
+    console.error(`No database at ${db.dbPath}`);
+    process.exit(1);
+  }
+  if (!db.isAvailable() || !db.init()) {
+    console.error('Database not available');
+    process.exit(1);
+  }
+
+  db.backupDatabase(db.getSchemaVersion());
+  db.db.pragma('wal_checkpoint(TRUNCATE)');
+  const sizeBefore = getFileSize(db.dbPath);
+
+  const result = db.compactActivityLog(args.pulse);
+  if (!result) {
+    process.exit(1);
+  }
+  db.db.exec('VACUUM');
+  // Write the vacuumed pages back from the WAL so the file actually shrinks
+  db.db.pragma('wal_checkpoint(TRUNCATE)');
+  const sizeAfter = getFileSize(db.dbPath);
+  db.close();
+
+  const megabytes = bytes => (bytes / 1024 / 1024).toFixed(1);
+  console.log(`Activity rows: ${result.rowsBefore} -> ${result.rowsAfter}`);
+  console.log(`Database size: ${megabytes(sizeBefore)} MB -> ${megabytes(sizeAfter)} MB`);
+}
+
+main();
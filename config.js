@@ -3,8 +3,15 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
+// Version of the config file format; older files are migrated on load
+const CONFIG_VERSION = 2;
+// Priority of the rules built from the app and website lists (see
+// classifier.js LEGACY_RULE_PRIORITY)
+const LIST_RULE_PRIORITY = -100;
+
 // Default configuration
 const DEFAULT_CONFIG = {
+  configVersion: CONFIG_VERSION,
   productiveApps: [
     'Sublime Text',
     'sublime_text',
@@ -47,13 +54,141 @@ const DEFAULT_CONFIG = {
     'figma.com',
     'miro.com'
   ],
+  // Apps and websites classified as distracting (everything not productive
+  // or distracting is neutral)
+  distractingApps: [],
+  distractingWebsites: [
+    'YouTube',
+    'Reddit',
+    'Facebook',
+    'Instagram',
+    'Netflix',
+    'Twitch'
+  ],
+  // Apps and sites dismissed from the unclassified activity triage list
+  triageIgnored: [],
+  // How much an hour in each tier counts toward the weighted focus time
+  tierWeights: {
+    productive: 1,
+    neutral: 0.5,
+    distracting: 0
+  },
+  // Non-productive stretches shorter than this (in seconds) don't split a
+  // work session
+  interruptionGraceSeconds: 60,
+  // Whether those short interruptions count toward work time
+  countInterruptionTime: true,
+  // Ordered classification rules, see classifier.js for the format
+  classificationRules: [],
+  // Category tree for breaking down where time goes, see classifier.js
+  categories: [
+    {
+      name: 'Work',
+      children: [
+        {
+          name: 'Coding',
+          rules: [
+            { app: { match: 'regex', pattern: '^(VSCode|Visual Studio Code|Code|Cursor|Xcode|IntelliJ IDEA|WebStorm|PyCharm|Android Studio|Sublime Text|sublime_text|Vim|Emacs|Terminal|iTerm2)$' } }
+          ],
+          children: [
+            {
+              name: 'Code Review',
+              rules: [
+                { title: { match: 'glob', pattern: '*Pull Request*' } },
+                { title: { match: 'glob', pattern: '*Merge Request*' } }
+              ]
+            }
+          ]
+        },
+        {
+          name: 'Docs',
+          rules: [
+            { title: { match: 'glob', pattern: '*docs.google.com*' } },
+            { title: { match: 'glob', pattern: '*notion.so*' } },
+            { title: { match: 'glob', pattern: '*Confluence*' } }
+          ]
+        },
+        {
+          name: 'Communication',
+          rules: [
+            { app: { match: 'regex', pattern: '^(Slack|Microsoft Teams|Discord|Mail|Outlook|Microsoft Outlook|zoom\\.us|Zoom)$' } }
+          ]
+        }
+      ]
+    }
+  ],
+  // Windows that mean a call is in progress, using the same app/title/url
+  // conditions as categories: counted as meetings, and never AFK while one is
+  // in front
+  meetingRules: [
+    // Zoom's meeting window, not its home screen
+    { app: { match: 'regex', pattern: '^(zoom\\.us|Zoom|Zoom Workplace)$' }, title: { match: 'regex', pattern: '^Zoom (Meeting|Webinar)' } },
+    { app: { match: 'regex', pattern: '^(Microsoft Teams|Microsoft Teams \\(work or school\\)|ms-teams|Teams)$' }, title: { match: 'regex', pattern: '\\b(Meeting|Call)\\b' } },
+    { url: { match: 'regex', pattern: '^https://meet\\.google\\.com/[a-z]{3}-[a-z]{4}-[a-z]{3}' } },
+    { title: { match: 'regex', pattern: '^Meet - [a-z]{3}-[a-z]{4}-[a-z]{3}\\b' }, withoutUrl: true },
+    { app: 'Slack', title: { match: 'regex', pattern: '\\bHuddle\\b' } }
+  ],
+  // App names treated as browsers when matching productive websites
+  browserApps: [
+    'Safari',
+    'Safari Technology Preview',
+    'Google Chrome',
+    'Google Chrome Canary',
+    'chrome',
+    'Chromium',
+    'Firefox',
+    'Firefox Developer Edition',
+    'Firefox Nightly',
+    'Microsoft Edge',
+    'msedge',
+    'Brave Browser',
+    'brave',
+    'Arc',
+    'Vivaldi',
+    'vivaldi-bin',
+    'Opera',
+    'Orion',
+    'Zen Browser',
+    'zen',
+    'LibreWolf',
+    'Waterfox'
+  ],
+  // App names treated as terminals, whose project comes from the shell
+  // integration's working directory
+  terminalApps: [
+    'Terminal',
+    'iTerm2',
+    'Warp',
+    'Alacritty',
+    'kitty',
+    'WezTerm',
+    'Ghostty',
+    'Hyper',
+    'gnome-terminal',
+    'gnome-terminal-server',
+    'konsole',
+    'xterm',
+    'WindowsTerminal',
+    'Windows Terminal'
+  ],
+  // Local server the browser extension, editor plugins and shell hooks report to
+  ingestServer: {
+    enabled: true,
+    port: 27191
+  },
   dailyGoalMinutes: 480, // 8 hours
+  dayStartHour: 0, // Local hour at which a new tracking day begins (e.g. 4 for 4am)
   breakReminderMinutes: 60, // Remind after 60 minutes of continuous work
   afkThresholdSeconds: 180, // 3 minutes
-  trackingIntervalSeconds: 30,
+  awayPromptMinutes: 15, // Ask what the time was after an absence this long (0 = never)
+  trackingIntervalSeconds: 30, // How often the duration of the current activity is saved
+  focusCheckSeconds: 2, // How often to check which window has focus, where a check starts no processes
+  heartbeatPulseSeconds: 60, // Longest gap between checks that still extends the same activity row
   projectKeywords: {
     // Example: "ProjectA": ["projecta", "client-a", "proj-a"]
   },
+  // Local repositories whose commits are linked to work sessions
+  gitRepositories: [],
   notifications: {
     breakReminders: true,
     dailySummary: true,
@@ -88,8 +223,12 @@ class Config {
       if (fs.existsSync(this.configPath)) {
         const fileContent = fs.readFileSync(this.configPath, 'utf8');
         const loadedConfig = JSON.parse(fileContent);
+        const migrated = this.migrate(loadedConfig);
         // Merge with defaults to ensure all fields exist
-        this.config = this.mergeWithDefaults(loadedConfig);
+        this.config = this.mergeWithDefaults(migrated);
+        if (migrated !== loadedConfig) {
+          this.save();
+        }
       } else {
         // No config file exists, use defaults and save them
         this.config = { ...DEFAULT_CONFIG };
@@ -103,6 +242,31 @@ class Config {
     return this.config;
   }
 
+  // Bring a config file written by an older version up to date, returning
+  // the same object if it already is
+  migrate(loaded) {
+    if ((loaded.configVersion || 1) >= CONFIG_VERSION) return loaded;
+
+    const migrated = { ...loaded, configVersion: CONFIG_VERSION };
+
+    // Version 1 matched productiveApps entries anywhere in the app name
+    // ("Code" matched "Visual Studio Code"); the list now matches whole names.
+    // Keep what the user had by turning the entries into equivalent rules.
+    if (Array.isArray(loaded.productiveApps)) {
+      migrated.classificationRules = [
+        ...(loaded.classificationRules || []),
+        ...loaded.productiveApps.map(app => ({
+          app: { match: 'glob', pattern: `*${String(app).replace(/[\\*?]/g, '\\$&')}*`, caseSensitive: true },
+          tier: 'productive',
+          priority: LIST_RULE_PRIORITY
+        }))
+      ];
+      migrated.productiveApps = [];
+    }
+
+    return migrated;
+  }
+
   // Deep merge loaded config with defaults
   mergeWithDefaults(loaded) {
     const merged = { ...DEFAULT_CONFIG };
@@ -276,6 +440,46 @@ class Config {
     return true;
   }
 
+  // Add a distracting app
+  addDistractingApp(appName) {
+    if (!this.config) {
+      this.load();
+    }
+
+    if (!this.config.distractingApps.includes(appName)) {
+      this.config.distractingApps.push(appName);
+      return this.save();
+    }
+    return true;
+  }
+
+  // Add a distracting website
+  addDistractingWebsite(website) {
+    if (!this.config) {
+      this.load();
+    }
+
+    if (!this.config.distractingWebsites.includes(website)) {
+      this.config.distractingWebsites.push(website);
+      return this.save();
+    }
+    return true;
+  }
+
+  // Hide an app or site ('app' or 'site') from the triage list
+  addTriageIgnore(type, value) {
+    if (!this.config) {
+      this.load();
+    }
+
+    const ignored = this.config.triageIgnored || [];
+    if (!ignored.some(entry => entry.type === type && entry.value === value)) {
+      this.config.triageIgnored = [...ignored, { type, value }];
+      return this.save();
+    }
+    return true;
+  }
+
   // Add or update a project's keywords
   setProjectKeywords(projectName, keywords) {
     if (!this.config) {
@@ -1,10 +1,103 @@
 // crossPlatform.js - Cross-platform activity detection
-const { exec } = require('child_process');
+//
+// The system ActivitySource (see activitySource.js): asks the OS through
+// osascript or PowerShell. On Linux the backend follows the session: the X11
+// tools (xdotool, wmctrl, xprop, xprintidle), or on Wayland the compositor's
+// own interface (sway IPC, a GNOME Shell extension over D-Bus, KWin
+// scripting) with idle time from the ext-idle-notify protocol.
+//
+// Where a persistent helper exists (detectionHelper.js) samples come from it,
+// and the commands below are the fallback when it can't run.
+const { exec, spawn } = require('child_process');
+const fs = require('fs');
 const os = require('os');
+const path = require('path');
+const { createDetectionHelper, KWIN_MARKER } = require('./detectionHelper');
+const { browserBridge } = require('./browserBridge');
+
+// A helper sample, or the window a Wayland compositor reported, answers every
+// query made within this long, so the idle, app and title lookups of one tick
+// share a single round trip
+const SAMPLE_MAX_AGE_MS = 1000;
+
+// Returned when the focused window can't be read
+const UNKNOWN_WINDOW = { appName: 'Unknown', title: 'Unknown Window' };
+
+// D-Bus endpoint of the "Focused Window D-Bus" GNOME Shell extension
+const GNOME_FOCUSED_WINDOW = {
+  dest: 'org.gnome.Shell',
+  path: '/org/gnome/shell/extensions/FocusedWindow',
+  method: 'org.gnome.shell.extensions.FocusedWindow.Get'
+};
+
+// Watches the ext-idle-notify protocol through swayidle, which reports the
+// moment input stops and resumes. Idle time is measured from the former.
+class IdleNotifyWatcher {
+  constructor() {
+    this.process = null;
+    this.idleSince = null;
+    this.failed = false;
+  }
+
+  // Start swayidle if it isn't running. Returns false if it can't run.
+  start() {
+    if (this.process) return true;
+    if (this.failed) return false;
+
+    // Fire after one second without input and again on the next input
+    this.process = spawn('swayidle', ['-w', 'timeout', '1', 'echo idle', 'resume', 'echo active'], {
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+    this.idleSince = null;
+
+    this.process.stdout.on('data', (data) => {
+      for (const line of data.toString().split('\n')) {
+        if (line.trim() === 'idle') {
+          this.idleSince = Date.now() - 1000;
+        } else if (line.trim() === 'active') {
+          this.idleSince = null;
+        }
+      }
+    });
+    this.process.on('error', () => {
+      // swayidle isn't installed
+      this.failed = true;
+      this.process = null;
+    });
+    this.process.on('exit', () => {
+      // Started again on the next idle check
+      this.process = null;
+    });
+
+    return true;
+  }
+
+  // Seconds since the last input
+  getIdleTime() {
+    return this.idleSince ? (Date.now() - this.idleSince) / 1000 : 0;
+  }
+
+  // Stop swayidle
+  stop() {
+    if (this.process) {
+      this.process.kill();
+      this.process = null;
+    }
+    this.idleSince = null;
+  }
+}
 
 class CrossPlatformDetector {
   constructor() {
     this.platform = process.platform;
+    this.env = process.env;
+    this.idleWatcher = new IdleNotifyWatcher();
+    this.kwinScriptCount = 0;
+    this.warnedIdle = false;
+    this.useHelper = true;
+    this.helper = undefined;
+    this.helperSample = null;
+    this.waylandWindow = null;
   }
 
   // Get the current platform
@@ -12,8 +105,66 @@ class CrossPlatformDetector {
     return this.platform;
   }
 
+  // Get the persistent helper for this platform, created on first use, or
+  // null if there is none
+  getHelper() {
+    if (this.helper === undefined) {
+      const backend = this.platform === 'linux' ? this.getLinuxBackend() : null;
+      this.helper = createDetectionHelper(this.platform, backend);
+    }
+    return this.helper;
+  }
+
+  // Get a sample from the helper, or null to fall back to running commands
+  async getHelperSample() {
+    if (!this.useHelper) return null;
+
+    if (this.helperSample && Date.now() - this.helperSample.time < SAMPLE_MAX_AGE_MS) {
+      return this.helperSample;
+    }
+
+    const helper = this.getHelper();
+    if (!helper) return null;
+
+    try {
+      const sample = await helper.sample();
+      this.helperSample = sample ? { ...sample, time: Date.now() } : null;
+    } catch (error) {
+      this.helperSample = null;
+    }
+    return this.helperSample;
+  }
+
+  // Whether a sample is answered without starting processes: a helper that
+  // reports the window and idle time (macOS, Windows) is running. The focus
+  // listeners (X11, KDE) answer the window from memory, but idle time still
+  // takes a command per sample; they report focus changes instead.
+  isSamplingCheap() {
+    const helper = this.useHelper ? this.getHelper() : null;
+    return !!helper && !helper.disabled && !('onChange' in helper);
+  }
+
+  // Call listener whenever focus changes, where the helper can tell (the X11
+  // and KDE listeners); null stops it. Returns whether changes will be reported.
+  watchFocus(listener) {
+    const helper = this.useHelper ? this.getHelper() : null;
+    if (!helper || !('onChange' in helper)) return false;
+
+    helper.onChange = listener && (() => {
+      // The cached sample is out of date now
+      this.helperSample = null;
+      listener();
+    });
+    return true;
+  }
+
   // Get the currently active application
-  getActiveApp() {
+  async getActiveApp() {
+    const sample = await this.getHelperSample();
+    if (sample && sample.appName) {
+      return { appName: sample.appName };
+    }
+
     switch (this.platform) {
       case 'darwin':
         return this.getActiveAppMacOS();
@@ -27,7 +178,12 @@ class CrossPlatformDetector {
   }
 
   // Get the window title of the active application
-  getWindowTitle(appName) {
+  async getWindowTitle(appName) {
+    const sample = await this.getHelperSample();
+    if (sample && sample.appName) {
+      return sample.title || 'Unknown Window';
+    }
+
     switch (this.platform) {
       case 'darwin':
         return this.getWindowTitleMacOS(appName);
@@ -40,8 +196,20 @@ class CrossPlatformDetector {
     }
   }
 
+  // Get the URL shown in the active browser. The OS tools used here can't
+  // read it, so it comes from the browser extension (browserBridge.js), or
+  // is null without one.
+  getUrl(appName, windowTitle) {
+    return Promise.resolve(browserBridge.getUrl(appName, windowTitle));
+  }
+
   // Get system idle time in seconds
-  getIdleTime() {
+  async getIdleTime() {
+    const sample = await this.getHelperSample();
+    if (sample && typeof sample.idleSeconds === 'number') {
+      return sample.idleSeconds;
+    }
+
     switch (this.platform) {
       case 'darwin':
         return this.getIdleTimeMacOS();
@@ -223,7 +391,51 @@ class CrossPlatformDetector {
 
   // ============ Linux Implementation ============
 
+  // Pick the Linux backend from the session environment: 'x11', 'sway',
+  // 'gnome', 'kde', or 'wayland' for any other Wayland compositor
+  getLinuxBackend() {
+    const sessionType = (this.env.XDG_SESSION_TYPE || '').toLowerCase();
+    const isWayland = sessionType === 'wayland' || (!sessionType && !!this.env.WAYLAND_DISPLAY);
+    if (!isWayland) return 'x11';
+
+    // e.g. "ubuntu:GNOME" or "KDE"
+    const desktops = (this.env.XDG_CURRENT_DESKTOP || '').toLowerCase().split(':');
+    if (this.env.SWAYSOCK || desktops.includes('sway')) return 'sway';
+    if (desktops.includes('gnome')) return 'gnome';
+    if (desktops.includes('kde')) return 'kde';
+    return 'wayland';
+  }
+
   getActiveAppLinux() {
+    const backend = this.getLinuxBackend();
+    if (backend === 'x11') {
+      return this.getActiveAppX11();
+    }
+    return this.getFocusedWindowWayland(backend).then(window => ({ appName: window.appName }));
+  }
+
+  getWindowTitleLinux() {
+    const backend = this.getLinuxBackend();
+    if (backend === 'x11') {
+      return this.getWindowTitleX11();
+    }
+    return this.getFocusedWindowWayland(backend).then(window => window.title);
+  }
+
+  getIdleTimeLinux() {
+    switch (this.getLinuxBackend()) {
+      case 'x11':
+        return this.getIdleTimeX11();
+      case 'gnome':
+        return this.getIdleTimeGnome();
+      default:
+        return this.getIdleTimeIdleNotify();
+    }
+  }
+
+  // ============ Linux: X11 ============
+
+  getActiveAppX11() {
     return new Promise((resolve, reject) => {
       // Try xdotool first (most common)
       exec('xdotool getactivewindow getwindowname 2>/dev/null', (error, stdout, stderr) => {
@@ -255,7 +467,7 @@ class CrossPlatformDetector {
     });
   }
 
-  getWindowTitleLinux() {
+  getWindowTitleX11() {
     return new Promise((resolve, reject) => {
       // Try xdotool first
       exec('xdotool getactivewindow getwindowname 2>/dev/null', (error, stdout, stderr) => {
@@ -286,7 +498,7 @@ class CrossPlatformDetector {
     });
   }
 
-  getIdleTimeLinux() {
+  getIdleTimeX11() {
     return new Promise((resolve, reject) => {
       // Try xprintidle first (needs to be installed)
       exec('xprintidle 2>/dev/null', (error, stdout, stderr) => {
@@ -316,8 +528,222 @@ class CrossPlatformDetector {
     });
   }
 
+  // ============ Linux: Wayland ============
+
+  // Get the focused window's { appName, title } from the compositor. The app
+  // and title lookups of one tick share a single query.
+  getFocusedWindowWayland(backend) {
+    if (this.waylandWindow && Date.now() - this.waylandWindow.time < SAMPLE_MAX_AGE_MS) {
+      return this.waylandWindow.query;
+    }
+
+    const query = this.queryFocusedWindowWayland(backend);
+    this.waylandWindow = { query, time: Date.now() };
+    return query;
+  }
+
+  // Ask the compositor for the focused window
+  queryFocusedWindowWayland(backend) {
+    let query;
+    switch (backend) {
+      case 'sway':
+        query = this.getFocusedWindowSway();
+        break;
+      case 'gnome':
+        query = this.getFocusedWindowGnome();
+        break;
+      case 'kde':
+        query = this.getFocusedWindowKde();
+        break;
+      default:
+        // Other compositors expose no focused window to clients
+        return Promise.resolve({ ...UNKNOWN_WINDOW });
+    }
+
+    return query
+      .then(window => window || { ...UNKNOWN_WINDOW })
+      .catch(() => ({ ...UNKNOWN_WINDOW }));
+  }
+
+  // sway: the focused node of the IPC layout tree
+  getFocusedWindowSway() {
+    return this.runCommand('swaymsg -t get_tree', { maxBuffer: 16 * 1024 * 1024 })
+      .then(stdout => this.parseSwayTree(JSON.parse(stdout)));
+  }
+
+  // Find the focused window in a sway layout tree
+  parseSwayTree(node) {
+    if (!node) return null;
+
+    if (node.focused && (node.type === 'con' || node.type === 'floating_con')) {
+      const appName = node.app_id || (node.window_properties && node.window_properties.class);
+      return {
+        appName: appName || UNKNOWN_WINDOW.appName,
+        title: node.name || UNKNOWN_WINDOW.title
+      };
+    }
+
+    for (const child of [...(node.nodes || []), ...(node.floating_nodes || [])]) {
+      const found = this.parseSwayTree(child);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // GNOME: Mutter offers nothing to clients, so ask the Focused Window D-Bus
+  // Shell extension, which answers with a JSON description of the window
+  getFocusedWindowGnome() {
+    const { dest, path: objectPath, method } = GNOME_FOCUSED_WINDOW;
+    return this.runCommand(`gdbus call --session --dest ${dest} --object-path ${objectPath} --method ${method}`)
+      .then(stdout => this.parseGnomeFocusedWindow(stdout));
+  }
+
+  // Parse the extension's reply, a GVariant tuple holding a JSON string:
+  // ('{"wm_class":"firefox","title":"Inbox"}',)
+  parseGnomeFocusedWindow(stdout) {
+    const match = stdout.trim().match(/^\('(.*)',\)$/s);
+    if (!match) return null;
+
+    const window = JSON.parse(match[1].replace(/\\(.)/g, '$1'));
+    return {
+      appName: window.wm_class || window.wm_class_instance || UNKNOWN_WINDOW.appName,
+      title: window.title || UNKNOWN_WINDOW.title
+    };
+  }
+
+  // KDE: KWin only shares the active window with its own scripts, so load a
+  // one-off script that prints it, run it, and read the line back from the
+  // journal. Used when the KWin focus listener (detectionHelper.js) can't run
+  // or hasn't heard from its script yet.
+  async getFocusedWindowKde() {
+    const marker = `${KWIN_MARKER}-${process.pid}-${++this.kwinScriptCount}`;
+    const scriptPath = path.join(os.tmpdir(), `${KWIN_MARKER}-${process.pid}.js`);
+    const since = Math.floor(Date.now() / 1000) - 1;
+
+    fs.writeFileSync(scriptPath, `
+      const w = workspace.activeWindow || workspace.activeClient;
+      print("${marker}:" + JSON.stringify(w ? { appName: String(w.resourceClass), title: String(w.caption) } : null));
+    `);
+
+    const kwin = 'dbus-send --session --print-reply=literal --dest=org.kde.KWin';
+    try {
+      const loaded = await this.runCommand(`${kwin} /Scripting org.kde.kwin.Scripting.loadScript string:'${scriptPath}' string:'${marker}'`);
+      const id = parseInt(loaded.replace(/[^0-9]/g, ''), 10);
+
+      // Plasma 6 path first, then Plasma 5
+      await this.runCommand(`${kwin} /Scripting/Script${id} org.kde.kwin.Script.run`)
+        .catch(() => this.runCommand(`${kwin} /${id} org.kde.kwin.Script.run`));
+
+      const journal = await this.runCommand(`journalctl --user -o cat --no-pager --since @${since} -g '${marker}:'`);
+      return this.parseKWinOutput(journal, marker);
+    } finally {
+      this.runCommand(`${kwin} /Scripting org.kde.kwin.Scripting.unloadScript string:'${marker}'`).catch(() => {});
+    }
+  }
+
+  // Pull the script's result out of journal output
+  parseKWinOutput(output, marker) {
+    const line = output.split('\n').reverse().find(l => l.includes(`${marker}:`));
+    if (!line) return null;
+
+    const window = JSON.parse(line.slice(line.indexOf(`${marker}:`) + marker.length + 1));
+    return window && {
+      appName: window.appName || UNKNOWN_WINDOW.appName,
+      title: window.title || UNKNOWN_WINDOW.title
+    };
+  }
+
+  // GNOME: Mutter's idle monitor reports milliseconds since the last input
+  getIdleTimeGnome() {
+    return this.runCommand('gdbus call --session --dest org.gnome.Mutter.IdleMonitor --object-path /org/gnome/Mutter/IdleMonitor/Core --method org.gnome.Mutter.IdleMonitor.GetIdletime')
+      .then(stdout => {
+        const match = stdout.match(/uint64 ([0-9]+)/);
+        if (!match) throw new Error('Could not parse idle time');
+        return parseInt(match[1], 10) / 1000;
+      })
+      .catch(() => this.getIdleTimeIdleNotify());
+  }
+
+  // Other Wayland compositors: the ext-idle-notify protocol via swayidle
+  getIdleTimeIdleNotify() {
+    if (!this.idleWatcher.start()) {
+      if (!this.warnedIdle) {
+        this.warnedIdle = true;
+        console.warn('Could not detect idle time on Wayland. Install swayidle for accurate idle detection.');
+      }
+      return Promise.resolve(0);
+    }
+    return Promise.resolve(this.idleWatcher.getIdleTime());
+  }
+
   // ============ Utility Methods ============
 
+  // Check what the Wayland backend needs, filling in results
+  async checkWaylandDependencies(backend, results) {
+    const need = async (command, name = command) => {
+      if (!(await this.commandExists(command))) {
+        results.available = false;
+        results.missing.push(name);
+      }
+    };
+
+    switch (backend) {
+      case 'sway':
+        await need('swaymsg');
+        break;
+      case 'gnome':
+        await need('gdbus');
+        if (results.available && !(await this.getFocusedWindowGnome().then(Boolean, () => false))) {
+          results.available = false;
+          results.missing.push('Focused Window D-Bus GNOME Shell extension');
+        }
+        break;
+      case 'kde':
+        await need('dbus-send');
+        await need('journalctl');
+        break;
+      default:
+        results.available = false;
+        results.missing.push('Active window detection for this Wayland compositor (supported: sway, GNOME, KDE)');
+    }
+
+    // GNOME reports idle time itself; everywhere else needs swayidle
+    if (backend !== 'gnome' && !(await this.commandExists('swayidle'))) {
+      results.warnings.push('swayidle not found - idle detection may not work');
+    }
+
+    return results;
+  }
+
+  // Run a shell command and resolve with its stdout
+  runCommand(command, options = {}) {
+    return new Promise((resolve, reject) => {
+      exec(command, options, (error, stdout) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  // Check whether a command is on the PATH
+  commandExists(command) {
+    return this.runCommand(`which ${command}`).then(() => true, () => false);
+  }
+
+  // Release helper processes (the detection helper and the Wayland idle
+  // watcher)
+  stop() {
+    if (this.helper) {
+      this.helper.stop();
+    }
+    this.helperSample = null;
+    this.waylandWindow = null;
+    this.idleWatcher.stop();
+  }
+
   // Check if the required tools are available for the current platform
   checkDependencies() {
     return new Promise((resolve) => {
@@ -346,6 +772,12 @@ class CrossPlatformDetector {
           break;
 
         case 'linux':
+          results.backend = this.getLinuxBackend();
+          if (results.backend !== 'x11') {
+            this.checkWaylandDependencies(results.backend, results).then(resolve);
+            break;
+          }
+
           // Check for xdotool or wmctrl
           exec('which xdotool', (xdotoolError) => {
             if (xdotoolError) {
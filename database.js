@@ -2,6 +2,17 @@
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
+const { config, DEFAULT_CONFIG } = require('./config');
+const { days } = require('./dayBoundary');
+const { calculator } = require('./workCalculator');
+const { MIGRATIONS, MigrationError } = require('./migrations');
+const { classifier, MEETING_CATEGORY } = require('./classifier');
+
+// Number of pre-migration backups to keep
+const MAX_BACKUPS = 5;
+// Bumped when the calculation changes, so cached daily summaries are rebuilt
+const SUMMARY_CACHE_VERSION = 2;
 
 let Database;
 try {
@@ -17,11 +28,13 @@ class WorkTrackerDB {
     this.dbPath = path.join(this.dbDir, 'worktracker.db');
     this.db = null;
     this.initialized = false;
+    this.migrationError = null;
   }
 
   // Initialize the database
   init() {
     if (this.initialized) return true;
+    if (this.migrationError) return false;
     if (!Database) {
       console.error('SQLite not available');
       return false;
@@ -39,109 +52,134 @@ class WorkTrackerDB {
       // Enable WAL mode for better performance
       this.db.pragma('journal_mode = WAL');
 
-      // Create tables
-      this.createTables();
+      // Create or upgrade tables
+      this.migrate();
 
       this.initialized = true;
       return true;
     } catch (error) {
       console.error('Error initializing database:', error);
+      if (error instanceof MigrationError) {
+        // Don't retry (and re-backup) on every call; the tray reports it
+        this.migrationError = error;
+        this.db.close();
+        this.db = null;
+      }
       return false;
     }
   }
 
-  // Create database tables
-  createTables() {
-    // Activity log table
+  // Bring the schema up to date by applying pending migrations in order.
+  // Existing databases are backed up first; a failure rolls back the failed
+  // migration and raises a MigrationError.
+  migrate() {
     this.db.exec(`
-      CREATE TABLE IF NOT EXISTS activity_log (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        timestamp TEXT NOT NULL,
-        app_name TEXT,
-        window_title TEXT,
-        is_afk INTEGER DEFAULT 0,
-        afk_type TEXT,
-        project TEXT,
-        created_at TEXT DEFAULT (datetime('now'))
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        description TEXT,
+        applied_at TEXT DEFAULT (datetime('now'))
       )
     `);
 
-    // Work sessions table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS work_sessions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        start_time TEXT NOT NULL,
-        end_time TEXT,
-        duration_seconds INTEGER,
-        project TEXT,
-        is_productive INTEGER DEFAULT 1,
-        created_at TEXT DEFAULT (datetime('now'))
-      )
-    `);
+    const currentVersion = this.getSchemaVersion();
+    const latestVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
 
-    // Daily summary table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS daily_summary (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        date TEXT UNIQUE NOT NULL,
-        total_work_seconds INTEGER DEFAULT 0,
-        goal_seconds INTEGER,
-        sessions_count INTEGER DEFAULT 0,
-        productive_seconds INTEGER DEFAULT 0,
-        projects_json TEXT,
-        last_activity_id INTEGER DEFAULT 0,
-        last_activity_timestamp TEXT,
-        is_session_open INTEGER DEFAULT 0,
-        open_session_start TEXT,
-        created_at TEXT DEFAULT (datetime('now')),
-        updated_at TEXT DEFAULT (datetime('now'))
-      )
-    `);
+    if (currentVersion > latestVersion) {
+      throw new MigrationError(
+        { version: currentVersion, description: 'unknown' },
+        new Error(`database schema v${currentVersion} is newer than this app supports (v${latestVersion})`)
+      );
+    }
 
-    // Add new columns to existing table if they don't exist
-    try {
-      this.db.exec(`ALTER TABLE daily_summary ADD COLUMN last_activity_id INTEGER DEFAULT 0`);
-    } catch (e) { /* column already exists */ }
-    try {
-      this.db.exec(`ALTER TABLE daily_summary ADD COLUMN last_activity_timestamp TEXT`);
-    } catch (e) { /* column already exists */ }
-    try {
-      this.db.exec(`ALTER TABLE daily_summary ADD COLUMN is_session_open INTEGER DEFAULT 0`);
-    } catch (e) { /* column already exists */ }
-    try {
-      this.db.exec(`ALTER TABLE daily_summary ADD COLUMN open_session_start TEXT`);
-    } catch (e) { /* column already exists */ }
+    const pending = MIGRATIONS.filter(m => m.version > currentVersion);
+    if (pending.length === 0) return currentVersion;
 
-    // Migration status table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS migration_status (
-        id INTEGER PRIMARY KEY,
-        migrated_at TEXT,
-        log_file_path TEXT,
-        entries_migrated INTEGER
-      )
-    `);
+    // Only databases holding data need a backup
+    let backupPath = null;
+    if (this.tableExists('activity_log')) {
+      try {
+        backupPath = this.backupDatabase(currentVersion);
+      } catch (error) {
+        throw new MigrationError(pending[0], new Error(`pre-migration backup failed: ${error.message}`));
+      }
+    }
 
-    // Create indexes for better query performance
-    this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_activity_timestamp ON activity_log(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_activity_date ON activity_log(date(timestamp));
-      CREATE INDEX IF NOT EXISTS idx_sessions_start ON work_sessions(start_time);
-      CREATE INDEX IF NOT EXISTS idx_daily_date ON daily_summary(date);
+    const recordVersion = this.db.prepare(`
+      INSERT INTO schema_version (version, description, applied_at)
+      VALUES (?, ?, datetime('now'))
     `);
+
+    for (const migration of pending) {
+      const apply = this.db.transaction(() => {
+        migration.up(this.db);
+        recordVersion.run(migration.version, migration.description);
+      });
+
+      try {
+        apply();
+      } catch (error) {
+        throw new MigrationError(migration, error, backupPath);
+      }
+
+      console.log(`Applied database migration ${migration.version}: ${migration.description}`);
+    }
+
+    return latestVersion;
+  }
+
+  // Get the version of the most recently applied migration
+  getSchemaVersion() {
+    const result = this.db.prepare(`SELECT MAX(version) as version FROM schema_version`).get();
+    return (result && result.version) || 0;
+  }
+
+  // Check whether a table exists
+  tableExists(name) {
+    const result = this.db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?
+    `).get(name);
+    return !!result;
+  }
+
+  // Copy the database aside before migrating it, keeping the newest few copies
+  backupDatabase(version) {
+    const backupDir = path.join(this.dbDir, 'backups');
+    if (!fs.existsSync(backupDir)) {
+      fs.mkdirSync(backupDir, { recursive: true });
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupDir, `worktracker-v${version}-${stamp}.db`);
+    this.db.prepare(`VACUUM INTO ?`).run(backupPath);
+
+    const backups = fs.readdirSync(backupDir)
+      .filter(name => name.startsWith('worktracker-v') && name.endsWith('.db'))
+      .map(name => ({ name, mtime: fs.statSync(path.join(backupDir, name)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+    for (const old of backups.slice(MAX_BACKUPS)) {
+      fs.unlinkSync(path.join(backupDir, old.name));
+    }
+
+    console.log(`Database backed up to ${backupPath}`);
+    return backupPath;
+  }
+
+  // Get the error that stopped the schema from being upgraded, if any
+  getMigrationError() {
+    return this.migrationError;
   }
 
-  // Log activity entry
-  logActivity(timestamp, appName, windowTitle, isAfk = false, afkType = null, project = null) {
+  // Log activity entry. url is the browser tab's address, when known.
+  logActivity(timestamp, appName, windowTitle, isAfk = false, afkType = null, project = null, category = null, durationSeconds = null, url = null) {
     if (!this.initialized && !this.init()) return null;
 
     try {
       const stmt = this.db.prepare(`
-        INSERT INTO activity_log (timestamp, app_name, window_title, is_afk, afk_type, project)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO activity_log (timestamp, app_name, window_title, is_afk, afk_type, project, category, duration_seconds, url)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
-      const result = stmt.run(timestamp, appName, windowTitle, isAfk ? 1 : 0, afkType, project);
+      const result = stmt.run(timestamp, appName, windowTitle, isAfk ? 1 : 0, afkType, project, category, durationSeconds, url);
       return result.lastInsertRowid;
     } catch (error) {
       console.error('Error logging activity:', error);
@@ -149,17 +187,157 @@ class WorkTrackerDB {
     }
   }
 
-  // Get activity for a specific date
+  // Set how long an activity row has lasted so far
+  updateActivityDuration(id, durationSeconds) {
+    if (!this.initialized && !this.init()) return false;
+
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE activity_log SET duration_seconds = ? WHERE id = ?
+      `);
+      stmt.run(durationSeconds, id);
+      return true;
+    } catch (error) {
+      console.error('Error updating activity duration:', error);
+      return false;
+    }
+  }
+
+  // Merge runs of identical consecutive activity rows (same app, title, URL,
+  // project and category, no AFK marker between) into one row, as the
+  // tracker's heartbeats do for new activity. Rows with a duration only merge
+  // if the next one starts within pulseSeconds of their end; older rows
+  // without one last until the next row anyway, so dropping a repeat changes
+  // nothing. Rows on either side of the day rollover stay apart, as the
+  // tracker splits them there. Editor heartbeats and shell commands move to the row they were
+  // merged into, and cached daily summaries are invalidated.
+  // Returns { rowsBefore, rowsAfter } or null on failure.
+  compactActivityLog(pulseSeconds = 60) {
+    if (!this.initialized && !this.init()) return null;
+
+    try {
+      const rows = this.db.prepare(`
+        SELECT id, timestamp, app_name, window_title, url, is_afk, project, category, duration_seconds
+        FROM activity_log
+        ORDER BY timestamp ASC, id ASC
+      `).all();
+
+      const durations = new Map();
+      // Deleted row id => the row it was merged into
+      const deletions = new Map();
+      let keep = null;
+
+      for (const row of rows) {
+        if (keep && this.canMergeActivity(keep, row, pulseSeconds)) {
+          if (row.duration_seconds === null) {
+            keep.duration_seconds = null;
+          } else {
+            const end = new Date(row.timestamp).getTime() + row.duration_seconds * 1000;
+            keep.duration_seconds = Math.max(keep.duration_seconds || 0, (end - new Date(keep.timestamp)) / 1000);
+          }
+          durations.set(keep.id, keep.duration_seconds);
+          deletions.set(row.id, keep.id);
+          continue;
+        }
+
+        keep = row.is_afk ? null : row;
+      }
+
+      const update = this.db.prepare(`UPDATE activity_log SET duration_seconds = ? WHERE id = ?`);
+      const remove = this.db.prepare(`DELETE FROM activity_log WHERE id = ?`);
+      const relinks = ['editor_heartbeats', 'shell_commands']
+        .map(table => this.db.prepare(`UPDATE ${table} SET activity_id = ? WHERE activity_id = ?`));
+      this.db.transaction(() => {
+        for (const [id, duration] of durations) {
+          update.run(duration, id);
+        }
+        for (const [id, keepId] of deletions) {
+          remove.run(id);
+          relinks.forEach(relink => relink.run(keepId, id));
+        }
+        this.db.exec(`UPDATE daily_summary SET cache_key = NULL`);
+      })();
+
+      return { rowsBefore: rows.length, rowsAfter: rows.length - deletions.size };
+    } catch (error) {
+      console.error('Error compacting activity log:', error);
+      return null;
+    }
+  }
+
+  // Check whether row can be folded into keep, the row before it
+  canMergeActivity(keep, row, pulseSeconds) {
+    if (row.is_afk || row.app_name !== keep.app_name || row.window_title !== keep.window_title ||
+        row.url !== keep.url || row.project !== keep.project || row.category !== keep.category) {
+      return false;
+    }
+    if (days.getDateKey(new Date(row.timestamp)) !== days.getDateKey(new Date(keep.timestamp))) return false;
+    if (keep.duration_seconds === null) return true;
+
+    const keepEnd = new Date(keep.timestamp).getTime() + keep.duration_seconds * 1000;
+    return (new Date(row.timestamp) - keepEnd) / 1000 <= pulseSeconds;
+  }
+
+  // Get a single activity row
+  getActivityById(id) {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM activity_log WHERE id = ?
+      `);
+      return stmt.get(id) || null;
+    } catch (error) {
+      console.error('Error getting activity:', error);
+      return null;
+    }
+  }
+
+  // Rewrite the project and category of existing rows ([{ id, project, category }])
+  updateActivityTags(updates) {
+    if (!this.initialized && !this.init()) return false;
+
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE activity_log SET project = ?, category = ? WHERE id = ?
+      `);
+      const updateMany = this.db.transaction((rows) => {
+        for (const row of rows) {
+          stmt.run(row.project, row.category, row.id);
+        }
+      });
+      updateMany(updates);
+      return true;
+    } catch (error) {
+      console.error('Error updating activity tags:', error);
+      return false;
+    }
+  }
+
+  // Get activity for a specific date, led by the row from the day before if
+  // it was still running when the day began
   getActivityForDate(date) {
     if (!this.initialized && !this.init()) return [];
 
     try {
+      const { start, end } = days.getDayBounds(date);
       const stmt = this.db.prepare(`
         SELECT * FROM activity_log
-        WHERE date(timestamp) = ?
+        WHERE timestamp >= ? AND timestamp < ?
         ORDER BY timestamp ASC
       `);
-      return stmt.all(date);
+      const rows = stmt.all(start.toISOString(), end.toISOString());
+
+      const carried = this.db.prepare(`
+        SELECT * FROM activity_log
+        WHERE timestamp < ?
+        ORDER BY timestamp DESC, id DESC
+        LIMIT 1
+      `).get(start.toISOString());
+      const carriedEnd = carried && calculator.getRowEnd(carried);
+      if (carriedEnd && new Date(carriedEnd) > start) {
+        rows.unshift(carried);
+      }
+
+      return rows;
     } catch (error) {
       console.error('Error getting activity:', error);
       return [];
@@ -171,12 +349,13 @@ class WorkTrackerDB {
     if (!this.initialized && !this.init()) return [];
 
     try {
+      const { start, end } = days.getRangeBounds(startDate, endDate);
       const stmt = this.db.prepare(`
         SELECT * FROM activity_log
-        WHERE date(timestamp) >= ? AND date(timestamp) <= ?
+        WHERE timestamp >= ? AND timestamp < ?
         ORDER BY timestamp ASC
       `);
-      return stmt.all(startDate, endDate);
+      return stmt.all(start.toISOString(), end.toISOString());
     } catch (error) {
       console.error('Error getting activity range:', error);
       return [];
@@ -218,17 +397,71 @@ class WorkTrackerDB {
     }
   }
 
+  // Update the running duration of a session that is still open, and the
+  // time of its last sample
+  updateSessionDuration(sessionId, durationSeconds, lastSeen = null) {
+    if (!this.initialized && !this.init()) return false;
+
+    try {
+      const stmt = this.db.prepare(`
+        UPDATE work_sessions
+        SET duration_seconds = ?, last_seen = ?
+        WHERE id = ? AND end_time IS NULL
+      `);
+      stmt.run(durationSeconds, lastSeen, sessionId);
+      return true;
+    } catch (error) {
+      console.error('Error updating session duration:', error);
+      return false;
+    }
+  }
+
+  // Delete the sessions that started on a date (before rebuilding them)
+  deleteSessionsForDate(date) {
+    if (!this.initialized && !this.init()) return 0;
+
+    try {
+      const { start, end } = days.getDayBounds(date);
+      const stmt = this.db.prepare(`
+        DELETE FROM work_sessions
+        WHERE start_time >= ? AND start_time < ?
+      `);
+      return stmt.run(start.toISOString(), end.toISOString()).changes;
+    } catch (error) {
+      console.error('Error deleting sessions:', error);
+      return 0;
+    }
+  }
+
+  // Get sessions that were started but never ended
+  getOpenSessions() {
+    if (!this.initialized && !this.init()) return [];
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM work_sessions
+        WHERE end_time IS NULL
+        ORDER BY start_time ASC
+      `);
+      return stmt.all();
+    } catch (error) {
+      console.error('Error getting open sessions:', error);
+      return [];
+    }
+  }
+
   // Get sessions for a specific date
   getSessionsForDate(date) {
     if (!this.initialized && !this.init()) return [];
 
     try {
+      const { start, end } = days.getDayBounds(date);
       const stmt = this.db.prepare(`
         SELECT * FROM work_sessions
-        WHERE date(start_time) = ?
+        WHERE start_time >= ? AND start_time < ?
         ORDER BY start_time ASC
       `);
-      return stmt.all(date);
+      return stmt.all(start.toISOString(), end.toISOString());
     } catch (error) {
       console.error('Error getting sessions:', error);
       return [];
@@ -240,18 +473,190 @@ class WorkTrackerDB {
     if (!this.initialized && !this.init()) return [];
 
     try {
+      const { start, end } = days.getRangeBounds(startDate, endDate);
       const stmt = this.db.prepare(`
         SELECT * FROM work_sessions
-        WHERE date(start_time) >= ? AND date(start_time) <= ?
+        WHERE start_time >= ? AND start_time < ?
         ORDER BY start_time ASC
       `);
-      return stmt.all(startDate, endDate);
+      return stmt.all(start.toISOString(), end.toISOString());
     } catch (error) {
       console.error('Error getting sessions range:', error);
       return [];
     }
   }
 
+  // Add a manually entered stretch of work time. source says where it came
+  // from ('manual', or 'away' for an answered welcome-back prompt). Returns
+  // the new id, or null. The days it touches are replayed on their next
+  // refresh.
+  addManualEntry({ startTime, endTime, project = null, category = null, note = null, source = 'manual' }) {
+    if (!this.initialized && !this.init()) return null;
+
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO manual_entries (start_time, end_time, project, category, note, source)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      const result = stmt.run(startTime, endTime, project, category, note, source);
+      this.invalidateDailySummaryCache(days.getDateKey(new Date(startTime)), days.getDateKey(new Date(endTime)));
+      return result.lastInsertRowid;
+    } catch (error) {
+      console.error('Error adding manual entry:', error);
+      return null;
+    }
+  }
+
+  // Delete a manual entry. Returns whether it existed; the days it touched
+  // are replayed on their next refresh.
+  deleteManualEntry(id) {
+    if (!this.initialized && !this.init()) return false;
+
+    try {
+      const entry = this.db.prepare('SELECT start_time, end_time FROM manual_entries WHERE id = ?').get(id);
+      if (!entry) return false;
+
+      this.db.prepare('DELETE FROM manual_entries WHERE id = ?').run(id);
+      this.invalidateDailySummaryCache(days.getDateKey(new Date(entry.start_time)), days.getDateKey(new Date(entry.end_time)));
+      return true;
+    } catch (error) {
+      console.error('Error deleting manual entry:', error);
+      return false;
+    }
+  }
+
+  // Get manual entries overlapping a date range, in start order
+  getManualEntriesForRange(startDate, endDate) {
+    if (!this.initialized && !this.init()) return [];
+
+    try {
+      const { start, end } = days.getRangeBounds(startDate, endDate);
+      const stmt = this.db.prepare(`
+        SELECT * FROM manual_entries
+        WHERE start_time < ? AND end_time > ?
+        ORDER BY start_time ASC
+      `);
+      return stmt.all(end.toISOString(), start.toISOString());
+    } catch (error) {
+      console.error('Error getting manual entries:', error);
+      return [];
+    }
+  }
+
+  // Get manual entries overlapping a date
+  getManualEntriesForDate(date) {
+    return this.getManualEntriesForRange(date, date);
+  }
+
+  // Find the id of the activity row in progress at a timestamp, or null.
+  // A row's saved duration may trail by up to slackSeconds; after an AFK or
+  // tracking marker no row is in progress.
+  findActivityIdAt(timestamp, slackSeconds = 0) {
+    const row = this.db.prepare(`
+      SELECT id, timestamp, is_afk, duration_seconds FROM activity_log
+      WHERE timestamp <= ?
+      ORDER BY timestamp DESC, id DESC
+      LIMIT 1
+    `).get(timestamp);
+    if (!row || row.is_afk) return null;
+    if (row.duration_seconds === null) return row.id;
+
+    const end = new Date(row.timestamp).getTime() + (row.duration_seconds + slackSeconds) * 1000;
+    return new Date(timestamp).getTime() <= end ? row.id : null;
+  }
+
+  // Store editor heartbeats ([{ timestamp, entity, language, project,
+  // projectRoot, branch, editor }]), each linked to the activity row in
+  // progress at its timestamp (see findActivityIdAt).
+  // Returns the number stored, or null on failure.
+  addEditorHeartbeats(heartbeats, slackSeconds = 0) {
+    if (!this.initialized && !this.init()) return null;
+
+    try {
+      const insert = this.db.prepare(`
+        INSERT INTO editor_heartbeats (timestamp, entity, language, project, project_root, branch, editor, activity_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      this.db.transaction(() => {
+        for (const heartbeat of heartbeats) {
+          insert.run(heartbeat.timestamp, heartbeat.entity, heartbeat.language || null, heartbeat.project || null,
+            heartbeat.projectRoot || null, heartbeat.branch || null, heartbeat.editor || null,
+            this.findActivityIdAt(heartbeat.timestamp, slackSeconds));
+        }
+      })();
+
+      return heartbeats.length;
+    } catch (error) {
+      console.error('Error storing editor heartbeats:', error);
+      return null;
+    }
+  }
+
+  // Get the editor heartbeats of a date, in time order
+  getEditorHeartbeatsForDate(date) {
+    if (!this.initialized && !this.init()) return [];
+
+    try {
+      const { start, end } = days.getDayBounds(date);
+      const stmt = this.db.prepare(`
+        SELECT * FROM editor_heartbeats
+        WHERE timestamp >= ? AND timestamp < ?
+        ORDER BY timestamp ASC, id ASC
+      `);
+      return stmt.all(start.toISOString(), end.toISOString());
+    } catch (error) {
+      console.error('Error getting editor heartbeats:', error);
+      return [];
+    }
+  }
+
+  // Store commands reported by the shell integration ([{ timestamp, cwd,
+  // repoRoot, command, exitStatus }]), each linked to the activity row in
+  // progress at its timestamp (see findActivityIdAt).
+  // Returns the number stored, or null on failure.
+  addShellCommands(commands, slackSeconds = 0) {
+    if (!this.initialized && !this.init()) return null;
+
+    try {
+      const insert = this.db.prepare(`
+        INSERT INTO shell_commands (timestamp, cwd, repo_root, command, exit_status, activity_id)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+
+      this.db.transaction(() => {
+        for (const command of commands) {
+          insert.run(command.timestamp, command.cwd, command.repoRoot || null, command.command || null,
+            command.exitStatus === undefined ? null : command.exitStatus,
+            this.findActivityIdAt(command.timestamp, slackSeconds));
+        }
+      })();
+
+      return commands.length;
+    } catch (error) {
+      console.error('Error storing shell commands:', error);
+      return null;
+    }
+  }
+
+  // Get the shell commands of a date, in time order
+  getShellCommandsForDate(date) {
+    if (!this.initialized && !this.init()) return [];
+
+    try {
+      const { start, end } = days.getDayBounds(date);
+      const stmt = this.db.prepare(`
+        SELECT * FROM shell_commands
+        WHERE timestamp >= ? AND timestamp < ?
+        ORDER BY timestamp ASC, id ASC
+      `);
+      return stmt.all(start.toISOString(), end.toISOString());
+    } catch (error) {
+      console.error('Error getting shell commands:', error);
+      return [];
+    }
+  }
+
   // Update or create daily summary
   updateDailySummary(date, totalWorkSeconds, goalSeconds, sessionsCount, productiveSeconds = null, projectsJson = null) {
     if (!this.initialized && !this.init()) return false;
@@ -313,14 +718,15 @@ class WorkTrackerDB {
     if (!this.initialized && !this.init()) return {};
 
     try {
+      const { start, end } = days.getRangeBounds(startDate, endDate);
       const stmt = this.db.prepare(`
         SELECT project, SUM(duration_seconds) as total_seconds, COUNT(*) as session_count
         FROM work_sessions
-        WHERE date(start_time) >= ? AND date(start_time) <= ?
+        WHERE start_time >= ? AND start_time < ?
         GROUP BY project
         ORDER BY total_seconds DESC
       `);
-      const results = stmt.all(startDate, endDate);
+      const results = stmt.all(start.toISOString(), end.toISOString());
 
       const stats = {};
       for (const row of results) {
@@ -330,6 +736,17 @@ class WorkTrackerDB {
           sessionCount: row.session_count
         };
       }
+
+      // Manual entries count as sessions of their project
+      for (const entry of this.getManualEntriesForRange(startDate, endDate)) {
+        const projectName = entry.project || 'Uncategorized';
+        const seconds = (new Date(entry.end_time) - new Date(entry.start_time)) / 1000;
+        if (!stats[projectName]) {
+          stats[projectName] = { totalSeconds: 0, sessionCount: 0 };
+        }
+        stats[projectName].totalSeconds += seconds;
+        stats[projectName].sessionCount += 1;
+      }
       return stats;
     } catch (error) {
       console.error('Error getting project stats:', error);
@@ -337,6 +754,32 @@ class WorkTrackerDB {
     }
   }
 
+  // Get time per category path for a date range, from the daily summaries.
+  // Paths are leaf-level; roll them up by prefix for parent categories.
+  getCategoryStats(startDate, endDate) {
+    if (!this.initialized && !this.init()) return {};
+
+    try {
+      const stats = {};
+      for (const summary of this.getDailySummariesForRange(startDate, endDate)) {
+        if (!summary.categories_json) continue;
+
+        let categories = {};
+        try {
+          categories = JSON.parse(summary.categories_json) || {};
+        } catch (e) { /* skip unreadable summaries */ }
+
+        for (const [path, seconds] of Object.entries(categories)) {
+          stats[path] = (stats[path] || 0) + seconds;
+        }
+      }
+      return stats;
+    } catch (error) {
+      console.error('Error getting category stats:', error);
+      return {};
+    }
+  }
+
   // Check if migration has been done
   isMigrated() {
     if (!this.initialized && !this.init()) return false;
@@ -441,11 +884,12 @@ class WorkTrackerDB {
   // Get the latest activity ID for a date
   getLatestActivityId(date) {
     try {
+      const { start, end } = days.getDayBounds(date);
       const stmt = this.db.prepare(`
         SELECT MAX(id) as max_id FROM activity_log
-        WHERE date(timestamp) = ?
+        WHERE timestamp >= ? AND timestamp < ?
       `);
-      const result = stmt.get(date);
+      const result = stmt.get(start.toISOString(), end.toISOString());
       return result ? result.max_id : 0;
     } catch (error) {
       return 0;
@@ -455,129 +899,253 @@ class WorkTrackerDB {
   // Get activities after a specific ID for a date
   getActivitiesAfterId(date, afterId) {
     try {
+      const { start, end } = days.getDayBounds(date);
       const stmt = this.db.prepare(`
         SELECT * FROM activity_log
-        WHERE date(timestamp) = ? AND id > ?
+        WHERE timestamp >= ? AND timestamp < ? AND id > ?
         ORDER BY timestamp ASC
       `);
-      return stmt.all(date, afterId);
+      return stmt.all(start.toISOString(), end.toISOString(), afterId);
     } catch (error) {
       console.error('Error getting activities after ID:', error);
       return [];
     }
   }
 
-  // Calculate work time for a specific date (always fresh, no caching)
-  calculateWorkTimeForDate(date, productiveApps, productiveWebsites) {
+  // Calculate work time and per-tier and per-category time for a specific
+  // date, classifying activity with the rules in rulesConfig (the current
+  // config by default). Categories stored on the rows win over the rules.
+  // Resumes from the cached state in daily_summary and replays only the rows
+  // logged since the last refresh; pass { useCache: false } for a full replay.
+  // Manual entries are added on top and never enter the cached state.
+  calculateWorkTimeForDate(date, rulesConfig = null, options = {}) {
     if (!this.initialized && !this.init()) return null;
 
-    try {
-      // Get all activities for the date
-      const activities = this.getActivityForDate(date);
-      if (activities.length === 0) return null;
-
-      let totalWorkSeconds = 0;
-      let sessionsCount = 0;
-      let isAfk = false;
-      let sessionStart = null;
-      let lastTimestamp = null;
-
-      for (const activity of activities) {
-        const timestamp = new Date(activity.timestamp);
-        lastTimestamp = timestamp;
-
-        // Handle AFK events
-        if (activity.is_afk) {
-          if (activity.afk_type === 'start') {
-            // End current session if we have one
-            if (sessionStart && !isAfk) {
-              const duration = (timestamp - sessionStart) / 1000;
-              if (duration > 0) {
-                totalWorkSeconds += duration;
-                sessionsCount++;
-              }
-              sessionStart = null;
-            }
-            isAfk = true;
-          } else if (activity.afk_type === 'end') {
-            isAfk = false;
-          }
-          continue;
-        }
+    const { useCache = true } = options;
 
-        // Skip if user is AFK
-        if (isAfk) continue;
+    try {
+      const cacheKey = this.getSummaryCacheKey(rulesConfig);
+      const cached = useCache ? this.loadDailySummaryCache(date, cacheKey) : null;
+      const state = cached || calculator.createState(days.getDayBounds(date));
+
+      const activities = cached ?
+        this.getActivitiesAfterId(date, state.lastActivityId) :
+        this.getActivityForDate(date);
+
+      const manualEntries = this.getManualEntriesForDate(date);
+      if (!cached && activities.length === 0 && manualEntries.length === 0) {
+        // Whatever was summarized before (a since deleted manual entry) is gone
+        if (useCache) this.deleteDailySummary(date);
+        return null;
+      }
 
-        // Check if this activity is productive
-        const isProductive = this.isProductiveActivity(
-          activity.app_name, activity.window_title, productiveApps, productiveWebsites
-        );
+      const cfg = rulesConfig || config.getAll();
+      const interruptions = calculator.getInterruptionOptions(cfg);
 
-        if (isProductive) {
-          // Start a new session if we don't have one
-          if (!sessionStart) {
-            sessionStart = timestamp;
-          }
-        } else if (sessionStart) {
-          // End the current session
-          const duration = (timestamp - sessionStart) / 1000;
-          if (duration > 0) {
-            totalWorkSeconds += duration;
-            sessionsCount++;
-          }
-          sessionStart = null;
+      // The last row seen may have grown since it was cached
+      if (cached && state.lastActivityId) {
+        const lastRow = this.getActivityById(state.lastActivityId);
+        if (lastRow) {
+          state.rowEnd = calculator.clipToDay(state, calculator.getRowEnd(lastRow));
         }
       }
 
-      // Handle ongoing session (if still productive at end of log)
-      if (sessionStart && !isAfk) {
-        const now = new Date();
-        const todayStr = now.toISOString().split('T')[0];
-        if (date === todayStr) {
-          // For today, count time up to now
-          const duration = (now - sessionStart) / 1000;
-          if (duration > 0) {
-            totalWorkSeconds += duration;
-            // Don't increment sessionsCount since session is ongoing
-          }
-        } else if (lastTimestamp) {
-          // For past days, count up to last activity
-          const duration = (lastTimestamp - sessionStart) / 1000;
-          if (duration > 0) {
-            totalWorkSeconds += duration;
-            sessionsCount++;
-          }
-        }
+      if (activities.length > 0) {
+        const classify = classifier.createClassifier(cfg);
+        calculator.applyActivities(state, activities, activity => {
+          const { tier, category } = classify({
+            appName: activity.app_name,
+            windowTitle: activity.window_title,
+            url: activity.url
+          });
+          return { tier, category: activity.category || category };
+        }, interruptions);
       }
 
-      return {
-        totalWorkSeconds,
-        sessions: [],
-        sessionsCount
-      };
+      const result = calculator.finalize(state, {
+        isToday: days.isToday(date),
+        interruptions,
+        gapSeconds: calculator.getGapSeconds(cfg)
+      });
+      calculator.addManualEntries(result, manualEntries, days.getDayBounds(date));
+      result.weightedSeconds = calculator.getWeightedSeconds(result.tierSeconds, cfg.tierWeights);
+      result.meetingSeconds = result.categorySeconds[MEETING_CATEGORY] || 0;
+
+      if (useCache && (!cached || activities.length > 0)) {
+        this.saveDailySummaryCache(date, state, result, cacheKey);
+      }
+
+      return result;
     } catch (error) {
       console.error('Error calculating work time:', error);
       return null;
     }
   }
 
+  // Get the stretches of a date when the tracker wasn't running, as
+  // [{ start, end, seconds }] (see WorkCalculator.getUntrackedGaps)
+  getUntrackedGaps(date) {
+    if (!this.initialized && !this.init()) return [];
+
+    try {
+      const gapSeconds = calculator.getGapSeconds(config.getAll());
+      return calculator.getUntrackedGaps(this.getActivityForDate(date), {
+        isToday: days.isToday(date),
+        gapSeconds
+      });
+    } catch (error) {
+      console.error('Error finding untracked gaps:', error);
+      return [];
+    }
+  }
+
+  // Get the stretches of a date when tracking was paused, as
+  // [{ start, end, seconds }] (see WorkCalculator.getPausedPeriods)
+  getPausedPeriods(date) {
+    if (!this.initialized && !this.init()) return [];
+
+    try {
+      return calculator.getPausedPeriods(this.getActivityForDate(date), days.getDayBounds(date), {
+        isToday: days.isToday(date)
+      });
+    } catch (error) {
+      console.error('Error finding paused periods:', error);
+      return [];
+    }
+  }
+
+  // Get the most recent pause, resume, startup or shutdown marker, which
+  // tells whether tracking was left paused
+  getLastTrackingMarker() {
+    if (!this.initialized && !this.init()) return null;
+
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM activity_log
+        WHERE is_afk = 1 AND afk_type IN ('pause', 'resume', 'startup', 'shutdown')
+        ORDER BY timestamp DESC, id DESC
+        LIMIT 1
+      `);
+      return stmt.get() || null;
+    } catch (error) {
+      console.error('Error getting last tracking marker:', error);
+      return null;
+    }
+  }
+
+  // Build the key that ties cached summaries to the rules and day boundaries
+  // they were computed with; a change to any of them forces a full replay
+  getSummaryCacheKey(rulesConfig = null) {
+    const cfg = rulesConfig || config.getAll();
+    const inputs = JSON.stringify({
+      version: SUMMARY_CACHE_VERSION,
+      rules: classifier.getRulesFingerprint(cfg),
+      interruptions: calculator.getInterruptionOptions(cfg),
+      dayStartHour: days.getDayStartHour(),
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    });
+    return crypto.createHash('sha1').update(inputs).digest('hex');
+  }
+
+  // Load the resumable calculation state cached for a date
+  loadDailySummaryCache(date, cacheKey) {
+    const summary = this.getDailySummary(date);
+    if (!summary || !summary.cache_key || summary.cache_key !== cacheKey) return null;
+
+    let hourlySeconds = null;
+    try {
+      hourlySeconds = JSON.parse(summary.hourly_json);
+    } catch (e) { /* fall through to a full replay */ }
+    if (!Array.isArray(hourlySeconds) || hourlySeconds.length !== 24) return null;
+
+    let tiers = null;
+    try {
+      tiers = JSON.parse(summary.tier_json);
+    } catch (e) { /* fall through to a full replay */ }
+    if (!tiers || !tiers.closed || !tiers.categories) return null;
+
+    return {
+      ...calculator.createState(days.getDayBounds(date)),
+      closedWorkSeconds: summary.closed_work_seconds || 0,
+      closedSessionsCount: summary.closed_sessions_count || 0,
+      hourlySeconds,
+      isAfk: !!summary.is_afk,
+      sessionStart: summary.is_session_open ? summary.open_session_start : null,
+      segmentStart: summary.is_session_open ? (summary.segment_start || summary.open_session_start) : null,
+      pendingBreak: summary.is_session_open ? summary.pending_break_start : null,
+      lastActivityId: summary.last_activity_id || 0,
+      lastTimestamp: summary.last_activity_timestamp,
+      tierSeconds: { ...calculator.createTierTotals(), ...tiers.closed },
+      categorySeconds: tiers.categories,
+      currentTier: tiers.current || null,
+      currentCategory: tiers.category || null,
+      tierStart: tiers.start || null,
+      rowEnd: tiers.end || null
+    };
+  }
+
   // Save daily summary cache with session state
-  saveDailySummaryCache(date, totalWorkSeconds, sessionsCount, lastActivityId, isSessionOpen, openSessionStart) {
+  saveDailySummaryCache(date, state, result, cacheKey) {
     if (!this.initialized && !this.init()) return false;
 
     try {
       const stmt = this.db.prepare(`
-        INSERT INTO daily_summary (date, total_work_seconds, sessions_count, last_activity_id, is_session_open, open_session_start, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+        INSERT INTO daily_summary (
+          date, total_work_seconds, sessions_count, productive_seconds, neutral_seconds,
+          distracting_seconds, categories_json, closed_work_seconds, closed_sessions_count,
+          hourly_json, tier_json, is_afk, last_activity_id, last_activity_timestamp,
+          is_session_open, open_session_start, segment_start, pending_break_start, cache_key, updated_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
         ON CONFLICT(date) DO UPDATE SET
           total_work_seconds = excluded.total_work_seconds,
           sessions_count = excluded.sessions_count,
+          productive_seconds = excluded.productive_seconds,
+          neutral_seconds = excluded.neutral_seconds,
+          distracting_seconds = excluded.distracting_seconds,
+          categories_json = excluded.categories_json,
+          closed_work_seconds = excluded.closed_work_seconds,
+          closed_sessions_count = excluded.closed_sessions_count,
+          hourly_json = excluded.hourly_json,
+          tier_json = excluded.tier_json,
+          is_afk = excluded.is_afk,
           last_activity_id = excluded.last_activity_id,
+          last_activity_timestamp = excluded.last_activity_timestamp,
           is_session_open = excluded.is_session_open,
           open_session_start = excluded.open_session_start,
+          segment_start = excluded.segment_start,
+          pending_break_start = excluded.pending_break_start,
+          cache_key = excluded.cache_key,
           updated_at = datetime('now')
       `);
-      stmt.run(date, totalWorkSeconds, sessionsCount, lastActivityId, isSessionOpen ? 1 : 0, openSessionStart);
+      stmt.run(
+        date,
+        Math.round(result.totalWorkSeconds),
+        result.sessionsCount,
+        Math.round(result.tierSeconds.productive),
+        Math.round(result.tierSeconds.neutral),
+        Math.round(result.tierSeconds.distracting),
+        JSON.stringify(result.categorySeconds),
+        state.closedWorkSeconds,
+        state.closedSessionsCount,
+        JSON.stringify(state.hourlySeconds),
+        JSON.stringify({
+          closed: state.tierSeconds,
+          categories: state.categorySeconds,
+          current: state.currentTier,
+          category: state.currentCategory,
+          start: state.tierStart,
+          end: state.rowEnd
+        }),
+        state.isAfk ? 1 : 0,
+        state.lastActivityId,
+        state.lastTimestamp,
+        state.sessionStart ? 1 : 0,
+        state.sessionStart,
+        state.segmentStart,
+        state.pendingBreak,
+        cacheKey
+      );
       return true;
     } catch (error) {
       console.error('Error saving daily summary cache:', error);
@@ -585,24 +1153,52 @@ class WorkTrackerDB {
     }
   }
 
-  // Check if an activity is productive
-  isProductiveActivity(appName, windowTitle, productiveApps, productiveWebsites) {
-    if (!appName) return false;
+  // Delete a date's summary row, for a day left with nothing to summarize
+  deleteDailySummary(date) {
+    if (!this.initialized && !this.init()) return false;
 
-    // Check productive apps
-    if (productiveApps.some(app => appName.includes(app))) {
+    try {
+      this.db.prepare('DELETE FROM daily_summary WHERE date = ?').run(date);
       return true;
+    } catch (error) {
+      console.error('Error deleting daily summary:', error);
+      return false;
     }
+  }
 
-    // Check browsers with productive websites
-    const browsers = ['Safari', 'Google Chrome', 'Firefox', 'Chrome', 'Edge', 'Brave'];
-    if (browsers.some(browser => appName.includes(browser))) {
-      if (windowTitle) {
-        return productiveWebsites.some(site => windowTitle.includes(site));
+  // Invalidate cached summary state so the next calculation replays the day.
+  // Needed whenever rows are added or changed out of order, or rules change.
+  invalidateDailySummaryCache(startDate = null, endDate = null) {
+    if (!this.initialized && !this.init()) return false;
+
+    try {
+      if (startDate) {
+        const stmt = this.db.prepare(`
+          UPDATE daily_summary SET cache_key = NULL
+          WHERE date >= ? AND date <= ?
+        `);
+        stmt.run(startDate, endDate || startDate);
+      } else {
+        this.db.exec(`UPDATE daily_summary SET cache_key = NULL`);
       }
+      return true;
+    } catch (error) {
+      console.error('Error invalidating daily summary cache:', error);
+      return false;
     }
+  }
+
+  // Check if an activity is productive using only the given app and website
+  // lists (kept for callers of the list-based API; see classifier.js).
+  // Websites match the URL when one is given, and the title otherwise.
+  isProductiveActivity(appName, windowTitle, productiveApps, productiveWebsites, url = null) {
+    if (!appName) return false;
 
-    return false;
+    return classifier.isProductive({ appName, windowTitle, url }, {
+      productiveApps,
+      productiveWebsites,
+      browserApps: DEFAULT_CONFIG.browserApps
+    });
   }
 
   // Close database connection
@@ -0,0 +1,109 @@
+// dayBoundary.js - Local-time day bucketing with a configurable rollover hour
+const { config } = require('./config');
+
+// Day keys (YYYY-MM-DD) name a tracking day in the user's local timezone.
+// A tracking day runs from dayStartHour on that date to dayStartHour on the
+// next one, so late-night work stays with the day it started. Bounds are
+// always built from local calendar fields, never by adding 24h, which keeps
+// DST days at 23 or 25 hours. Nothing here is cached: every call reads the
+// current timezone, so a timezone change while travelling takes effect on
+// the next refresh.
+class DayBoundary {
+  // Hour (0-23, local time) at which a new tracking day begins
+  getDayStartHour() {
+    const hour = parseInt(config.get('dayStartHour'), 10);
+    if (isNaN(hour) || hour < 0 || hour > 23) return 0;
+    return hour;
+  }
+
+  // Get the day key a moment belongs to
+  getDateKey(date = new Date()) {
+    const time = new Date(date);
+    const day = new Date(time.getFullYear(), time.getMonth(), time.getDate());
+
+    // Before the rollover hour we are still in the previous tracking day
+    if (time < this.getDayStart(this.formatKey(day))) {
+      day.setDate(day.getDate() - 1);
+    }
+
+    return this.formatKey(day);
+  }
+
+  // Get today's day key
+  getToday() {
+    return this.getDateKey(new Date());
+  }
+
+  // Check if a day key is the current tracking day
+  isToday(dateKey) {
+    return dateKey === this.getToday();
+  }
+
+  // Get the moment a tracking day starts
+  getDayStart(dateKey) {
+    const [year, month, day] = this.parseKey(dateKey);
+    return new Date(year, month - 1, day, this.getDayStartHour(), 0, 0, 0);
+  }
+
+  // Get the [start, end) bounds of a tracking day
+  getDayBounds(dateKey) {
+    return {
+      start: this.getDayStart(dateKey),
+      end: this.getDayStart(this.addDays(dateKey, 1))
+    };
+  }
+
+  // Get the [start, end) bounds covering an inclusive range of day keys
+  getRangeBounds(startKey, endKey) {
+    return {
+      start: this.getDayStart(startKey),
+      end: this.getDayStart(this.addDays(endKey, 1))
+    };
+  }
+
+  // Shift a day key by a number of calendar days
+  addDays(dateKey, days) {
+    const [year, month, day] = this.parseKey(dateKey);
+    return this.formatKey(new Date(year, month - 1, day + days));
+  }
+
+  // List every day key in an inclusive range
+  getDateKeysInRange(startKey, endKey) {
+    const keys = [];
+    let key = startKey;
+
+    while (key <= endKey) {
+      keys.push(key);
+      key = this.addDays(key, 1);
+    }
+
+    return keys;
+  }
+
+  // Milliseconds until the next tracking day begins
+  msUntilNextDay(now = new Date()) {
+    const nextStart = this.getDayStart(this.addDays(this.getDateKey(now), 1));
+    return nextStart - now;
+  }
+
+  // Format a Date's local calendar fields as a day key
+  formatKey(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  // Split a day key into [year, month, day] numbers
+  parseKey(dateKey) {
+    return dateKey.split('-').map(Number);
+  }
+}
+
+// Singleton instance
+const dayBoundary = new DayBoundary();
+
+module.exports = {
+  DayBoundary,
+  days: dayBoundary
+};
@@ -0,0 +1,491 @@
+// detectionHelper.js - Long-lived helper processes for activity detection
+//
+// Spawning osascript or PowerShell for every sample is slow, and PowerShell
+// recompiles its C# interop on each run. A helper is started once and then
+// answers samples over stdin/stdout:
+//
+//   QueryHelper       - writes "sample" on stdin and reads back one JSON line,
+//                       { appName, title, idleSeconds } (macOS JXA loop,
+//                       Windows PowerShell host)
+//   X11FocusListener  - follows focus and title changes through xprop -spy,
+//                       so a sample is answered from memory, and calls
+//                       onChange as they happen
+//   KWinFocusListener - the same on KDE Plasma: a KWin script loaded once
+//                       prints each change, read back from journalctl -f
+//
+// Helpers that exit are started again on the next sample, backing off after
+// each crash. One that keeps crashing is given up on, and the detector goes
+// back to running a command per sample.
+const { spawn, execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Crashes tolerated within CRASH_WINDOW_MS before a helper is given up on
+const MAX_CRASHES = 5;
+const CRASH_WINDOW_MS = 60 * 1000;
+// Restart delay after the first crash, doubling up to the maximum
+const RESTART_DELAY_MS = 1000;
+const MAX_RESTART_DELAY_MS = 30 * 1000;
+// How long a helper has to answer a sample
+const SAMPLE_TIMEOUT_MS = 5000;
+
+// Prefix of the lines KWin scripts print their result on
+const KWIN_MARKER = 'worktracker-focus';
+
+// KDE: a KWin script printing the active window whenever focus or the
+// focused window's caption changes (Plasma 6 names, then Plasma 5)
+const kwinListenerScript = marker => `
+let current = null;
+function report() {
+  const w = workspace.activeWindow || workspace.activeClient;
+  print("${marker}:" + JSON.stringify(w ? { appName: String(w.resourceClass), title: String(w.caption) } : null));
+}
+function follow(w) {
+  if (current) {
+    try { current.captionChanged.disconnect(report); } catch (e) {}
+  }
+  current = w;
+  if (current) current.captionChanged.connect(report);
+  report();
+}
+(workspace.windowActivated || workspace.clientActivated).connect(follow);
+follow(workspace.activeWindow || workspace.activeClient);
+`;
+
+// macOS: a JXA loop answering each line on stdin with a sample
+const MACOS_HELPER_SCRIPT = `
+ObjC.import('Foundation');
+ObjC.import('CoreGraphics');
+const stdin = $.NSFileHandle.fileHandleWithStandardInput;
+const stdout = $.NSFileHandle.fileHandleWithStandardOutput;
+const systemEvents = Application('System Events');
+
+function sample() {
+  let appName = 'Unknown';
+  let title = 'Unknown Window';
+  try {
+    const proc = systemEvents.processes.whose({ frontmost: true })[0];
+    appName = proc.name();
+    try { title = proc.windows[0].name() || title; } catch (e) {}
+  } catch (e) {}
+  // HID system state, any input event type
+  const idleSeconds = $.CGEventSourceSecondsSinceLastEventType(1, 0xFFFFFFFF);
+  return { appName, title, idleSeconds };
+}
+
+while (true) {
+  const data = stdin.availableData;
+  if (data.length === 0) break;
+  const text = ObjC.unwrap($.NSString.alloc.initWithDataEncoding(data, $.NSUTF8StringEncoding));
+  for (let i = 0; i < text.split('\\n').length - 1; i++) {
+    stdout.writeData($(JSON.stringify(sample()) + '\\n').dataUsingEncoding($.NSUTF8StringEncoding));
+  }
+}
+`;
+
+// Windows: a PowerShell host that compiles its interop once
+const WINDOWS_HELPER_SCRIPT = `
+$ErrorActionPreference = 'SilentlyContinue'
+Add-Type @"
+  using System;
+  using System.Runtime.InteropServices;
+  using System.Text;
+  public class WorkTrackerUser32 {
+    [DllImport("user32.dll")]
+    public static extern IntPtr GetForegroundWindow();
+    [DllImport("user32.dll")]
+    public static extern int GetWindowThreadProcessId(IntPtr hWnd, out int lpdwProcessId);
+    [DllImport("user32.dll", CharSet = CharSet.Auto)]
+    public static extern int GetWindowText(IntPtr hWnd, StringBuilder lpString, int nMaxCount);
+    [DllImport("user32.dll")]
+    public static extern bool GetLastInputInfo(ref LASTINPUTINFO plii);
+    [StructLayout(LayoutKind.Sequential)]
+    public struct LASTINPUTINFO {
+      public uint cbSize;
+      public uint dwTime;
+    }
+  }
+"@
+while (($line = [Console]::In.ReadLine()) -ne $null) {
+  $hwnd = [WorkTrackerUser32]::GetForegroundWindow()
+  $procId = 0
+  [void][WorkTrackerUser32]::GetWindowThreadProcessId($hwnd, [ref]$procId)
+  $process = Get-Process -Id $procId -ErrorAction SilentlyContinue
+  $title = New-Object System.Text.StringBuilder 256
+  [void][WorkTrackerUser32]::GetWindowText($hwnd, $title, 256)
+  $lii = New-Object WorkTrackerUser32+LASTINPUTINFO
+  $lii.cbSize = [System.Runtime.InteropServices.Marshal]::SizeOf($lii)
+  [void][WorkTrackerUser32]::GetLastInputInfo([ref]$lii)
+  $sample = @{
+    appName = $(if ($process) { $process.ProcessName } else { 'Unknown' })
+    title = $title.ToString()
+    idleSeconds = ([Environment]::TickCount - $lii.dwTime) / 1000
+  }
+  [Console]::Out.WriteLine(($sample | ConvertTo-Json -Compress))
+  [Console]::Out.Flush()
+}
+`;
+
+// A restartable child process whose stdout is read line by line
+class HelperProcess {
+  constructor(command, args = []) {
+    this.command = command;
+    this.args = args;
+    this.process = null;
+    this.buffer = '';
+    this.crashes = [];
+    this.retryAt = 0;
+    this.disabled = false;
+  }
+
+  // Start the process unless it is running, backing off or given up on.
+  // Returns whether it is running.
+  ensureRunning() {
+    if (this.process) return true;
+    if (this.disabled || Date.now() < this.retryAt) return false;
+
+    const child = spawn(this.command, this.args, { stdio: ['pipe', 'pipe', 'ignore'] });
+    this.process = child;
+    this.buffer = '';
+
+    child.stdout.on('data', (data) => {
+      this.buffer += data.toString();
+      const lines = this.buffer.split('\n');
+      this.buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) this.handleLine(line.trim());
+      }
+    });
+    // Writes to a helper that just died fail; the exit handler cleans up
+    child.stdin.on('error', () => {});
+    child.on('error', () => this.handleExit(child));
+    child.on('exit', () => this.handleExit(child));
+
+    return true;
+  }
+
+  // Handle one line of output
+  handleLine(line) {}
+
+  // Record an unexpected exit and schedule the restart
+  handleExit(child) {
+    if (this.process !== child) return;
+    this.process = null;
+
+    const now = Date.now();
+    this.crashes = this.crashes.filter(time => now - time < CRASH_WINDOW_MS);
+    this.crashes.push(now);
+
+    if (this.crashes.length > MAX_CRASHES) {
+      this.disabled = true;
+      console.warn(`Detection helper ${this.command} keeps exiting; falling back to one command per sample`);
+    } else {
+      this.retryAt = now + Math.min(MAX_RESTART_DELAY_MS, RESTART_DELAY_MS * 2 ** (this.crashes.length - 1));
+    }
+  }
+
+  // Kill a helper that stopped answering; it counts as a crash
+  restart() {
+    if (this.process) {
+      this.process.kill();
+    }
+  }
+
+  // Stop the process for good (until started again)
+  stop() {
+    const child = this.process;
+    this.process = null;
+    if (child) {
+      child.kill();
+    }
+  }
+}
+
+// A helper answering one JSON line per "sample" line written to it
+class QueryHelper extends HelperProcess {
+  constructor(command, args = []) {
+    super(command, args);
+    this.pending = [];
+  }
+
+  // Ask for a sample. Resolves with { appName, title, idleSeconds }, or
+  // null if the helper isn't available.
+  sample() {
+    if (!this.ensureRunning()) return Promise.resolve(null);
+
+    return new Promise((resolve, reject) => {
+      const request = { resolve, reject };
+      request.timer = setTimeout(() => {
+        this.pending = this.pending.filter(r => r !== request);
+        reject(new Error(`Detection helper ${this.command} did not answer`));
+        this.restart();
+      }, SAMPLE_TIMEOUT_MS);
+
+      this.pending.push(request);
+      this.process.stdin.write('sample\n');
+    });
+  }
+
+  handleLine(line) {
+    const request = this.pending.shift();
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    try {
+      request.resolve(JSON.parse(line));
+    } catch (error) {
+      request.reject(error);
+    }
+  }
+
+  handleExit(child) {
+    super.handleExit(child);
+    this.rejectPending(new Error(`Detection helper ${this.command} exited`));
+  }
+
+  stop() {
+    super.stop();
+    this.rejectPending(new Error(`Detection helper ${this.command} stopped`));
+  }
+
+  // Fail every outstanding sample
+  rejectPending(error) {
+    const pending = this.pending;
+    this.pending = [];
+    for (const request of pending) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+  }
+}
+
+// Follows the active X11 window with xprop -spy on the root window, and its
+// title and process with a second spy on the window itself
+class X11FocusListener extends HelperProcess {
+  constructor() {
+    super('xprop', ['-spy', '-root', '_NET_ACTIVE_WINDOW']);
+    this.windowSpy = null;
+    this.windowId = null;
+    this.focus = null;
+    this.onChange = null;
+  }
+
+  // The focused window's { appName, title }, or null if not known yet
+  sample() {
+    if (!this.ensureRunning()) return Promise.resolve(null);
+    return Promise.resolve(this.focus ? { ...this.focus } : null);
+  }
+
+  handleLine(line) {
+    const match = line.match(/window id # (0x[0-9a-f]+)/i);
+    const windowId = match && parseInt(match[1], 16) !== 0 ? match[1] : null;
+    if (windowId === this.windowId) return;
+
+    this.windowId = windowId;
+    this.focus = null;
+    this.stopWindowSpy();
+    if (windowId) {
+      this.spyOnWindow(windowId);
+    }
+  }
+
+  // Watch the focused window's title and process id
+  spyOnWindow(windowId) {
+    const spy = spawn('xprop', ['-spy', '-id', windowId, '_NET_WM_PID', '_NET_WM_NAME'], {
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+    const focus = { appName: 'Unknown', title: 'Unknown Window' };
+    let buffer = '';
+
+    spy.stdout.on('data', (data) => {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        this.applyWindowProperty(focus, line);
+      }
+      if (this.windowSpy === spy) {
+        this.focus = focus;
+        if (this.onChange) this.onChange();
+      }
+    });
+    spy.on('error', () => {});
+
+    this.windowSpy = spy;
+  }
+
+  // Update a focus record from one line of xprop output
+  applyWindowProperty(focus, line) {
+    const pidMatch = line.match(/^_NET_WM_PID\(CARDINAL\) = (\d+)/);
+    if (pidMatch) {
+      focus.appName = this.getProcessName(pidMatch[1]) || focus.appName;
+      return;
+    }
+
+    const titleMatch = line.match(/^_NET_WM_NAME\(\w+\) = "(.*)"$/);
+    if (titleMatch) {
+      focus.title = titleMatch[1].replace(/\\(.)/g, '$1') || 'Unknown Window';
+    }
+  }
+
+  // Process name for a pid, as `ps -o comm=` reports it
+  getProcessName(pid) {
+    try {
+      return fs.readFileSync(`/proc/${pid}/comm`, 'utf8').trim();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  stopWindowSpy() {
+    if (this.windowSpy) {
+      this.windowSpy.kill();
+      this.windowSpy = null;
+    }
+  }
+
+  handleExit(child) {
+    super.handleExit(child);
+    this.stopWindowSpy();
+    this.windowId = null;
+    this.focus = null;
+  }
+
+  stop() {
+    super.stop();
+    this.stopWindowSpy();
+    this.windowId = null;
+    this.focus = null;
+  }
+}
+
+// Follows the active KWin window: a script loaded into KWin once prints every
+// change to the journal, which journalctl -f reads back
+class KWinFocusListener extends HelperProcess {
+  constructor() {
+    const marker = `${KWIN_MARKER}-${process.pid}-listener`;
+    super('journalctl', ['--user', '-f', '-n', '0', '-o', 'cat', '-g', `${marker}:`]);
+    this.marker = marker;
+    this.scriptPath = path.join(os.tmpdir(), `${marker}.js`);
+    this.scriptLoaded = false;
+    this.focus = null;
+    this.onChange = null;
+  }
+
+  // The focused window's { appName, title }, or null if not known yet
+  sample() {
+    if (!this.ensureRunning()) return Promise.resolve(null);
+    return Promise.resolve(this.focus ? { ...this.focus } : null);
+  }
+
+  ensureRunning() {
+    if (this.process) return true;
+    if (!super.ensureRunning()) return false;
+
+    // journalctl is following the journal before the script first prints
+    this.loadScript().catch(() => {
+      this.disabled = true;
+      this.stop();
+      console.warn('Could not load the KWin focus script; falling back to one command per sample');
+    });
+    return true;
+  }
+
+  // (Re)load the script into KWin and start it
+  async loadScript() {
+    fs.writeFileSync(this.scriptPath, kwinListenerScript(this.marker));
+
+    await this.unloadScript();
+    const loaded = await this.callKWin('/Scripting', 'org.kde.kwin.Scripting.loadScript',
+      `string:${this.scriptPath}`, `string:${this.marker}`);
+    const id = parseInt(loaded.replace(/[^0-9-]/g, ''), 10);
+    if (!(id >= 0)) throw new Error('KWin did not load the script');
+    this.scriptLoaded = true;
+
+    // Plasma 6 path first, then Plasma 5
+    await this.callKWin(`/Scripting/Script${id}`, 'org.kde.kwin.Script.run')
+      .catch(() => this.callKWin(`/${id}`, 'org.kde.kwin.Script.run'));
+  }
+
+  // Unload the script; succeeds if it wasn't loaded
+  unloadScript() {
+    this.scriptLoaded = false;
+    return this.callKWin('/Scripting', 'org.kde.kwin.Scripting.unloadScript', `string:${this.marker}`)
+      .catch(() => {});
+  }
+
+  // Call a KWin D-Bus method, resolving to the reply
+  callKWin(objectPath, method, ...args) {
+    return new Promise((resolve, reject) => {
+      execFile('dbus-send', ['--session', '--print-reply=literal', '--dest=org.kde.KWin', objectPath, method, ...args], (error, stdout) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(stdout);
+        }
+      });
+    });
+  }
+
+  handleLine(line) {
+    const index = line.indexOf(`${this.marker}:`);
+    if (index === -1) return;
+
+    try {
+      const window = JSON.parse(line.slice(index + this.marker.length + 1));
+      this.focus = window && {
+        appName: window.appName || 'Unknown',
+        title: window.title || 'Unknown Window'
+      };
+    } catch (error) {
+      return;
+    }
+    if (this.onChange) this.onChange();
+  }
+
+  handleExit(child) {
+    super.handleExit(child);
+    this.focus = null;
+  }
+
+  stop() {
+    super.stop();
+    this.focus = null;
+    if (this.scriptLoaded) {
+      this.unloadScript();
+    }
+  }
+}
+
+// Create the helper for a platform (and Linux backend), or null if there
+// is none and every sample runs its own commands
+function createDetectionHelper(platform, linuxBackend = null) {
+  switch (platform) {
+    case 'darwin':
+      return new QueryHelper('osascript', ['-l', 'JavaScript', '-e', MACOS_HELPER_SCRIPT]);
+    case 'win32':
+      return new QueryHelper('powershell', [
+        '-NoProfile',
+        '-NonInteractive',
+        '-EncodedCommand',
+        Buffer.from(WINDOWS_HELPER_SCRIPT, 'utf16le').toString('base64')
+      ]);
+    case 'linux':
+      if (linuxBackend === 'x11') return new X11FocusListener();
+      if (linuxBackend === 'kde') return new KWinFocusListener();
+      return null;
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  HelperProcess,
+  QueryHelper,
+  X11FocusListener,
+  KWinFocusListener,
+  createDetectionHelper,
+  KWIN_MARKER
+};
@@ -0,0 +1,117 @@
+// editorHeartbeats.js - File-level activity reported by editor plugins
+//
+// Editor plugins post WakaTime-style heartbeats to the ingest server's
+// /heartbeats path (ingestServer.js), a single heartbeat or an array:
+//
+//   { entity: '/home/me/src/api/server.js', time: 1760000000.5,
+//     language: 'JavaScript', project: 'api', project_root: '/home/me/src/api',
+//     branch: 'main', editor: 'vscode' }
+//
+// Only entity (the file) is required; time is in unix seconds and defaults to
+// when the heartbeat arrived. Heartbeats are stored in editor_heartbeats,
+// each linked to the activity_log row in progress when it was sent, so rows
+// record which files were edited in that window.
+//
+// The editor also knows which project is open, which a window title can only
+// hint at: while an editor window is in front, its latest project root
+// decides the project the tracker tags new rows with (see getProjectRoot and
+// ProjectManager.detectProject).
+const { config } = require('./config');
+const { db } = require('./database');
+const { projects } = require('./projects');
+
+// Most heartbeats accepted in one request
+const MAX_BATCH_SIZE = 100;
+// Heartbeats timed further ahead of the clock than this are rejected
+const MAX_CLOCK_SKEW_SECONDS = 60;
+// Longest text stored for a field
+const MAX_FIELD_LENGTH = 1024;
+// How long after its last heartbeat an editor's project still applies
+const CONTEXT_SECONDS = 10 * 60;
+
+class EditorHeartbeatManager {
+  constructor() {
+    this.db = db;
+    // The most recent heartbeat received, as stored
+    this.latest = null;
+  }
+
+  // Accept a heartbeat or an array of them from a plugin. Invalid heartbeats
+  // are dropped; returns whether any were stored.
+  ingest(body, receivedAt = new Date()) {
+    const list = Array.isArray(body) ? body : [body];
+    if (list.length === 0 || list.length > MAX_BATCH_SIZE) return false;
+
+    const heartbeats = list
+      .map(heartbeat => this.normalize(heartbeat, receivedAt))
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    if (heartbeats.length === 0) return false;
+
+    const newest = heartbeats[heartbeats.length - 1];
+    if (!this.latest || newest.timestamp >= this.latest.timestamp) {
+      this.latest = newest;
+    }
+
+    const slackSeconds = config.get('trackingIntervalSeconds') || 30;
+    return this.db.addEditorHeartbeats(heartbeats, slackSeconds) !== null;
+  }
+
+  // Turn a posted heartbeat into the stored shape, or return null if it is
+  // invalid
+  normalize(heartbeat, receivedAt) {
+    if (!heartbeat || typeof heartbeat !== 'object') return null;
+
+    const entity = this.cleanText(heartbeat.entity);
+    if (!entity) return null;
+
+    const hasTime = heartbeat.time !== undefined && heartbeat.time !== null;
+    const time = hasTime ? new Date(Number(heartbeat.time) * 1000) : receivedAt;
+    if (isNaN(time) || (time - receivedAt) / 1000 > MAX_CLOCK_SKEW_SECONDS) return null;
+
+    return {
+      timestamp: time.toISOString(),
+      entity,
+      language: this.cleanText(heartbeat.language),
+      project: this.cleanText(heartbeat.project),
+      projectRoot: this.cleanText(heartbeat.project_root),
+      branch: this.cleanText(heartbeat.branch),
+      editor: this.cleanText(heartbeat.editor)
+    };
+  }
+
+  // Get the project root of the editor showing in a window, or null. The
+  // latest heartbeat applies if it is recent and the window title names its
+  // project (editors put the project folder or name in their titles), so a
+  // terminal or browser in front doesn't inherit it.
+  getProjectRoot(windowTitle, timestamp = new Date()) {
+    const latest = this.latest;
+    if (!latest || !latest.projectRoot || !windowTitle) return null;
+
+    const age = (new Date(timestamp) - new Date(latest.timestamp)) / 1000;
+    if (age < -MAX_CLOCK_SKEW_SECONDS || age > CONTEXT_SECONDS) return null;
+
+    const title = windowTitle.toLowerCase();
+    const names = [projects.getFolderName(latest.projectRoot), latest.project].filter(Boolean);
+    return names.some(name => title.includes(name.toLowerCase())) ? latest.projectRoot : null;
+  }
+
+  // Forget the latest heartbeat
+  clear() {
+    this.latest = null;
+  }
+
+  // Helper: Trim optional text to the stored length, storing blanks as null
+  cleanText(value) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    return text ? text.slice(0, MAX_FIELD_LENGTH) : null;
+  }
+}
+
+// Singleton instance
+const editorHeartbeatManager = new EditorHeartbeatManager();
+
+module.exports = {
+  EditorHeartbeatManager,
+  editorHeartbeats: editorHeartbeatManager
+};
@@ -3,6 +3,8 @@ const fs = require('fs');
 const path = require('path');
 const { db } = require('./database');
 const { projects } = require('./projects');
+const { days } = require('./dayBoundary');
+const { gitCommits } = require('./gitCommits');
 
 class Exporter {
   // Export work sessions to CSV
@@ -10,17 +12,30 @@ class Exporter {
     return new Promise((resolve, reject) => {
       try {
         const sessions = db.getSessionsForDateRange(startDate, endDate);
+        const manualEntries = db.getManualEntriesForRange(startDate, endDate);
 
-        if (sessions.length === 0) {
+        if (sessions.length === 0 && manualEntries.length === 0) {
           reject(new Error('No data to export for the specified date range'));
           return;
         }
 
+        // Tracked sessions and manual entries, in start order
+        const rows = [
+          ...sessions.map(session => ({ ...session, source: 'tracked' })),
+          ...manualEntries.map(entry => ({
+            start_time: entry.start_time,
+            end_time: entry.end_time,
+            duration_seconds: (new Date(entry.end_time) - new Date(entry.start_time)) / 1000,
+            project: entry.project,
+            source: 'manual'
+          }))
+        ].sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+
         // CSV header
-        let csv = 'Date,Start Time,End Time,Duration (minutes),Duration (formatted),Project\n';
+        let csv = 'Date,Start Time,End Time,Duration (minutes),Duration (formatted),Project,Source\n';
 
         // Add each session
-        for (const session of sessions) {
+        for (const session of rows) {
           const startTime = new Date(session.start_time);
           const endTime = session.end_time ? new Date(session.end_time) : null;
           const durationMinutes = session.duration_seconds ? Math.round(session.duration_seconds / 60) : 0;
@@ -28,12 +43,13 @@ class Exporter {
           const project = session.project || 'Uncategorized';
 
           const row = [
-            startTime.toISOString().split('T')[0],
+            days.getDateKey(startTime),
             startTime.toISOString(),
             endTime ? endTime.toISOString() : '',
             durationMinutes,
             durationFormatted,
-            this.escapeCSV(project)
+            this.escapeCSV(project),
+            session.source
           ];
 
           csv += row.join(',') + '\n';
@@ -44,7 +60,7 @@ class Exporter {
         resolve({
           success: true,
           path: filePath,
-          recordCount: sessions.length
+          recordCount: rows.length
         });
       } catch (error) {
         reject(error);
@@ -53,7 +69,10 @@ class Exporter {
   }
 
   // Export all data to JSON
-  exportToJSON(startDate, endDate, filePath) {
+  async exportToJSON(startDate, endDate, filePath) {
+    // Read from git first; repositories that fail are left out
+    const commits = await gitCommits.getCommitsForRange(startDate, endDate);
+
     return new Promise((resolve, reject) => {
       try {
         // Get all data
@@ -61,6 +80,7 @@ class Exporter {
         const activities = db.getActivityForDateRange(startDate, endDate);
         const dailySummaries = db.getDailySummariesForRange(startDate, endDate);
         const projectStats = db.getProjectStats(startDate, endDate);
+        const manualEntries = db.getManualEntriesForRange(startDate, endDate);
 
         const data = {
           exportInfo: {
@@ -72,6 +92,8 @@ class Exporter {
           summary: {
             totalSessions: sessions.length,
             totalActivityEntries: activities.length,
+            totalManualEntries: manualEntries.length,
+            totalCommits: commits.length,
             totalDays: dailySummaries.length,
             projectBreakdown: projectStats
           },
@@ -79,6 +101,7 @@ class Exporter {
             date: summary.date,
             totalWorkSeconds: summary.total_work_seconds,
             totalWorkFormatted: this.formatDuration(summary.total_work_seconds || 0),
+            manualSeconds: this.getManualSecondsForDate(summary.date),
             goalSeconds: summary.goal_seconds,
             sessionsCount: summary.sessions_count,
             goalProgress: summary.goal_seconds ?
@@ -92,10 +115,29 @@ class Exporter {
             durationFormatted: this.formatDuration(session.duration_seconds || 0),
             project: session.project || 'Uncategorized'
           })),
+          manualEntries: manualEntries.map(entry => ({
+            id: entry.id,
+            startTime: entry.start_time,
+            endTime: entry.end_time,
+            durationSeconds: (new Date(entry.end_time) - new Date(entry.start_time)) / 1000,
+            project: entry.project || 'Uncategorized',
+            category: entry.category,
+            note: entry.note,
+            source: entry.source
+          })),
+          commits: commits.map(commit => ({
+            hash: commit.hash,
+            repository: commit.repository,
+            project: commit.project,
+            timestamp: commit.timestamp,
+            subject: commit.subject,
+            sessionId: commit.sessionId
+          })),
           activities: activities.map(activity => ({
             timestamp: activity.timestamp,
             appName: activity.app_name,
             windowTitle: activity.window_title,
+            url: activity.url,
             isAfk: activity.is_afk === 1,
             afkType: activity.afk_type,
             project: activity.project
@@ -111,6 +153,8 @@ class Exporter {
           path: filePath,
           recordCount: {
             sessions: sessions.length,
+            manualEntries: manualEntries.length,
+            commits: commits.length,
             activities: activities.length,
             dailySummaries: dailySummaries.length
           }
@@ -133,13 +177,14 @@ class Exporter {
         }
 
         // CSV header
-        let csv = 'Date,Total Work (seconds),Total Work (formatted),Goal (seconds),Sessions,Goal Progress (%)\n';
+        let csv = 'Date,Total Work (seconds),Total Work (formatted),Manual Work (seconds),Goal (seconds),Sessions,Goal Progress (%)\n';
 
         for (const summary of summaries) {
           const row = [
             summary.date,
             summary.total_work_seconds || 0,
             this.formatDuration(summary.total_work_seconds || 0),
+            this.getManualSecondsForDate(summary.date),
             summary.goal_seconds || 0,
             summary.sessions_count || 0,
             summary.goal_seconds ?
@@ -167,6 +212,7 @@ class Exporter {
       try {
         const stats = db.getProjectStats(startDate, endDate);
         const formatted = projects.formatProjectStats(stats);
+        const manualSeconds = this.getManualSecondsByProject(startDate, endDate);
 
         if (formatted.length === 0) {
           reject(new Error('No project data to export'));
@@ -174,13 +220,14 @@ class Exporter {
         }
 
         // CSV header
-        let csv = 'Project,Total Work (seconds),Total Work (formatted),Session Count\n';
+        let csv = 'Project,Total Work (seconds),Total Work (formatted),Manual Work (seconds),Session Count\n';
 
         for (const project of formatted) {
           const row = [
             this.escapeCSV(project.project),
             project.totalSeconds,
             project.formattedTime,
+            manualSeconds[project.project] || 0,
             project.sessionCount
           ];
 
@@ -199,6 +246,23 @@ class Exporter {
     });
   }
 
+  // Helper: Get the part of a date's total that comes from manual entries
+  getManualSecondsForDate(date) {
+    const result = db.calculateWorkTimeForDate(date);
+    return result ? result.manualSeconds || 0 : 0;
+  }
+
+  // Helper: Get the seconds of manual entries per project in a date range,
+  // counted the way project stats count them
+  getManualSecondsByProject(startDate, endDate) {
+    const seconds = {};
+    for (const entry of db.getManualEntriesForRange(startDate, endDate)) {
+      const project = entry.project || 'Uncategorized';
+      seconds[project] = (seconds[project] || 0) + (new Date(entry.end_time) - new Date(entry.start_time)) / 1000;
+    }
+    return seconds;
+  }
+
   // Helper: Format duration in seconds to human readable
   formatDuration(seconds) {
     const hours = Math.floor(seconds / 3600);
@@ -0,0 +1,157 @@
+// gitCommits.js - Links commits in local repositories to work sessions
+//
+// config.gitRepositories lists local repository paths. Their commits are read
+// from git log when asked for (nothing is stored), keeping those authored by
+// the repository's user.email, and each is tagged with the project detected
+// for its repository (see ProjectManager.detectProject): its project keyword
+// or folder name, the same project editor and shell activity in it gets.
+//
+// A commit is linked to the work session of its project that was running
+// when it was made. Sessions end at the last activity the tracker saw, so a
+// commit made shortly after still counts for the session before it. Commits
+// without a matching session are listed, unlinked.
+const { execFile } = require('child_process');
+const os = require('os');
+const path = require('path');
+const { config } = require('./config');
+const { db } = require('./database');
+const { projects } = require('./projects');
+const { days } = require('./dayBoundary');
+
+// How long after a session ends a commit still belongs to it
+const SESSION_SLACK_SECONDS = 5 * 60;
+// Longest a git command may run
+const GIT_TIMEOUT_MS = 10000;
+
+class GitCommitTracker {
+  constructor() {
+    this.db = db;
+  }
+
+  // Get the configured repository paths, with ~ expanded
+  getRepositories(cfg = config.getAll()) {
+    return (cfg.gitRepositories || [])
+      .filter(repo => typeof repo === 'string' && repo.trim())
+      .map(repo => repo.trim().replace(/^~(?=$|[\\/])/, os.homedir()))
+      .map(repo => path.resolve(repo));
+  }
+
+  // Get the commits made in a date range, oldest first, each linked to its
+  // session: [{ hash, repository, project, timestamp, subject, sessionId }].
+  // Repositories that can't be read are skipped.
+  async getCommitsForRange(startDate, endDate, cfg = config.getAll()) {
+    const { start, end } = days.getRangeBounds(startDate, endDate);
+    const commits = [];
+    const seen = new Set();
+
+    for (const repository of this.getRepositories(cfg)) {
+      try {
+        for (const commit of await this.readRepository(repository, start, end)) {
+          // The same repository may be listed twice, or cloned twice
+          if (seen.has(commit.hash)) continue;
+          seen.add(commit.hash);
+          commits.push(commit);
+        }
+      } catch (error) {
+        console.error(`Error reading commits from ${repository}:`, error.message);
+      }
+    }
+
+    commits.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    return this.linkSessions(commits, this.db.getSessionsForDateRange(startDate, endDate));
+  }
+
+  // Read the user's commits in one repository between two Dates
+  async readRepository(repository, start, end) {
+    // Without a configured email every commit counts
+    const email = await this.runGit(repository, ['config', 'user.email'])
+      .then(output => output.trim().toLowerCase(), () => '');
+
+    const output = await this.runGit(repository, [
+      'log', '--branches', '--remotes', '--no-merges',
+      `--since=${start.toISOString()}`, `--until=${end.toISOString()}`,
+      '--format=%H%x1f%cI%x1f%ae%x1f%s'
+    ]);
+
+    const project = projects.detectProject(null, null, repository);
+    const commits = [];
+
+    for (const line of output.split('\n')) {
+      const [hash, date, author, subject] = line.split('\x1f');
+      if (!hash || !date) continue;
+      if (email && (author || '').toLowerCase() !== email) continue;
+
+      const timestamp = new Date(date);
+      if (timestamp < start || timestamp >= end) continue;
+
+      commits.push({ hash, repository, project, timestamp: timestamp.toISOString(), subject: subject || '' });
+    }
+
+    return commits;
+  }
+
+  // Link each commit to the session of its project running when it was
+  // made, or that ended at most SESSION_SLACK_SECONDS before
+  linkSessions(commits, sessions, now = new Date()) {
+    return commits.map(commit => {
+      const time = new Date(commit.timestamp);
+      let match = null;
+
+      for (const session of sessions) {
+        if ((session.project || 'Uncategorized') !== commit.project) continue;
+
+        const start = new Date(session.start_time);
+        const end = session.end_time ? new Date(session.end_time) : now;
+        if (time < start || (time - end) / 1000 > SESSION_SLACK_SECONDS) continue;
+
+        // A session still running at the commit beats one that had ended
+        if (!match || time <= end || start > new Date(match.start_time)) {
+          match = session;
+        }
+        if (time <= end) break;
+      }
+
+      return { ...commit, sessionId: match ? match.id : null };
+    });
+  }
+
+  // Get a date's time and commits per project, most time first:
+  // [{ project, seconds, commits }]
+  async getProjectDay(date, cfg = config.getAll()) {
+    const commits = await this.getCommitsForRange(date, date, cfg);
+    const rows = new Map();
+
+    for (const [project, stats] of Object.entries(this.db.getProjectStats(date, date))) {
+      rows.set(project, { project, seconds: stats.totalSeconds || 0, commits: [] });
+    }
+    for (const commit of commits) {
+      if (!rows.has(commit.project)) {
+        rows.set(commit.project, { project: commit.project, seconds: 0, commits: [] });
+      }
+      rows.get(commit.project).commits.push(commit);
+    }
+
+    return [...rows.values()].sort((a, b) => (b.seconds - a.seconds) || (b.commits.length - a.commits.length));
+  }
+
+  // Run git in a repository, resolving to its output
+  runGit(repository, args) {
+    return new Promise((resolve, reject) => {
+      execFile('git', ['-C', repository, ...args], { timeout: GIT_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 }, (error, stdout) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(stdout);
+        }
+      });
+    });
+  }
+}
+
+// Singleton instance
+const gitCommitTracker = new GitCommitTracker();
+
+module.exports = {
+  GitCommitTracker,
+  gitCommits: gitCommitTracker
+};
@@ -0,0 +1,132 @@
+// ingestServer.js - Local HTTP server companion plugins report to
+//
+// Plugins that can see more than the OS tools in crossPlatform.js post JSON
+// here: the browser extension reports the active tab (browserBridge.js, at
+// /activity), editor plugins send heartbeats (editorHeartbeats.js, at
+// /heartbeats) and shell hooks report commands (shellActivity.js, at /shell).
+// Each path is routed to a handler that returns whether it accepted the body:
+//
+//   POST http://127.0.0.1:<port>/<path>
+//   Content-Type: application/json
+//
+// The server only listens on the loopback interface. Requiring a JSON body
+// also keeps web pages out: browsers won't send a cross-origin JSON request
+// without a CORS preflight, which this server never approves. Extensions with
+// host permission for 127.0.0.1, editor plugins and shells skip the preflight.
+// A page that rebinds its own domain to 127.0.0.1 counts as same-origin and
+// needs no preflight, but its requests still carry its domain in the Host
+// header, so only requests addressed to 127.0.0.1 or localhost are accepted.
+const http = require('http');
+
+// Port plugins post to, unless config.ingestServer.port says otherwise
+const DEFAULT_PORT = 27191;
+// Largest request body accepted
+const MAX_BODY_BYTES = 256 * 1024;
+
+class IngestServer {
+  constructor() {
+    this.server = null;
+    // Handlers by path: body => accepted
+    this.routes = new Map();
+  }
+
+  // Send the JSON posted to a path to handler(body), which returns whether
+  // it accepted it
+  route(path, handler) {
+    this.routes.set(path, handler);
+  }
+
+  // Start listening. Resolves to whether the server is running; a port
+  // already in use is reported and leaves the server off.
+  start(port = DEFAULT_PORT) {
+    if (this.server) return Promise.resolve(true);
+
+    return new Promise(resolve => {
+      const server = http.createServer((req, res) => this.handleRequest(req, res));
+
+      server.once('error', error => {
+        console.error('Ingest server could not start:', error.message);
+        this.server = null;
+        resolve(false);
+      });
+      server.listen(port, '127.0.0.1', () => {
+        console.log(`Ingest server listening on 127.0.0.1:${server.address().port}`);
+        resolve(true);
+      });
+
+      this.server = server;
+    });
+  }
+
+  // Stop listening
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  // Get the port the server listens on, or null when it isn't running
+  getPort() {
+    const address = this.server && this.server.address();
+    return address ? address.port : null;
+  }
+
+  // Answer one HTTP request from a plugin
+  handleRequest(req, res) {
+    if (!this.isLocalHost(req.headers.host)) {
+      res.writeHead(403);
+      res.end();
+      return;
+    }
+
+    const handler = this.routes.get(req.url);
+    const contentType = String(req.headers['content-type'] || '');
+    if (req.method !== 'POST' || !handler || !contentType.startsWith('application/json')) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    let body = '';
+    let tooLarge = false;
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        tooLarge = true;
+        res.writeHead(413, { Connection: 'close' });
+        res.end();
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+
+      let accepted = false;
+      try {
+        accepted = handler(JSON.parse(body));
+      } catch (error) {
+        // Malformed JSON or a handler failure; answered as a bad request
+      }
+
+      res.writeHead(accepted ? 204 : 400);
+      res.end();
+    });
+  }
+
+  // Check that a Host header names this server by its loopback address
+  isLocalHost(host) {
+    const port = this.getPort();
+    return [`127.0.0.1:${port}`, `localhost:${port}`].includes(String(host || '').toLowerCase());
+  }
+}
+
+// Singleton instance
+const ingestServer = new IngestServer();
+
+module.exports = {
+  IngestServer,
+  ingestServer,
+  DEFAULT_PORT
+};
@@ -13,12 +13,25 @@ const { db } = require('./database');
 const { notifications } = require('./notifications');
 const { projects } = require('./projects');
 const { exporter } = require('./exporter');
+const { days } = require('./dayBoundary');
+const { calculator } = require('./workCalculator');
+const { reprocessor } = require('./reprocessor');
+const { triage } = require('./triage');
+const { manualEntries, MEETING_CATEGORY, MAX_ENTRY_SECONDS } = require('./manualEntries');
+const { classifier } = require('./classifier');
+const { gitCommits } = require('./gitCommits');
 const activityTracker = require('./activityTracker');
 const workTracker = require('./workTracker');
 
 // Windows
 let settingsWindow = null;
 let statsWindow = null;
+let triageWindow = null;
+let welcomeWindow = null;
+let manualEntryWindow = null;
+
+// Long absences waiting to be answered in the welcome back window
+const awayPeriods = [];
 
 // Prevent multiple instances of the app
 const gotTheLock = app.requestSingleInstanceLock();
@@ -75,6 +88,10 @@ ipcMain.handle('save-config', (event, newConfig) => {
   if (success) {
     // Invalidate project keyword cache
     projects.invalidateCache();
+    // Cached daily summaries were computed with the old rules
+    if (db.isAvailable() && db.initialized) {
+      db.invalidateDailySummaryCache();
+    }
     // Reinitialize notifications with new settings
     notifications.init();
   }
@@ -86,33 +103,151 @@ ipcMain.handle('reset-config', () => {
   return config.getAll();
 });
 
+// Re-tag and re-summarize past activity with the current settings,
+// streaming progress back to the window that asked
+ipcMain.handle('reprocess-history', async (event, { startDate, endDate }) => {
+  const sender = event.sender;
+
+  return reprocessor.run(startDate, endDate, progress => {
+    if (!sender.isDestroyed()) {
+      sender.send('reprocess-progress', progress);
+    }
+  });
+});
+
+ipcMain.handle('cancel-reprocess', () => {
+  return reprocessor.cancel();
+});
+
+// IPC Handlers for Triage Window
+ipcMain.handle('get-unclassified', (event, { dayCount = 30 } = {}) => {
+  const endDate = days.getToday();
+  const startDate = days.addDays(endDate, -(dayCount - 1));
+
+  return {
+    startDate,
+    endDate,
+    entries: db.isAvailable() ? triage.getUnclassified(startDate, endDate) : [],
+    projects: projects.getAllProjects()
+  };
+});
+
+ipcMain.handle('triage-action', (event, entry) => {
+  return triage.applyAction(entry);
+});
+
+// Welcome back prompt: ask what a long absence was
+activityTracker.setAwayReturnHandler(period => {
+  // Longer absences (a weekend with the machine left on) can't be stored as
+  // an entry, so there is nothing to ask
+  if (period.seconds > MAX_ENTRY_SECONDS) return;
+  awayPeriods.push(period);
+  openWelcomeBackWindow();
+});
+
+ipcMain.handle('get-away-period', () => {
+  return {
+    period: awayPeriods[0] || null,
+    pending: awayPeriods.length,
+    projects: projects.getAllProjects()
+  };
+});
+
+ipcMain.handle('resolve-away-period', (event, answer) => {
+  const period = awayPeriods[0];
+  const result = manualEntries.resolveAway(period, answer);
+  if (!result.success) {
+    return result;
+  }
+
+  awayPeriods.shift();
+  if (awayPeriods.length === 0 && welcomeWindow) {
+    welcomeWindow.close();
+  }
+  notifyManualEntriesChanged();
+  return result;
+});
+
+// IPC Handlers for manual entries
+ipcMain.handle('get-manual-entries', (event, { date }) => {
+  if (!db.isAvailable() || !db.initialized) {
+    return [];
+  }
+
+  return db.getManualEntriesForDate(date);
+});
+
+ipcMain.handle('get-manual-entry-options', () => {
+  const categories = classifier.getCategoryPaths();
+  return {
+    projects: projects.getAllProjects(),
+    categories: categories.includes(MEETING_CATEGORY) ? categories : [...categories, MEETING_CATEGORY]
+  };
+});
+
+ipcMain.handle('add-manual-entry', (event, entry) => {
+  const result = manualEntries.addEntry(entry);
+  if (result.success) {
+    notifyManualEntriesChanged();
+  }
+  return result;
+});
+
+ipcMain.handle('delete-manual-entry', (event, { id }) => {
+  const deleted = manualEntries.deleteEntry(id);
+  if (deleted) {
+    notifyManualEntriesChanged();
+  }
+  return deleted;
+});
+
+ipcMain.handle('open-manual-entry', (event, { date } = {}) => {
+  openManualEntryWindow(date);
+});
+
+// Let the stats window pick up added or removed manual time
+function notifyManualEntriesChanged() {
+  if (statsWindow) {
+    statsWindow.webContents.send('manual-entries-changed');
+  }
+}
+
 // IPC Handlers for Stats Window
-ipcMain.handle('get-stats', async (event, { startDate, endDate }) => {
+ipcMain.handle('get-stats', async (event, { startDate, endDate } = {}) => {
   const cfg = config.getAll();
-  const today = new Date().toISOString().split('T')[0];
+  const today = days.getToday();
+
+  // Default to the last 30 tracking days
+  endDate = endDate || today;
+  startDate = startDate || days.addDays(endDate, -30);
 
   // Get today's data
   let todayData = { totalWorkSeconds: 0, sessionsCount: 0, streak: 0 };
+  let dailySummaries = [];
+  let projectStats = {};
+  let categoryStats = {};
 
   if (db.isAvailable() && db.initialized) {
-    const todaySummary = db.getDailySummary(today);
-    if (todaySummary) {
-      todayData = {
-        totalWorkSeconds: todaySummary.total_work_seconds || 0,
-        sessionsCount: todaySummary.sessions_count || 0,
-        streak: calculateStreak()
-      };
-    } else {
-      // Calculate from activity log
-      const calculated = db.calculateWorkTimeForDate(today, cfg.productiveApps, cfg.productiveWebsites);
-      if (calculated) {
-        todayData = {
-          totalWorkSeconds: calculated.totalWorkSeconds,
-          sessionsCount: calculated.sessionsCount,
-          streak: calculateStreak()
-        };
-      }
-    }
+    // Bring cached summaries up to date; cached days only replay new rows
+    await workTracker.refreshDailySummaries(startDate, endDate);
+
+    const todayResult = await workTracker.refreshDailySummary(today);
+    todayData = {
+      totalWorkSeconds: todayResult.totalWorkTime.totalSeconds,
+      sessionsCount: todayResult.sessionsCount,
+      tierSeconds: {
+        productive: todayResult.tiers.productive.totalSeconds,
+        neutral: todayResult.tiers.neutral.totalSeconds,
+        distracting: todayResult.tiers.distracting.totalSeconds
+      },
+      weightedSeconds: todayResult.weightedSeconds,
+      meetingSeconds: todayResult.meetingTime.totalSeconds,
+      streak: await calculateStreak()
+    };
+
+    dailySummaries = db.getDailySummariesForRange(startDate, endDate);
+    projectStats = db.getProjectStats(startDate, endDate);
+    categoryStats = db.getCategoryStats(startDate, endDate);
   } else {
     // Fallback to text log
     try {
@@ -128,18 +263,6 @@ ipcMain.handle('get-stats', async (event, { startDate, endDate }) => {
     }
   }
 
-  // Get daily summaries for range
-  let dailySummaries = [];
-  if (db.isAvailable() && db.initialized) {
-    dailySummaries = db.getDailySummariesForRange(startDate, endDate);
-  }
-
-  // Get project stats
-  let projectStats = {};
-  if (db.isAvailable() && db.initialized) {
-    projectStats = db.getProjectStats(startDate, endDate);
-  }
-
   // Calculate summary
   const totalWorkSeconds = dailySummaries.reduce((sum, d) => sum + (d.total_work_seconds || 0), 0);
   const totalSessions = dailySummaries.reduce((sum, d) => sum + (d.sessions_count || 0), 0);
@@ -147,17 +270,30 @@ ipcMain.handle('get-stats', async (event, { startDate, endDate }) => {
   const avgDailySeconds = daysWithData > 0 ? totalWorkSeconds / daysWithData : 0;
   const goalSeconds = cfg.dailyGoalMinutes * 60;
   const goalsReached = dailySummaries.filter(d => (d.total_work_seconds || 0) >= goalSeconds).length;
+  const tierSeconds = {
+    productive: dailySummaries.reduce((sum, d) => sum + (d.productive_seconds || 0), 0),
+    neutral: dailySummaries.reduce((sum, d) => sum + (d.neutral_seconds || 0), 0),
+    distracting: dailySummaries.reduce((sum, d) => sum + (d.distracting_seconds || 0), 0)
+  };
 
   return {
     today: todayData,
+    todayDate: today,
+    startDate,
+    endDate,
     config: cfg,
     dailySummaries,
     projectStats,
+    categoryStats,
     summary: {
       totalWorkSeconds,
       totalSessions,
       avgDailySeconds,
-      goalsReached
+      goalsReached,
+      tierSeconds,
+      weightedSeconds: calculator.getWeightedSeconds(tierSeconds, cfg.tierWeights),
+      // Daily summaries keep meeting time as the Meetings category
+      meetingSeconds: categoryStats[MEETING_CATEGORY] || 0
     }
   };
 });
@@ -170,93 +306,61 @@ ipcMain.handle('get-hourly-stats', async (event, { date }) => {
     return hourlyMinutes;
   }
 
-  const cfg = config.getAll();
-  const activities = db.getActivityForDate(date);
+  // Hourly totals are kept in the cached daily summary state
+  const result = db.calculateWorkTimeForDate(date);
 
-  if (activities.length === 0) {
+  if (!result) {
     return hourlyMinutes;
   }
 
-  let isAfk = false;
-  let sessionStart = null;
-
-  for (const activity of activities) {
-    const timestamp = new Date(activity.timestamp);
-
-    if (activity.is_afk) {
-      if (activity.afk_type === 'start') {
-        if (sessionStart && !isAfk) {
-          addTimeToHours(hourlyMinutes, sessionStart, timestamp);
-        }
-        sessionStart = null;
-        isAfk = true;
-      } else if (activity.afk_type === 'end') {
-        isAfk = false;
-      }
-      continue;
-    }
-
-    if (isAfk) continue;
-
-    const isProductive = db.isProductiveActivity(
-      activity.app_name, activity.window_title,
-      cfg.productiveApps, cfg.productiveWebsites
-    );
-
-    if (isProductive) {
-      if (!sessionStart) {
-        sessionStart = timestamp;
-      }
-    } else if (sessionStart) {
-      addTimeToHours(hourlyMinutes, sessionStart, timestamp);
-      sessionStart = null;
-    }
-  }
+  return result.hourlySeconds.map(seconds => Math.round(seconds / 60));
+});
 
-  // Handle ongoing session
-  if (sessionStart && !isAfk) {
-    const now = new Date();
-    const todayStr = now.toISOString().split('T')[0];
-    if (date === todayStr) {
-      addTimeToHours(hourlyMinutes, sessionStart, now);
-    }
+// IPC Handler for the stretches of a day the tracker wasn't running
+ipcMain.handle('get-untracked-gaps', async (event, { date }) => {
+  if (!db.isAvailable() || !db.initialized) {
+    return [];
   }
 
-  return hourlyMinutes;
+  return db.getUntrackedGaps(date);
 });
 
-// Helper: Add time between start and end to hourly buckets
-function addTimeToHours(hourlyMinutes, start, end) {
-  let current = new Date(start);
-  while (current < end) {
-    const hour = current.getHours();
-    const endOfHour = new Date(current);
-    endOfHour.setMinutes(59, 59, 999);
+// IPC Handler for the stretches of a day tracking was paused
+ipcMain.handle('get-paused-periods', async (event, { date }) => {
+  if (!db.isAvailable() || !db.initialized) {
+    return [];
+  }
 
-    const segmentEnd = endOfHour < end ? endOfHour : end;
-    const minutes = (segmentEnd - current) / 60000;
-    hourlyMinutes[hour] += Math.round(minutes);
+  return db.getPausedPeriods(date);
+});
 
-    current = new Date(endOfHour.getTime() + 1);
+// IPC Handler for a day's time and commits per project
+ipcMain.handle('get-project-day', async (event, { date }) => {
+  if (!db.isAvailable() || !db.initialized) {
+    return { projects: [], repositoryCount: 0 };
   }
-}
+
+  return {
+    projects: await gitCommits.getProjectDay(date),
+    repositoryCount: gitCommits.getRepositories().length
+  };
+});
 
 // Calculate streak (days in a row where goal was reached)
-function calculateStreak() {
+async function calculateStreak() {
   if (!db.isAvailable() || !db.initialized) return 0;
 
   const cfg = config.getAll();
   const goalSeconds = cfg.dailyGoalMinutes * 60;
   let streak = 0;
-  let date = new Date();
+  let dateStr = days.getToday();
 
   while (true) {
-    const dateStr = date.toISOString().split('T')[0];
-    const summary = db.getDailySummary(dateStr);
+    const result = await workTracker.refreshDailySummary(dateStr);
 
-    if (summary && (summary.total_work_seconds || 0) >= goalSeconds) {
+    if (result.totalWorkTime.totalSeconds >= goalSeconds) {
       streak++;
-      date.setDate(date.getDate() - 1);
+      dateStr = days.addDays(dateStr, -1);
     } else {
       break;
     }
@@ -351,8 +455,93 @@ function openStatsWindow() {
   });
 }
 
+// Open Triage Window
+function openTriageWindow() {
+  if (triageWindow) {
+    triageWindow.focus();
+    return;
+  }
+
+  triageWindow = new BrowserWindow({
+    width: 750,
+    height: 700,
+    title: 'Unclassified Activity',
+    resizable: true,
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false
+    }
+  });
+
+  triageWindow.loadFile(path.join(__dirname, 'triage', 'triage.html'));
+
+  triageWindow.on('closed', () => {
+    triageWindow = null;
+  });
+}
+
+// Open the welcome back window; closing it discards unanswered absences
+function openWelcomeBackWindow() {
+  if (welcomeWindow) {
+    welcomeWindow.focus();
+    return;
+  }
+
+  welcomeWindow = new BrowserWindow({
+    width: 440,
+    height: 340,
+    title: 'Welcome Back',
+    resizable: false,
+    minimizable: false,
+    maximizable: false,
+    alwaysOnTop: true,
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false
+    }
+  });
+
+  welcomeWindow.loadFile(path.join(__dirname, 'welcome', 'welcome.html'));
+
+  welcomeWindow.on('closed', () => {
+    welcomeWindow = null;
+    awayPeriods.length = 0;
+  });
+}
+
+// Open the manual entry window, with the form set to a day (default today)
+function openManualEntryWindow(date = null) {
+  if (manualEntryWindow) {
+    manualEntryWindow.focus();
+    return;
+  }
+
+  manualEntryWindow = new BrowserWindow({
+    width: 440,
+    height: 520,
+    title: 'Add Manual Entry',
+    resizable: false,
+    minimizable: false,
+    maximizable: false,
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false
+    }
+  });
+
+  manualEntryWindow.loadFile(path.join(__dirname, 'manual', 'manual.html'), {
+    query: { date: date || days.getToday() }
+  });
+
+  manualEntryWindow.on('closed', () => {
+    manualEntryWindow = null;
+  });
+}
+
 // Export functions for menubar
 module.exports = {
   openSettingsWindow,
-  openStatsWindow
+  openStatsWindow,
+  openTriageWindow,
+  openManualEntryWindow
 };
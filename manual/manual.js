@@ -0,0 +1,84 @@
+// manual.js - Manual entry window renderer script
+const { ipcRenderer } = require('electron');
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+  setupEventListeners();
+  loadOptions();
+});
+
+// Set up event listeners
+function setupEventListeners() {
+  document.getElementById('entryForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveEntry();
+  });
+  document.getElementById('cancelBtn').addEventListener('click', () => window.close());
+}
+
+// Fill in the day, and the projects and categories to pick from
+async function loadOptions() {
+  const date = new URLSearchParams(window.location.search).get('date');
+  if (date) {
+    document.getElementById('dateInput').value = date;
+  }
+
+  try {
+    const options = await ipcRenderer.invoke('get-manual-entry-options');
+
+    const projectOptions = document.getElementById('projectOptions');
+    for (const project of options.projects) {
+      const option = document.createElement('option');
+      option.value = project;
+      projectOptions.appendChild(option);
+    }
+
+    const categoryInput = document.getElementById('categoryInput');
+    for (const category of options.categories) {
+      const option = document.createElement('option');
+      option.value = category;
+      option.textContent = category;
+      categoryInput.appendChild(option);
+    }
+  } catch (error) {
+    console.error('Error loading entry options:', error);
+  }
+}
+
+// Store the entry; the main process checks it and reports what's wrong
+async function saveEntry() {
+  const date = document.getElementById('dateInput').value;
+  const start = new Date(`${date}T${document.getElementById('startInput').value}`);
+  const end = new Date(`${date}T${document.getElementById('endInput').value}`);
+
+  // An end before the start runs past midnight
+  if (end <= start) {
+    end.setDate(end.getDate() + 1);
+  }
+
+  try {
+    const result = await ipcRenderer.invoke('add-manual-entry', {
+      startTime: start.toISOString(),
+      endTime: end.toISOString(),
+      project: document.getElementById('projectInput').value,
+      category: document.getElementById('categoryInput').value,
+      note: document.getElementById('noteInput').value
+    });
+
+    if (!result.success) {
+      showError(result.error);
+      return;
+    }
+    window.close();
+  } catch (error) {
+    console.error('Error saving manual entry:', error);
+    showError('Failed to save the entry: ' + error.message);
+  }
+}
+
+// Show why the entry wasn't saved
+function showError(message) {
+  const error = document.getElementById('error');
+  error.textContent = message;
+  error.hidden = false;
+}
@@ -0,0 +1,116 @@
+// manualEntries.js - Work time the tracker could not see
+//
+// Manual entries live in their own table and are added on top of tracked
+// time wherever totals are built: daily summaries (and so the heatmap and
+// streaks), project stats and exports. Each is productive work with an
+// optional project, category and note, and is flagged as manual wherever it
+// is listed.
+//
+// Away time: after a long enough absence the user is asked what the time
+// was. The answer either discards it or records it as an entry with the
+// 'away' source.
+const { db } = require('./database');
+const { days } = require('./dayBoundary');
+const { MEETING_CATEGORY } = require('./classifier');
+// Longest entry accepted, so a mistyped date can't add days of work
+const MAX_ENTRY_SECONDS = 24 * 60 * 60;
+
+class ManualEntryManager {
+  constructor() {
+    this.db = db;
+  }
+
+  // Check an entry typed in by the user. Returns an error message, or null
+  // if the entry can be stored.
+  validateEntry({ startTime, endTime }, now = new Date()) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (isNaN(start) || isNaN(end)) return 'Start and end must be valid times';
+    if (end <= start) return 'End must be after start';
+    if (end > now) return 'Entries can only cover time that has passed';
+    if ((end - start) / 1000 > MAX_ENTRY_SECONDS) return 'Entries can be at most 24 hours long';
+
+    // Two entries for the same stretch would count it twice
+    const overlapping = this.db.getManualEntriesForRange(days.getDateKey(start), days.getDateKey(end))
+      .some(entry => new Date(entry.start_time) < end && new Date(entry.end_time) > start);
+    if (overlapping) return 'Overlaps another manual entry';
+
+    return null;
+  }
+
+  // Add an entry typed in by the user ({ startTime, endTime, project,
+  // category, note }). Returns { success, id } or { success: false, error }.
+  addEntry(entry, now = new Date()) {
+    if (!this.db.initialized && !this.db.init()) {
+      return { success: false, error: 'Database not available' };
+    }
+
+    const error = this.validateEntry(entry, now);
+    if (error) return { success: false, error };
+
+    const id = this.db.addManualEntry({
+      startTime: new Date(entry.startTime).toISOString(),
+      endTime: new Date(entry.endTime).toISOString(),
+      project: this.cleanText(entry.project),
+      category: this.cleanText(entry.category),
+      note: this.cleanText(entry.note)
+    });
+    return id ? { success: true, id } : { success: false, error: 'Failed to save the entry' };
+  }
+
+  // Delete an entry, returning whether it existed
+  deleteEntry(id) {
+    return this.db.deleteManualEntry(id);
+  }
+
+  // Record an answered away period ({ start, end }). answer is 'discard',
+  // 'work', 'meeting' or 'project' (with a project name). Returns
+  // { success, id } (id is null when discarded) or { success: false, error },
+  // e.g. when the period overlaps an entry already made for it.
+  resolveAway(period, { answer, project = null }, now = new Date()) {
+    if (answer === 'discard') return { success: true, id: null };
+    if (!period) return { success: false, error: 'No away period to answer' };
+
+    const entry = { startTime: period.start, endTime: period.end, source: 'away' };
+    switch (answer) {
+      case 'work':
+        break;
+      case 'meeting':
+        entry.category = MEETING_CATEGORY;
+        break;
+      case 'project':
+        if (!project) return { success: false, error: 'Choose a project' };
+        entry.project = project;
+        break;
+      default:
+        return { success: false, error: `Unknown answer: ${answer}` };
+    }
+
+    if (!this.db.initialized && !this.db.init()) {
+      return { success: false, error: 'Database not available' };
+    }
+
+    const error = this.validateEntry(entry, now);
+    if (error) return { success: false, error };
+
+    const id = this.db.addManualEntry(entry);
+    return id ? { success: true, id } : { success: false, error: 'Failed to save the entry' };
+  }
+
+  // Helper: Trim optional text, storing blanks as null
+  cleanText(value) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    return text || null;
+  }
+}
+
+// Singleton instance
+const manualEntryManager = new ManualEntryManager();
+
+module.exports = {
+  ManualEntryManager,
+  manualEntries: manualEntryManager,
+  MEETING_CATEGORY,
+  MAX_ENTRY_SECONDS
+};
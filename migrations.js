@@ -0,0 +1,233 @@
+// migrations.js - Numbered schema migrations for the Work Tracker database
+//
+// Migrations run in version order, each inside its own transaction, and are
+// recorded in the schema_version table once applied. A migration that has
+// shipped must never be edited: add a new one with the next version instead.
+// Use addColumnIfMissing() rather than swallowing ALTER TABLE errors, so a
+// real failure is never mistaken for "already applied".
+
+// Raised when the schema cannot be brought up to date
+class MigrationError extends Error {
+  constructor(migration, cause, backupPath = null) {
+    super(`Database migration ${migration.version} (${migration.description}) failed: ${cause.message}`);
+    this.name = 'MigrationError';
+    this.version = migration.version;
+    this.cause = cause;
+    this.backupPath = backupPath;
+  }
+}
+
+// Add a column unless the table already has it (databases created before
+// versioning may already carry columns added by the old ad-hoc upgrades)
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(c => c.name === column)) return false;
+
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS activity_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp TEXT NOT NULL,
+          app_name TEXT,
+          window_title TEXT,
+          is_afk INTEGER DEFAULT 0,
+          afk_type TEXT,
+          project TEXT,
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS work_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          start_time TEXT NOT NULL,
+          end_time TEXT,
+          duration_seconds INTEGER,
+          project TEXT,
+          is_productive INTEGER DEFAULT 1,
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS daily_summary (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT UNIQUE NOT NULL,
+          total_work_seconds INTEGER DEFAULT 0,
+          goal_seconds INTEGER,
+          sessions_count INTEGER DEFAULT 0,
+          productive_seconds INTEGER DEFAULT 0,
+          projects_json TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          updated_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS migration_status (
+          id INTEGER PRIMARY KEY,
+          migrated_at TEXT,
+          log_file_path TEXT,
+          entries_migrated INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_activity_timestamp ON activity_log(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_activity_date ON activity_log(date(timestamp));
+        CREATE INDEX IF NOT EXISTS idx_sessions_start ON work_sessions(start_time);
+        CREATE INDEX IF NOT EXISTS idx_daily_date ON daily_summary(date);
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Track summary progress through the activity log',
+    up(db) {
+      addColumnIfMissing(db, 'daily_summary', 'last_activity_id', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'daily_summary', 'last_activity_timestamp', 'TEXT');
+      addColumnIfMissing(db, 'daily_summary', 'is_session_open', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'daily_summary', 'open_session_start', 'TEXT');
+    }
+  },
+  {
+    version: 3,
+    description: 'Cache resumable daily summary state',
+    up(db) {
+      addColumnIfMissing(db, 'daily_summary', 'closed_work_seconds', 'REAL DEFAULT 0');
+      addColumnIfMissing(db, 'daily_summary', 'closed_sessions_count', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'daily_summary', 'hourly_json', 'TEXT');
+      addColumnIfMissing(db, 'daily_summary', 'is_afk', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'daily_summary', 'cache_key', 'TEXT');
+    }
+  },
+  {
+    version: 4,
+    description: 'Split tracked time into productive, neutral and distracting tiers',
+    up(db) {
+      addColumnIfMissing(db, 'daily_summary', 'neutral_seconds', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'daily_summary', 'distracting_seconds', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'daily_summary', 'tier_json', 'TEXT');
+    }
+  },
+  {
+    version: 5,
+    description: 'Tag activity with a category path',
+    up(db) {
+      addColumnIfMissing(db, 'activity_log', 'category', 'TEXT');
+      addColumnIfMissing(db, 'daily_summary', 'categories_json', 'TEXT');
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_activity_category ON activity_log(category)`);
+    }
+  },
+  {
+    version: 6,
+    description: 'Cache interruption state of the open session',
+    up(db) {
+      addColumnIfMissing(db, 'daily_summary', 'segment_start', 'TEXT');
+      addColumnIfMissing(db, 'daily_summary', 'pending_break_start', 'TEXT');
+    }
+  },
+  {
+    version: 7,
+    description: 'Record how long each activity row lasted',
+    up(db) {
+      addColumnIfMissing(db, 'activity_log', 'duration_seconds', 'REAL');
+    }
+  },
+  {
+    version: 8,
+    description: 'Store manually entered work time',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS manual_entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          start_time TEXT NOT NULL,
+          end_time TEXT NOT NULL,
+          project TEXT,
+          category TEXT,
+          note TEXT,
+          source TEXT DEFAULT 'manual',
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_manual_entries_start ON manual_entries(start_time);
+      `);
+    }
+  },
+  {
+    version: 9,
+    description: 'Record the URL of browser activity',
+    up(db) {
+      addColumnIfMissing(db, 'activity_log', 'url', 'TEXT');
+    }
+  },
+  {
+    version: 10,
+    description: 'Store file-level heartbeats from editor plugins',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS editor_heartbeats (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp TEXT NOT NULL,
+          entity TEXT NOT NULL,
+          language TEXT,
+          project TEXT,
+          project_root TEXT,
+          branch TEXT,
+          editor TEXT,
+          activity_id INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_editor_heartbeats_timestamp ON editor_heartbeats(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_editor_heartbeats_activity ON editor_heartbeats(activity_id);
+      `);
+    }
+  },
+  {
+    version: 11,
+    description: 'Store commands reported by the shell integration',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS shell_commands (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp TEXT NOT NULL,
+          cwd TEXT NOT NULL,
+          repo_root TEXT,
+          command TEXT,
+          exit_status INTEGER,
+          activity_id INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_shell_commands_timestamp ON shell_commands(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_shell_commands_activity ON shell_commands(activity_id);
+      `);
+    }
+  },
+  {
+    version: 12,
+    description: 'Remove query strings and fragments from stored URLs',
+    up(db) {
+      const rows = db.prepare(`
+        SELECT id, url FROM activity_log WHERE url LIKE '%?%' OR url LIKE '%#%'
+      `).all();
+      const update = db.prepare('UPDATE activity_log SET url = ? WHERE id = ?');
+
+      for (const row of rows) {
+        update.run(row.url.replace(/[?#].*$/s, ''), row.id);
+      }
+    }
+  },
+  {
+    version: 13,
+    description: 'Add the last sample time to work sessions',
+    up(db) {
+      addColumnIfMissing(db, 'work_sessions', 'last_seen', 'TEXT');
+    }
+  }
+];
+
+module.exports = {
+  MIGRATIONS,
+  MigrationError,
+  addColumnIfMissing
+};
@@ -1,6 +1,11 @@
 // notifications.js - Break reminders and daily summary notifications
 const { Notification } = require('electron');
 const { config } = require('./config');
+const { days } = require('./dayBoundary');
+
+// Longest wait before re-checking the day rollover, so DST shifts and
+// timezone changes while travelling are picked up within the hour
+const MAX_ROLLOVER_CHECK_MS = 60 * 60 * 1000;
 
 class NotificationManager {
   constructor() {
@@ -8,6 +13,7 @@ class NotificationManager {
     this.lastWorkStart = null;
     this.continuousWorkMinutes = 0;
     this.dailySummaryTimer = null;
+    this.dailyResetTimer = null;
     this.goalNotifiedToday = false;
     this.lastNotificationDate = null;
   }
@@ -19,23 +25,23 @@ class NotificationManager {
     return true;
   }
 
-  // Reset daily notification flags at midnight
+  // Reset daily notification flags when a new tracking day starts
   resetDailyFlags() {
-    const now = new Date();
-    const today = now.toISOString().split('T')[0];
+    if (this.dailyResetTimer) {
+      clearTimeout(this.dailyResetTimer);
+    }
+
+    const today = days.getToday();
 
     if (this.lastNotificationDate !== today) {
       this.goalNotifiedToday = false;
       this.lastNotificationDate = today;
     }
 
-    // Schedule next reset at midnight
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    const msUntilMidnight = tomorrow - now;
+    // Schedule the next check at the day rollover (or within the hour)
+    const msUntilRollover = Math.min(days.msUntilNextDay(), MAX_ROLLOVER_CHECK_MS);
 
-    setTimeout(() => this.resetDailyFlags(), msUntilMidnight);
+    this.dailyResetTimer = setTimeout(() => this.resetDailyFlags(), msUntilRollover);
   }
 
   // Set up daily summary notification timer
@@ -239,6 +245,10 @@ class NotificationManager {
       clearTimeout(this.dailySummaryTimer);
       this.dailySummaryTimer = null;
     }
+    if (this.dailyResetTimer) {
+      clearTimeout(this.dailyResetTimer);
+      this.dailyResetTimer = null;
+    }
   }
 }
 
@@ -19,14 +19,30 @@ class ProjectManager {
     return this.cachedKeywords;
   }
 
-  // Detect project from window title
-  detectProject(windowTitle, appName = null) {
+  // Detect project from window title. projectRoot is the folder an editor
+  // plugin reported as open in the window (see editorHeartbeats.js); it is
+  // more reliable than the title, so it wins when given.
+  detectProject(windowTitle, appName = null, projectRoot = null) {
+    if (projectRoot) {
+      return this.matchKeywords(projectRoot) || this.getFolderName(projectRoot) || 'Uncategorized';
+    }
+
     if (!windowTitle && !appName) {
       return 'Uncategorized';
     }
 
+    const match = this.matchKeywords(`${windowTitle || ''} ${appName || ''}`);
+    if (match) return match;
+
+    // Try to detect from common patterns
+    return this.detectFromPatterns(windowTitle, appName);
+  }
+
+  // Find the configured project one of whose keywords appears in text, or
+  // return null
+  matchKeywords(text) {
     const keywords = this.getKeywords();
-    const searchText = `${windowTitle || ''} ${appName || ''}`.toLowerCase();
+    const searchText = text.toLowerCase();
 
     // Search through all projects and their keywords
     for (const [projectName, projectKeywords] of Object.entries(keywords)) {
@@ -39,8 +55,13 @@ class ProjectManager {
       }
     }
 
-    // Try to detect from common patterns
-    return this.detectFromPatterns(windowTitle, appName);
+    return null;
+  }
+
+  // Get the last folder name of a path, for POSIX and Windows paths alike
+  getFolderName(folder) {
+    const parts = String(folder).split(/[\\/]+/).filter(Boolean);
+    return parts.length > 0 ? parts[parts.length - 1] : null;
   }
 
   // Try to detect project from common patterns in window titles
@@ -120,11 +141,15 @@ class ProjectManager {
     }
   }
 
-  // Get work time breakdown by project for a date
+  // Get work time breakdown by project for a date. Rows count for their
+  // recorded duration; older rows without one for a tracking interval.
   getProjectBreakdownForDate(date, activities) {
     const breakdown = {};
+    const trackingInterval = config.get('trackingIntervalSeconds') || 30;
 
     for (const activity of activities) {
+      if (activity.is_afk) continue;
+
       const project = activity.project || this.detectProject(activity.window_title, activity.app_name);
 
       if (!breakdown[project]) {
@@ -134,9 +159,8 @@ class ProjectManager {
         };
       }
 
-      // Each activity entry represents ~30 seconds of work (tracking interval)
-      const trackingInterval = config.get('trackingIntervalSeconds') || 30;
-      breakdown[project].totalSeconds += trackingInterval;
+      const hasDuration = activity.duration_seconds !== null && activity.duration_seconds !== undefined;
+      breakdown[project].totalSeconds += hasDuration ? activity.duration_seconds : trackingInterval;
       breakdown[project].entries += 1;
     }
 
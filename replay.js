@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// replay.js - Run the tracker headless over a recorded activity timeline
+//
+// Usage: node replay.js <timeline.jsonl> [--data-dir <dir>] [--interval <seconds>]
+//
+// Plays the timeline (see replaySource.js) through the real tracker,
+// database and session builder, then prints each day's totals as JSON.
+// Without --data-dir the run uses a fresh temporary directory, so the real
+// ~/.worktracker data is never touched; a config.json placed in the data
+// directory is picked up like the app's own.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('./config');
+const { db } = require('./database');
+const { days } = require('./dayBoundary');
+const { ReplayActivitySource } = require('./replaySource');
+const { TIERS } = require('./classifier');
+const tracker = require('./activityTracker');
+
+// Parse command line arguments
+function parseArgs(argv) {
+  const args = { timeline: null, dataDir: null, interval: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--data-dir') {
+      args.dataDir = argv[++i];
+    } else if (argv[i] === '--interval') {
+      args.interval = parseInt(argv[++i], 10);
+    } else {
+      args.timeline = argv[i];
+    }
+  }
+
+  return args;
+}
+
+// Point config and database at the given data directory
+function useDataDir(dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  config.configDir = dataDir;
+  config.configPath = path.join(dataDir, 'config.json');
+  config.config = null;
+
+  db.dbDir = dataDir;
+  db.dbPath = path.join(dataDir, 'worktracker.db');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.timeline) {
+    console.error('Usage: node replay.js <timeline.jsonl> [--data-dir <dir>] [--interval <seconds>]');
+    process.exit(1);
+  }
+
+  const source = ReplayActivitySource.fromFile(args.timeline);
+  if (source.samples.length === 0) {
+    console.error('Timeline is empty');
+    process.exit(1);
+  }
+  const dataDir = args.dataDir || fs.mkdtempSync(path.join(os.tmpdir(), 'worktracker-replay-'));
+  useDataDir(dataDir);
+
+  // The tracker and migrations log as they go; keep stdout for the results
+  const log = console.log;
+  console.log = () => {};
+
+  if (!db.isAvailable() || !db.init()) {
+    console.error('Database not available');
+    process.exit(1);
+  }
+
+  const samples = await tracker.replayActivity(source, args.interval || undefined);
+  console.log = log;
+
+  const firstDate = days.getDateKey(source.samples[0].time);
+  const lastDate = days.getDateKey(source.getEndTime());
+  const results = summarizeDays(firstDate, lastDate);
+
+  console.log(JSON.stringify({ dataDir, samples, days: results }, null, 2));
+  db.close();
+}
+
+// Get the totals of every day in a range, including days without activity
+function summarizeDays(firstDate, lastDate) {
+  return days.getDateKeysInRange(firstDate, lastDate).map(date => {
+    // Days the timeline has no activity on have no result
+    const result = db.calculateWorkTimeForDate(date) || createEmptyTotals();
+    const { totalWorkSeconds, sessionsCount, tierSeconds, categorySeconds } = result;
+    return {
+      date,
+      totalWorkSeconds,
+      sessionsCount,
+      tierSeconds,
+      categorySeconds,
+      projects: db.getProjectStats(date, date)
+    };
+  });
+}
+
+// Totals of a day without activity
+function createEmptyTotals() {
+  return {
+    totalWorkSeconds: 0,
+    sessionsCount: 0,
+    tierSeconds: Object.fromEntries(TIERS.map(tier => [tier, 0])),
+    categorySeconds: {}
+  };
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error replaying timeline:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  summarizeDays
+};
@@ -0,0 +1,102 @@
+// replaySource.js - An activity source that plays back a recorded timeline
+//
+// A timeline is JSONL, one sample per line, in any order:
+//
+//   {"timestamp": "2024-01-15T09:00:00.000Z", "appName": "Code", "windowTitle": "api - index.js"}
+//   {"timestamp": "2024-01-15T09:20:00.000Z", "appName": "Google Chrome", "windowTitle": "PR #12", "url": "https://github.com/org/api/pull/12"}
+//   {"timestamp": "2024-01-15T09:45:00.000Z", "idleSeconds": 600}
+//
+// Each sample holds until the next one. The source has its own clock,
+// starting at the first sample and moved on with advance(), so a tracker
+// driven by it sees exactly the recorded sequence, with recorded timestamps,
+// no matter how fast it runs. Blank lines are skipped.
+const fs = require('fs');
+
+class ReplayActivitySource {
+  constructor(samples = []) {
+    this.samples = samples
+      .map(sample => ({ ...sample, time: new Date(sample.timestamp) }))
+      .sort((a, b) => a.time - b.time);
+    this.clock = this.samples.length > 0 ? new Date(this.samples[0].time) : new Date(0);
+  }
+
+  // Parse a JSONL timeline
+  static parse(text) {
+    const samples = [];
+
+    text.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+
+      let sample;
+      try {
+        sample = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid timeline line ${index + 1}: ${error.message}`);
+      }
+      if (!sample || isNaN(new Date(sample.timestamp))) {
+        throw new Error(`Invalid timeline line ${index + 1}: missing or invalid timestamp`);
+      }
+      samples.push(sample);
+    });
+
+    return new ReplayActivitySource(samples);
+  }
+
+  // Load a JSONL timeline from disk
+  static fromFile(filePath) {
+    return ReplayActivitySource.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // The replay clock
+  now() {
+    return new Date(this.clock);
+  }
+
+  // Move the clock forward
+  advance(seconds) {
+    this.clock = new Date(this.clock.getTime() + seconds * 1000);
+    return this.now();
+  }
+
+  // Check whether the clock has passed the last sample
+  isFinished() {
+    return this.samples.length === 0 || this.clock > this.getEndTime();
+  }
+
+  // Time of the last sample
+  getEndTime() {
+    return this.samples.length > 0 ? this.samples[this.samples.length - 1].time : null;
+  }
+
+  // The sample in effect at the current clock time
+  getCurrentSample() {
+    let current = null;
+    for (const sample of this.samples) {
+      if (sample.time > this.clock) break;
+      current = sample;
+    }
+    return current || {};
+  }
+
+  // ============ ActivitySource ============
+
+  getActiveApp() {
+    return Promise.resolve({ appName: this.getCurrentSample().appName || 'Unknown' });
+  }
+
+  getWindowTitle() {
+    return Promise.resolve(this.getCurrentSample().windowTitle || 'Unknown Window');
+  }
+
+  getUrl() {
+    return Promise.resolve(this.getCurrentSample().url || null);
+  }
+
+  getIdleTime() {
+    return Promise.resolve(this.getCurrentSample().idleSeconds || 0);
+  }
+}
+
+module.exports = {
+  ReplayActivitySource
+};
@@ -0,0 +1,174 @@
+// reprocessor.js - Re-runs project detection and classification over past activity
+//
+// Projects and categories are stored on activity_log rows when they are
+// logged, so editing rules or project keywords leaves history tagged with
+// the old ones. Reprocessing re-tags every row in a date range with the
+// current settings and rebuilds that range's sessions and daily summaries.
+const { db } = require('./database');
+const { projects } = require('./projects');
+const { classifier } = require('./classifier');
+const { days } = require('./dayBoundary');
+const { SessionBuilder, sessions } = require('./sessionBuilder');
+const { calculator, AWAY_MARKERS } = require('./workCalculator');
+
+class HistoryReprocessor {
+  constructor() {
+    this.db = db;
+    this.running = false;
+    this.cancelRequested = false;
+  }
+
+  // Check whether a job is in progress
+  isRunning() {
+    return this.running;
+  }
+
+  // Ask the running job to stop after the day it is working on
+  cancel() {
+    if (!this.running) return false;
+    this.cancelRequested = true;
+    return true;
+  }
+
+  // Reprocess every tracking day from startDate to endDate (inclusive).
+  // onProgress({ date, daysDone, totalDays, rowsUpdated }) is called after
+  // each day. Resolves with the final progress plus a status of 'completed',
+  // 'cancelled' or 'failed'.
+  async run(startDate, endDate, onProgress = () => {}) {
+    if (this.running) {
+      return { status: 'failed', error: 'Reprocessing is already running' };
+    }
+    if (!this.db.isAvailable() || (!this.db.initialized && !this.db.init())) {
+      return { status: 'failed', error: 'Database not available' };
+    }
+
+    const dates = days.getDateKeysInRange(startDate, endDate);
+    const progress = { date: null, daysDone: 0, totalDays: dates.length, rowsUpdated: 0 };
+
+    this.running = true;
+    this.cancelRequested = false;
+
+    try {
+      // Pick up keyword and rule changes saved moments ago
+      projects.invalidateCache();
+      const classify = classifier.createClassifier();
+
+      for (const date of dates) {
+        if (this.cancelRequested) {
+          return { ...progress, status: 'cancelled' };
+        }
+
+        progress.rowsUpdated += this.reprocessDay(date, classify);
+        progress.date = date;
+        progress.daysDone++;
+        onProgress({ ...progress });
+
+        // Let IPC (and a cancel request) through between days
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      return { ...progress, status: 'completed' };
+    } catch (error) {
+      console.error('Error reprocessing history:', error);
+      return { ...progress, status: 'failed', error: error.message };
+    } finally {
+      this.running = false;
+      this.cancelRequested = false;
+    }
+  }
+
+  // Re-tag one day's rows and rebuild its sessions and summary.
+  // Returns the number of rows whose project or category changed.
+  reprocessDay(date, classify) {
+    const activities = this.db.getActivityForDate(date);
+    const updates = [];
+
+    // Project roots editors and shells reported during each row, the latest
+    // winning
+    const projectRoots = new Map();
+    for (const heartbeat of this.db.getEditorHeartbeatsForDate(date)) {
+      if (heartbeat.activity_id && heartbeat.project_root) {
+        projectRoots.set(heartbeat.activity_id, heartbeat.project_root);
+      }
+    }
+    for (const command of this.db.getShellCommandsForDate(date)) {
+      if (command.activity_id && command.repo_root) {
+        projectRoots.set(command.activity_id, command.repo_root);
+      }
+    }
+
+    for (const activity of activities) {
+      if (activity.is_afk) continue;
+
+      const project = projects.detectProject(activity.window_title, activity.app_name, projectRoots.get(activity.id));
+      const { category } = classify({ appName: activity.app_name, windowTitle: activity.window_title, url: activity.url });
+
+      if (project !== activity.project || category !== activity.category) {
+        updates.push({ id: activity.id, project, category });
+      }
+      activity.project = project;
+      activity.category = category;
+    }
+
+    if (updates.length > 0 && !this.db.updateActivityTags(updates)) {
+      throw new Error(`Failed to update activity for ${date}`);
+    }
+
+    // A row carried over from the day before belongs to that day's sessions
+    const dayStart = days.getDayStart(date);
+    this.rebuildSessions(date, activities.filter(activity => new Date(activity.timestamp) >= dayStart), classify);
+
+    this.db.invalidateDailySummaryCache(date);
+    this.db.calculateWorkTimeForDate(date);
+
+    return updates.length;
+  }
+
+  // Replace a day's work_sessions with ones rebuilt from its activity rows
+  rebuildSessions(date, activities, classify) {
+    // The live session may be one of the rows about to be replaced; the
+    // tracker opens a fresh one on its next sample
+    if (days.isToday(date)) {
+      sessions.closeSession();
+    }
+
+    this.db.deleteSessionsForDate(date);
+
+    const builder = new SessionBuilder();
+    builder.db = this.db;
+
+    activities.forEach((activity, index) => {
+      if (activity.is_afk) {
+        // A startup marker also ends whatever a crash left open
+        if (AWAY_MARKERS.includes(activity.afk_type) || activity.afk_type === 'startup') {
+          builder.recordAfkStart(activity.timestamp);
+        }
+        return;
+      }
+
+      const { isProductive } = classify({ appName: activity.app_name, windowTitle: activity.window_title, url: activity.url });
+      builder.recordActivity(activity.timestamp, isProductive, activity.project);
+
+      // Nothing was tracked between the end of this row and the next one;
+      // the session ends with the row, as it does for AFK
+      const rowEnd = calculator.getRowEnd(activity);
+      const next = activities[index + 1];
+      if (rowEnd && (!next || new Date(next.timestamp) > new Date(rowEnd))) {
+        builder.recordActivity(rowEnd, isProductive, activity.project);
+        builder.recordAfkStart(rowEnd);
+      }
+    });
+
+    if (activities.length > 0) {
+      builder.closeSession(activities[activities.length - 1].timestamp);
+    }
+  }
+}
+
+// Singleton instance
+const historyReprocessor = new HistoryReprocessor();
+
+module.exports = {
+  HistoryReprocessor,
+  reprocessor: historyReprocessor
+};
@@ -0,0 +1,178 @@
+// sessionBuilder.js - Builds work_sessions rows from the live activity stream
+//
+// Interruptions follow the same rules as workCalculator.js: a non-productive
+// stretch shorter than the grace period leaves the session open, and a
+// session that does end after one ends where the interruption began.
+const { db } = require('./database');
+const { config } = require('./config');
+const { calculator } = require('./workCalculator');
+
+class SessionBuilder {
+  constructor() {
+    this.db = db;
+    this.currentSession = null;
+  }
+
+  // Close sessions left open by a previous run (crash or forced quit).
+  // The running duration and the last sample time are kept up to date while
+  // a session is open, so the last sample marks where the session really
+  // ended. The duration leaves out skipped interruptions and can't place the
+  // end on its own; it only does for sessions saved without a last sample.
+  recoverOpenSessions() {
+    const openSessions = this.db.getOpenSessions();
+
+    for (const session of openSessions) {
+      if (this.currentSession && this.currentSession.id === session.id) continue;
+
+      const durationSeconds = session.duration_seconds || 0;
+      const endTime = session.last_seen ?
+        new Date(session.last_seen) :
+        new Date(new Date(session.start_time).getTime() + durationSeconds * 1000);
+      this.db.endSession(session.id, endTime.toISOString(), durationSeconds);
+    }
+
+    return openSessions.length;
+  }
+
+  // Record a regular (non-AFK) activity sample
+  recordActivity(timestamp, isProductive, project = null) {
+    const options = this.getInterruptionOptions();
+
+    if (!isProductive) {
+      this.interruptSession(timestamp, options);
+      return;
+    }
+
+    const projectName = project || 'Uncategorized';
+
+    // A project change ends the current session and starts a new one
+    if (this.currentSession && this.currentSession.project !== projectName) {
+      this.closeSession(timestamp);
+    }
+
+    if (this.currentSession && this.currentSession.pendingBreak) {
+      this.resumeSession(timestamp, options);
+    }
+
+    if (!this.currentSession) {
+      this.openSession(timestamp, projectName);
+    } else {
+      this.extendSession(timestamp);
+    }
+  }
+
+  // Hold the session open through a non-productive sample, or end it once
+  // the interruption has outlasted the grace period
+  interruptSession(timestamp, options) {
+    if (!this.currentSession) return;
+
+    const session = this.currentSession;
+    if (!session.pendingBreak) {
+      if (options.graceSeconds > 0) {
+        session.pendingBreak = new Date(timestamp);
+      } else {
+        this.closeSession(timestamp);
+      }
+      return;
+    }
+
+    if (this.getBreakSeconds(timestamp) > options.graceSeconds) {
+      this.closeSession(timestamp);
+    }
+  }
+
+  // Resolve a pending interruption on returning to productive work: too long
+  // and the session ends where it began, otherwise the session carries on
+  resumeSession(timestamp, options) {
+    const session = this.currentSession;
+    const breakSeconds = this.getBreakSeconds(timestamp);
+
+    if (breakSeconds > options.graceSeconds) {
+      this.closeSession(timestamp);
+      return;
+    }
+
+    if (!options.countInterruptions) {
+      session.excludedSeconds += breakSeconds;
+    }
+    session.pendingBreak = null;
+  }
+
+  // Seconds since the pending interruption began
+  getBreakSeconds(timestamp) {
+    return (new Date(timestamp) - this.currentSession.pendingBreak) / 1000;
+  }
+
+  // Read the interruption options from the current config
+  getInterruptionOptions() {
+    return calculator.getInterruptionOptions(config.getAll());
+  }
+
+  // Record the user going AFK
+  recordAfkStart(timestamp) {
+    this.closeSession(timestamp);
+  }
+
+  // Open a new session
+  openSession(timestamp, project) {
+    const id = this.db.startSession(timestamp, project);
+    if (!id) return null;
+
+    this.currentSession = {
+      id,
+      project,
+      startTime: new Date(timestamp),
+      lastSeen: new Date(timestamp),
+      pendingBreak: null,
+      excludedSeconds: 0
+    };
+    return this.currentSession;
+  }
+
+  // Extend the current session up to the given timestamp
+  extendSession(timestamp) {
+    if (!this.currentSession) return;
+
+    const time = new Date(timestamp);
+    if (time <= this.currentSession.lastSeen) return;
+
+    this.currentSession.lastSeen = time;
+    this.db.updateSessionDuration(this.currentSession.id, this.getDurationSeconds(time), time.toISOString());
+  }
+
+  // Close the current session at the given timestamp, or where a pending
+  // interruption began
+  closeSession(timestamp = new Date().toISOString()) {
+    if (!this.currentSession) return;
+
+    const session = this.currentSession;
+    this.currentSession = null;
+
+    // Never end a session before its last recorded sample
+    let endTime = session.pendingBreak || new Date(timestamp);
+    if (endTime < session.lastSeen) {
+      endTime = session.lastSeen;
+    }
+
+    const durationSeconds = Math.round((endTime - session.startTime) / 1000 - session.excludedSeconds);
+    this.db.endSession(session.id, endTime.toISOString(), durationSeconds);
+  }
+
+  // Seconds worked since the current session started
+  getDurationSeconds(time) {
+    return Math.round((time - this.currentSession.startTime) / 1000 - this.currentSession.excludedSeconds);
+  }
+
+  // Get the currently open session, if any
+  getCurrentSession() {
+    return this.currentSession ? { ...this.currentSession } : null;
+  }
+}
+
+// Singleton instance
+const sessionBuilder = new SessionBuilder();
+
+module.exports = {
+  SessionBuilder,
+  sessions: sessionBuilder
+};
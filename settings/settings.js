@@ -7,6 +7,7 @@ let currentConfig = null;
 document.addEventListener('DOMContentLoaded', () => {
   loadSettings();
   setupEventListeners();
+  setupReprocess();
 });
 
 // Load settings from main process
@@ -25,6 +26,7 @@ function populateForm(config) {
   const goalMinutes = config.dailyGoalMinutes || 480;
   document.getElementById('dailyGoalHours').value = Math.floor(goalMinutes / 60);
   document.getElementById('dailyGoalMinutes').value = goalMinutes % 60;
+  document.getElementById('dayStartHour').value = config.dayStartHour || 0;
 
   // Break reminder
   document.getElementById('breakReminderMinutes').value = config.breakReminderMinutes || 60;
@@ -32,6 +34,11 @@ function populateForm(config) {
   // AFK threshold
   const afkSeconds = config.afkThresholdSeconds || 180;
   document.getElementById('afkThresholdMinutes').value = Math.floor(afkSeconds / 60);
+  document.getElementById('awayPromptMinutes').value = config.awayPromptMinutes ?? 15;
+
+  // Interruptions
+  document.getElementById('interruptionGraceSeconds').value = config.interruptionGraceSeconds ?? 60;
+  document.getElementById('countInterruptionTime').checked = config.countInterruptionTime !== false;
 
   // Notifications
   const notifications = config.notifications || {};
@@ -46,8 +53,21 @@ function populateForm(config) {
   // Productive websites
   renderTagList('productiveWebsitesList', config.productiveWebsites || [], 'website');
 
+  // Distracting websites and tier weights
+  renderTagList('distractingWebsitesList', config.distractingWebsites || [], 'distracting-website');
+  const weights = config.tierWeights || {};
+  document.getElementById('weightProductive').value = weights.productive ?? 1;
+  document.getElementById('weightNeutral').value = weights.neutral ?? 0.5;
+  document.getElementById('weightDistracting').value = weights.distracting ?? 0;
+
+  // Classification rules
+  renderClassificationRules(config.classificationRules || []);
+
   // Project keywords
   renderProjectKeywords(config.projectKeywords || {});
+
+  // Git repositories
+  renderTagList('gitRepositoriesList', config.gitRepositories || [], 'repository');
 }
 
 // Render a tag list (apps or websites)
@@ -85,6 +105,45 @@ function renderProjectKeywords(projects) {
   }
 }
 
+// Render classification rules in config order
+function renderClassificationRules(rules) {
+  const container = document.getElementById('classificationRulesList');
+  container.innerHTML = '';
+
+  rules.forEach((rule, index) => {
+    const item = document.createElement('div');
+    item.className = 'project-item';
+    item.innerHTML = `
+      <div class="project-header">
+        <span class="project-name">${escapeHtml(describeTier(rule))} (priority ${Number(rule.priority) || 0})</span>
+        <button class="remove-rule" data-index="${index}">&times;</button>
+      </div>
+      <div class="project-keywords">${escapeHtml(describeRule(rule))}</div>
+    `;
+    container.appendChild(item);
+  });
+}
+
+// Describe the tier a rule assigns
+function describeTier(rule) {
+  const tier = rule.tier || (rule.action === 'include' ? 'productive' : 'neutral');
+  return tier.charAt(0).toUpperCase() + tier.slice(1);
+}
+
+// Describe a rule's conditions, e.g. "app is Safari and title matches glob *Docs*"
+function describeRule(rule) {
+  const fieldNames = { app: 'app', title: 'title', url: 'URL' };
+  const matchNames = { exact: 'is', glob: 'matches glob', regex: 'matches regex' };
+
+  return Object.keys(fieldNames)
+    .filter(field => rule[field])
+    .map(field => {
+      const condition = typeof rule[field] === 'string' ? { pattern: rule[field] } : rule[field];
+      return `${fieldNames[field]} ${matchNames[condition.match || 'exact']} ${condition.pattern}`;
+    })
+    .join(' and ');
+}
+
 // Set up event listeners
 function setupEventListeners() {
   // Add productive app
@@ -123,6 +182,44 @@ function setupEventListeners() {
     }
   });
 
+  // Add distracting website
+  document.getElementById('addDistractingWebsite').addEventListener('click', () => {
+    const input = document.getElementById('newDistractingWebsite');
+    const value = input.value.trim();
+    currentConfig.distractingWebsites = currentConfig.distractingWebsites || [];
+    if (value && !currentConfig.distractingWebsites.includes(value)) {
+      currentConfig.distractingWebsites.push(value);
+      renderTagList('distractingWebsitesList', currentConfig.distractingWebsites, 'distracting-website');
+      input.value = '';
+    }
+  });
+
+  document.getElementById('newDistractingWebsite').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      document.getElementById('addDistractingWebsite').click();
+    }
+  });
+
+  // Add git repository
+  document.getElementById('addGitRepository').addEventListener('click', () => {
+    const input = document.getElementById('newGitRepository');
+    const value = input.value.trim();
+    currentConfig.gitRepositories = currentConfig.gitRepositories || [];
+    if (value && !currentConfig.gitRepositories.includes(value)) {
+      currentConfig.gitRepositories.push(value);
+      renderTagList('gitRepositoriesList', currentConfig.gitRepositories, 'repository');
+      input.value = '';
+    }
+  });
+
+  document.getElementById('newGitRepository').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      document.getElementById('addGitRepository').click();
+    }
+  });
+
   // Add project
   document.getElementById('addProject').addEventListener('click', () => {
     const nameInput = document.getElementById('newProjectName');
@@ -138,6 +235,32 @@ function setupEventListeners() {
     }
   });
 
+  // Add classification rule
+  document.getElementById('addRule').addEventListener('click', () => {
+    const patternInput = document.getElementById('newRulePattern');
+    const pattern = patternInput.value.trim();
+    const match = document.getElementById('newRuleMatch').value;
+    if (!pattern) return;
+
+    if (match === 'regex') {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        alert('Invalid regular expression: ' + error.message);
+        return;
+      }
+    }
+
+    currentConfig.classificationRules = currentConfig.classificationRules || [];
+    currentConfig.classificationRules.push({
+      [document.getElementById('newRuleField').value]: { match, pattern },
+      tier: document.getElementById('newRuleTier').value,
+      priority: parseInt(document.getElementById('newRulePriority').value) || 0
+    });
+    renderClassificationRules(currentConfig.classificationRules);
+    patternInput.value = '';
+  });
+
   // Remove tag (delegated)
   document.addEventListener('click', (e) => {
     if (e.target.classList.contains('remove-tag')) {
@@ -150,9 +273,21 @@ function setupEventListeners() {
       } else if (type === 'website') {
         currentConfig.productiveWebsites = currentConfig.productiveWebsites.filter(w => w !== value);
         renderTagList('productiveWebsitesList', currentConfig.productiveWebsites, 'website');
+      } else if (type === 'distracting-website') {
+        currentConfig.distractingWebsites = currentConfig.distractingWebsites.filter(w => w !== value);
+        renderTagList('distractingWebsitesList', currentConfig.distractingWebsites, 'distracting-website');
+      } else if (type === 'repository') {
+        currentConfig.gitRepositories = currentConfig.gitRepositories.filter(r => r !== value);
+        renderTagList('gitRepositoriesList', currentConfig.gitRepositories, 'repository');
       }
     }
 
+    if (e.target.classList.contains('remove-rule')) {
+      const index = parseInt(e.target.dataset.index);
+      currentConfig.classificationRules.splice(index, 1);
+      renderClassificationRules(currentConfig.classificationRules);
+    }
+
     if (e.target.classList.contains('remove-project')) {
       const project = e.target.dataset.project;
       delete currentConfig.projectKeywords[project];
@@ -182,6 +317,67 @@ function setupEventListeners() {
   });
 }
 
+// Set up the reprocess history controls, defaulting to the last 30 days
+function setupReprocess() {
+  const end = new Date();
+  const start = new Date();
+  start.setDate(start.getDate() - 30);
+  document.getElementById('reprocessStart').value = formatDateInput(start);
+  document.getElementById('reprocessEnd').value = formatDateInput(end);
+
+  document.getElementById('reprocessBtn').addEventListener('click', startReprocess);
+  document.getElementById('cancelReprocessBtn').addEventListener('click', () => {
+    ipcRenderer.invoke('cancel-reprocess');
+    document.getElementById('reprocessStatus').textContent = 'Cancelling...';
+  });
+
+  ipcRenderer.on('reprocess-progress', (event, progress) => {
+    const bar = document.getElementById('reprocessProgress');
+    bar.max = progress.totalDays || 1;
+    bar.value = progress.daysDone;
+    document.getElementById('reprocessStatus').textContent =
+      `${progress.daysDone} of ${progress.totalDays} days (${progress.date})`;
+  });
+}
+
+// Run a reprocess job over the chosen range
+async function startReprocess() {
+  const startDate = document.getElementById('reprocessStart').value;
+  const endDate = document.getElementById('reprocessEnd').value;
+  const status = document.getElementById('reprocessStatus');
+  const bar = document.getElementById('reprocessProgress');
+
+  if (!startDate || !endDate || startDate > endDate) {
+    status.textContent = 'Choose a valid date range';
+    return;
+  }
+
+  document.getElementById('reprocessBtn').disabled = true;
+  document.getElementById('cancelReprocessBtn').hidden = false;
+  bar.hidden = false;
+  bar.value = 0;
+  status.textContent = 'Starting...';
+
+  try {
+    const result = await ipcRenderer.invoke('reprocess-history', { startDate, endDate });
+
+    if (result.status === 'completed') {
+      status.textContent = `Done: ${result.daysDone} days, ${result.rowsUpdated} entries updated`;
+    } else if (result.status === 'cancelled') {
+      status.textContent = `Cancelled after ${result.daysDone} of ${result.totalDays} days`;
+    } else {
+      status.textContent = `Failed: ${result.error}`;
+    }
+  } catch (error) {
+    console.error('Error reprocessing history:', error);
+    status.textContent = `Failed: ${error.message}`;
+  } finally {
+    document.getElementById('reprocessBtn').disabled = false;
+    document.getElementById('cancelReprocessBtn').hidden = true;
+    bar.hidden = true;
+  }
+}
+
 // Save settings
 function saveSettings() {
   // Gather form values
@@ -189,11 +385,27 @@ function saveSettings() {
   const goalMinutes = parseInt(document.getElementById('dailyGoalMinutes').value) || 0;
   currentConfig.dailyGoalMinutes = goalHours * 60 + goalMinutes;
 
+  const dayStartHour = parseInt(document.getElementById('dayStartHour').value) || 0;
+  currentConfig.dayStartHour = Math.min(23, Math.max(0, dayStartHour));
+
   currentConfig.breakReminderMinutes = parseInt(document.getElementById('breakReminderMinutes').value) || 60;
 
   const afkMinutes = parseInt(document.getElementById('afkThresholdMinutes').value) || 3;
   currentConfig.afkThresholdSeconds = afkMinutes * 60;
 
+  const awayPromptMinutes = parseInt(document.getElementById('awayPromptMinutes').value) || 0;
+  currentConfig.awayPromptMinutes = Math.min(480, Math.max(0, awayPromptMinutes));
+
+  const graceSeconds = parseInt(document.getElementById('interruptionGraceSeconds').value) || 0;
+  currentConfig.interruptionGraceSeconds = Math.min(600, Math.max(0, graceSeconds));
+  currentConfig.countInterruptionTime = document.getElementById('countInterruptionTime').checked;
+
+  currentConfig.tierWeights = {
+    productive: readWeight('weightProductive', 1),
+    neutral: readWeight('weightNeutral', 0.5),
+    distracting: readWeight('weightDistracting', 0)
+  };
+
   currentConfig.notifications = {
     breakReminders: document.getElementById('breakRemindersEnabled').checked,
     dailySummary: document.getElementById('dailySummaryEnabled').checked,
@@ -210,6 +422,19 @@ function saveSettings() {
   });
 }
 
+// Helper: Format a date for a date input (local YYYY-MM-DD)
+function formatDateInput(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Helper: Read a tier weight input, clamped to 0-1
+function readWeight(id, fallback) {
+  const value = parseFloat(document.getElementById(id).value);
+  return isNaN(value) ? fallback : Math.min(1, Math.max(0, value));
+}
+
 // Helper: Escape HTML to prevent XSS
 function escapeHtml(text) {
   const div = document.createElement('div');
@@ -0,0 +1,54 @@
+# worktracker.bash - Reports each finished command to the Work Tracker app
+#
+# Add to ~/.bashrc:
+#   source /path/to/work-tracker/shell-integration/worktracker.bash
+#
+# After every command the working directory, the program's name (never its
+# arguments) and the exit status are posted to the tracker in the background
+# (shellActivity.js in the app). Commands kept out of history, e.g. with
+# HISTCONTROL=ignorespace, are not reported. If the app isn't running the
+# request fails quietly.
+
+# Must match ingestServer.port in ~/.worktracker/config.json
+WORKTRACKER_URL=${WORKTRACKER_URL:-http://127.0.0.1:27191/shell}
+
+# Escape a string for use inside a JSON string
+__worktracker_escape() {
+  local s=${1//\\/\\\\}
+  s=${s//\"/\\\"}
+  s=${s//$'\n'/\\n}
+  s=${s//$'\t'/\\t}
+  printf '%s' "$s"
+}
+
+# Post the command that just finished
+__worktracker_report() {
+  local exit_status=$?
+  local entry
+  entry=$(HISTTIMEFORMAT= builtin history 1)
+
+  # History number and first word: the program, without its arguments
+  if [[ $entry =~ ^[[:space:]]*([0-9]+)[*[:space:]]+([^[:space:]]+) ]]; then
+    local number=${BASH_REMATCH[1]} command=${BASH_REMATCH[2]}
+
+    # An empty line or a command kept out of history leaves the number as is
+    if [[ $number != "$__worktracker_last_number" ]]; then
+      __worktracker_last_number=$number
+
+      local body
+      body=$(printf '{"cwd":"%s","command":"%s","exit_status":%d}' \
+        "$(__worktracker_escape "$PWD")" "$(__worktracker_escape "$command")" "$exit_status")
+      (curl -s -m 1 -o /dev/null -H 'Content-Type: application/json' \
+        --data-binary "$body" "$WORKTRACKER_URL" >/dev/null 2>&1 &)
+    fi
+  fi
+
+  return $exit_status
+}
+
+if command -v curl >/dev/null 2>&1 && [[ $PROMPT_COMMAND != *__worktracker_report* ]]; then
+  # The history number at startup, so the first prompt reports nothing
+  __worktracker_last_number=$(HISTTIMEFORMAT= builtin history 1 | awk '{ print $1 }')
+  # First, so $? is still the command's exit status
+  PROMPT_COMMAND="__worktracker_report${PROMPT_COMMAND:+; $PROMPT_COMMAND}"
+fi
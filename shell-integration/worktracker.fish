@@ -0,0 +1,36 @@
+# worktracker.fish - Reports each finished command to the Work Tracker app
+#
+# Add to ~/.config/fish/config.fish:
+#   source /path/to/work-tracker/shell-integration/worktracker.fish
+#
+# After every command the working directory, the program's name (never its
+# arguments) and the exit status are posted to the tracker in the background
+# (shellActivity.js in the app). If the app isn't running the request fails
+# quietly.
+
+# Must match ingestServer.port in ~/.worktracker/config.json
+set -q WORKTRACKER_URL; or set -g WORKTRACKER_URL http://127.0.0.1:27191/shell
+
+# Escape a string for use inside a JSON string
+function __worktracker_escape
+    string replace -a '\\' '\\\\' -- $argv[1] | string replace -a '"' '\\"' | string join '\n'
+end
+
+# Post the command that just finished
+function __worktracker_report --on-event fish_postexec
+    set -l exit_status $status
+    # First word only: the program, without its arguments
+    set -l words (string split ' ' -- (string trim -- $argv[1]))
+    test -n "$words[1]"; or return
+
+    set -l body (printf '{"cwd":"%s","command":"%s","exit_status":%d}' \
+        (__worktracker_escape $PWD) (__worktracker_escape $words[1]) $exit_status)
+
+    curl -s -m 1 -o /dev/null -H 'Content-Type: application/json' \
+        --data-binary $body $WORKTRACKER_URL >/dev/null 2>&1 &
+    disown 2>/dev/null
+end
+
+if not command -q curl
+    functions -e __worktracker_report
+end
@@ -0,0 +1,152 @@
+// shellActivity.js - Working directory and commands reported by the shell
+//
+// A terminal window's title rarely says which repository the shell is in,
+// so the hooks in shell-integration/ (bash, zsh and fish) report each command
+// as it finishes to the ingest server's /shell path (ingestServer.js), a
+// single report or an array:
+//
+//   { cwd: '/home/me/src/api', command: 'npm', exit_status: 0, time: 1760000000.5 }
+//
+// Only cwd is required; time is in unix seconds and defaults to when the
+// report arrived. command is just the program name: the hooks never send
+// arguments, and anything after the first word is dropped here too. Reports
+// are stored in shell_commands with the git repository containing cwd, each
+// linked to the activity_log row in progress when it was sent.
+//
+// While a terminal app (config.terminalApps) is in front, the repository of
+// the latest report decides the project the tracker tags new rows with (see
+// getProjectRoot and ProjectManager.detectProject). Outside a repository the
+// window title is used as before.
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { db } = require('./database');
+
+// Most reports accepted in one request
+const MAX_BATCH_SIZE = 100;
+// Reports timed further ahead of the clock than this are rejected
+const MAX_CLOCK_SKEW_SECONDS = 60;
+// Longest directory or command name stored
+const MAX_FIELD_LENGTH = 1024;
+// How long after its last report a shell's repository still applies
+const CONTEXT_SECONDS = 30 * 60;
+// Directories whose repository lookup is remembered
+const MAX_CACHED_ROOTS = 200;
+
+class ShellActivityManager {
+  constructor() {
+    this.db = db;
+    // The most recent report received, as stored
+    this.latest = null;
+    // Repository root (or null) by directory
+    this.repoRoots = new Map();
+  }
+
+  // Accept a report or an array of them from the shell hook. Invalid
+  // reports are dropped; returns whether any were stored.
+  ingest(body, receivedAt = new Date()) {
+    const list = Array.isArray(body) ? body : [body];
+    if (list.length === 0 || list.length > MAX_BATCH_SIZE) return false;
+
+    const commands = list
+      .map(report => this.normalize(report, receivedAt))
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    if (commands.length === 0) return false;
+
+    const newest = commands[commands.length - 1];
+    if (!this.latest || newest.timestamp >= this.latest.timestamp) {
+      this.latest = newest;
+    }
+
+    const slackSeconds = config.get('trackingIntervalSeconds') || 30;
+    return this.db.addShellCommands(commands, slackSeconds) !== null;
+  }
+
+  // Turn a posted report into the stored shape, or return null if it is
+  // invalid
+  normalize(report, receivedAt) {
+    if (!report || typeof report !== 'object' || typeof report.cwd !== 'string') return null;
+
+    const cwd = report.cwd.trim().slice(0, MAX_FIELD_LENGTH);
+    if (!path.isAbsolute(cwd)) return null;
+
+    const hasTime = report.time !== undefined && report.time !== null;
+    const time = hasTime ? new Date(Number(report.time) * 1000) : receivedAt;
+    if (isNaN(time) || (time - receivedAt) / 1000 > MAX_CLOCK_SKEW_SECONDS) return null;
+
+    const exitStatus = Number.isInteger(report.exit_status) ? report.exit_status : null;
+
+    return {
+      timestamp: time.toISOString(),
+      cwd,
+      repoRoot: this.findRepoRoot(cwd),
+      command: this.getCommandName(report.command),
+      exitStatus
+    };
+  }
+
+  // Reduce a command to the program's name, dropping any arguments and
+  // path. Returns null for an empty command or a variable assignment.
+  getCommandName(command) {
+    if (typeof command !== 'string') return null;
+
+    const [word] = command.trim().split(/\s+/);
+    if (!word || /^\w+=/.test(word)) return null;
+    return path.basename(word).slice(0, MAX_FIELD_LENGTH) || null;
+  }
+
+  // Find the git repository containing a directory, or null. The directory
+  // needn't exist any more; lookups are cached.
+  findRepoRoot(cwd) {
+    if (this.repoRoots.has(cwd)) return this.repoRoots.get(cwd);
+
+    let root = null;
+    try {
+      for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+        if (fs.existsSync(path.join(dir, '.git'))) {
+          root = dir;
+          break;
+        }
+        if (path.dirname(dir) === dir) break;
+      }
+    } catch (error) {
+      console.error('Error finding repository root:', error);
+    }
+
+    this.repoRoots.set(cwd, root);
+    if (this.repoRoots.size > MAX_CACHED_ROOTS) {
+      this.repoRoots.delete(this.repoRoots.keys().next().value);
+    }
+    return root;
+  }
+
+  // Get the repository the shell in front is working in, or null if the
+  // app isn't a terminal or no shell reported one recently
+  getProjectRoot(appName, timestamp = new Date(), cfg = config.getAll()) {
+    const latest = this.latest;
+    if (!latest || !latest.repoRoot || !appName) return null;
+
+    const terminals = (cfg.terminalApps || []).map(t => t.toLowerCase());
+    if (!terminals.includes(appName.toLowerCase())) return null;
+
+    const age = (new Date(timestamp) - new Date(latest.timestamp)) / 1000;
+    if (age < -MAX_CLOCK_SKEW_SECONDS || age > CONTEXT_SECONDS) return null;
+
+    return latest.repoRoot;
+  }
+
+  // Forget the latest report and cached repository lookups
+  clear() {
+    this.latest = null;
+    this.repoRoots.clear();
+  }
+}
+
+// Singleton instance
+const shellActivityManager = new ShellActivityManager();
+
+module.exports = {
+  ShellActivityManager,
+  shellActivity: shellActivityManager
+};
@@ -3,7 +3,19 @@ const { ipcRenderer } = require('electron');
 
 // State
 let currentViewDate = new Date();
+let todayDate = null;
+let dayStartHour = 0;
+let statsRange = null;
 let projectPieChart = null;
+let categoryTree = null;
+let categoryPath = [];
+
+// Activity tiers, in display order
+const TIERS = [
+  { key: 'productive', label: 'Productive' },
+  { key: 'neutral', label: 'Neutral' },
+  { key: 'distracting', label: 'Distracting' }
+];
 
 // Chart colors
 const CHART_COLORS = [
@@ -18,10 +30,12 @@ document.addEventListener('DOMContentLoaded', () => {
   loadData();
 });
 
-// Initialize hour labels (12am - 11pm)
+// Initialize hour labels, starting at the hour the tracking day begins
 function initHourLabels() {
   const container = document.getElementById('hourLabels');
-  for (let h = 0; h < 24; h++) {
+  container.innerHTML = '';
+  for (let i = 0; i < 24; i++) {
+    const h = (dayStartHour + i) % 24;
     const label = document.createElement('span');
     const hour12 = h === 0 ? 12 : (h > 12 ? h - 12 : h);
     const ampm = h < 12 ? 'a' : 'p';
@@ -36,6 +50,33 @@ function setupEventListeners() {
   document.getElementById('nextDay').addEventListener('click', () => navigateDay(1));
   document.getElementById('exportCSV').addEventListener('click', () => exportData('csv'));
   document.getElementById('exportJSON').addEventListener('click', () => exportData('json'));
+  document.getElementById('addManualEntry').addEventListener('click', () => {
+    ipcRenderer.invoke('open-manual-entry', { date: formatDate(currentViewDate) });
+  });
+  document.getElementById('manualList').addEventListener('click', (e) => {
+    const button = e.target.closest('.delete-btn');
+    if (button) {
+      deleteManualEntry(parseInt(button.dataset.id));
+    }
+  });
+
+  // Totals include manual time, so reload everything for the viewed day
+  ipcRenderer.on('manual-entries-changed', () => loadData({ keepViewDate: true }));
+
+  // Drill into a category, or back up via the breadcrumb
+  document.getElementById('categoryList').addEventListener('click', (e) => {
+    const item = e.target.closest('.category-item.drillable');
+    if (item) {
+      categoryPath.push(item.dataset.name);
+      updateCategoryBreakdown();
+    }
+  });
+  document.getElementById('categoryBreadcrumb').addEventListener('click', (e) => {
+    if (e.target.dataset.depth !== undefined) {
+      categoryPath = categoryPath.slice(0, parseInt(e.target.dataset.depth));
+      updateCategoryBreakdown();
+    }
+  });
 }
 
 // Navigate to previous/next day
@@ -47,14 +88,16 @@ function navigateDay(direction) {
 
 // Update date label
 function updateDateLabel() {
-  const today = new Date();
-  const todayStr = formatDate(today);
+  const todayStr = todayDate || formatDate(new Date());
   const viewStr = formatDate(currentViewDate);
 
+  const yesterday = parseDate(todayStr);
+  yesterday.setDate(yesterday.getDate() - 1);
+
   const label = document.getElementById('currentDate');
   if (viewStr === todayStr) {
     label.textContent = 'Today';
-  } else if (viewStr === formatDate(new Date(today.getTime() - 86400000))) {
+  } else if (viewStr === formatDate(yesterday)) {
     label.textContent = 'Yesterday';
   } else {
     label.textContent = currentViewDate.toLocaleDateString('en-US', {
@@ -63,21 +106,26 @@ function updateDateLabel() {
   }
 }
 
-// Load all data
-async function loadData() {
-  updateDateLabel();
-
+// Load all data, showing today unless keepViewDate is set
+async function loadData({ keepViewDate = false } = {}) {
   try {
-    const now = new Date();
-    const monthAgo = new Date(now);
-    monthAgo.setDate(monthAgo.getDate() - 30);
-
-    const data = await ipcRenderer.invoke('get-stats', {
-      startDate: formatDate(monthAgo),
-      endDate: formatDate(now)
-    });
+    // The main process picks the last 30 tracking days for us, since the
+    // current day depends on the configured rollover hour
+    const data = await ipcRenderer.invoke('get-stats', {});
+
+    todayDate = data.todayDate;
+    statsRange = { startDate: data.startDate, endDate: data.endDate };
+    if (!keepViewDate) {
+      currentViewDate = parseDate(todayDate);
+    }
+    dayStartHour = data.config.dayStartHour || 0;
+    initHourLabels();
+    updateDateLabel();
 
     updateTodayProgress(data.today, data.config);
+    updateTierBreakdown(data.today, data.summary);
+    categoryTree = buildCategoryTree(data.categoryStats || {});
+    updateCategoryBreakdown();
     updateProjectChart(data.projectStats);
     updateSummaryStats(data.summary);
 
@@ -92,24 +140,62 @@ async function loadData() {
 async function loadDayData() {
   try {
     const dateStr = formatDate(currentViewDate);
-    const hourlyData = await ipcRenderer.invoke('get-hourly-stats', { date: dateStr });
-    renderDailyHeatmap(hourlyData);
+    const [hourlyData, gaps, manualEntries, pauses, projectDay] = await Promise.all([
+      ipcRenderer.invoke('get-hourly-stats', { date: dateStr }),
+      ipcRenderer.invoke('get-untracked-gaps', { date: dateStr }),
+      ipcRenderer.invoke('get-manual-entries', { date: dateStr }),
+      ipcRenderer.invoke('get-paused-periods', { date: dateStr }),
+      ipcRenderer.invoke('get-project-day', { date: dateStr })
+    ]);
+    renderDailyHeatmap(hourlyData, gaps, manualEntries, pauses);
+    renderPeriodList('untrackedGaps', 'Not tracked', gaps);
+    renderPeriodList('pausedPeriods', 'Paused', pauses);
+    renderManualEntries(manualEntries);
+    renderProjectDay(projectDay);
   } catch (error) {
     console.error('Error loading hourly data:', error);
     // Render empty heatmap if no data
-    renderDailyHeatmap(Array(24).fill(0));
+    renderDailyHeatmap(Array(24).fill(0), [], [], []);
+    renderPeriodList('untrackedGaps', 'Not tracked', []);
+    renderPeriodList('pausedPeriods', 'Paused', []);
+    renderManualEntries([]);
+    renderProjectDay({ projects: [], repositoryCount: 0 });
   }
 }
 
-// Render 24-hour daily heatmap
-function renderDailyHeatmap(hourlyData) {
+// Spread { start, end } spans over local clock hours, in minutes
+function getMinutesByHour(spans) {
+  const minutes = Array(24).fill(0);
+
+  for (const span of spans) {
+    let current = new Date(span.start);
+    const end = new Date(span.end);
+    while (current < end) {
+      const nextHour = new Date(current);
+      nextHour.setMinutes(60, 0, 0);
+      const segmentEnd = nextHour < end ? nextHour : end;
+      minutes[current.getHours()] += (segmentEnd - current) / 60000;
+      current = segmentEnd;
+    }
+  }
+
+  return minutes.map(Math.round);
+}
+
+// Render 24-hour daily heatmap, hatching hours the tracker wasn't running
+// and noting manual and paused time in the tooltips
+function renderDailyHeatmap(hourlyData, gaps = [], manualEntries = [], pauses = []) {
   const container = document.getElementById('hourBlocks');
   container.innerHTML = '';
 
   // Find max for scaling (cap at 60 min)
   const maxMinutes = 60;
+  const untrackedMinutes = getMinutesByHour(gaps);
+  const manualMinutes = getMinutesByHour(manualEntries.map(entry => ({ start: entry.start_time, end: entry.end_time })));
+  const pausedMinutes = getMinutesByHour(pauses);
 
-  for (let h = 0; h < 24; h++) {
+  for (let i = 0; i < 24; i++) {
+    const h = (dayStartHour + i) % 24;
     const minutes = hourlyData[h] || 0;
 
     // Calculate level (0-4)
@@ -125,6 +211,16 @@ function renderDailyHeatmap(hourlyData) {
     const block = document.createElement('div');
     block.className = `hour-block level-${level}`;
     block.title = `${formatHour(h)}: ${minutes}m`;
+    if (manualMinutes[h] > 0) {
+      block.title += ` (${manualMinutes[h]}m manual)`;
+    }
+    if (pausedMinutes[h] > 0) {
+      block.title += `, paused ${pausedMinutes[h]}m`;
+    }
+    if (untrackedMinutes[h] > 0) {
+      block.classList.add('untracked');
+      block.title += `, not tracked ${untrackedMinutes[h]}m`;
+    }
 
     // Add visual intensity indicator
     const fill = document.createElement('div');
@@ -136,6 +232,87 @@ function renderDailyHeatmap(hourlyData) {
   }
 }
 
+// List periods ([{ start, end, seconds }]) on a line under the heatmap:
+// when the tracker wasn't running, or was paused
+function renderPeriodList(elementId, label, periods) {
+  const container = document.getElementById(elementId);
+  const formatTime = iso => new Date(iso).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+  container.hidden = periods.length === 0;
+  container.textContent = periods.length === 0 ? '' : `${label}: ` + periods
+    .map(period => `${formatTime(period.start)} – ${formatTime(period.end)} (${formatDuration(period.seconds)})`)
+    .join(', ');
+}
+
+// List the viewed day's manual entries, each with a delete button
+function renderManualEntries(entries) {
+  const container = document.getElementById('manualList');
+  const formatTime = iso => new Date(iso).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+  if (entries.length === 0) {
+    container.innerHTML = '<p style="color: #6e6e73; font-style: italic;">No manual entries for this day</p>';
+    return;
+  }
+
+  container.innerHTML = entries.map(entry => {
+    const seconds = (new Date(entry.end_time) - new Date(entry.start_time)) / 1000;
+    const details = [entry.project, entry.category, entry.note].filter(Boolean).map(escapeHtml).join(' · ');
+    return `
+      <div class="manual-item">
+        <span class="manual-badge">${entry.source === 'away' ? 'Away' : 'Manual'}</span>
+        <span class="manual-time">${formatTime(entry.start_time)} – ${formatTime(entry.end_time)}</span>
+        <span class="manual-details">${details}</span>
+        <span class="project-time">${formatDuration(seconds)}</span>
+        <button class="delete-btn" data-id="${entry.id}" title="Delete entry">×</button>
+      </div>
+    `;
+  }).join('');
+}
+
+// List the viewed day's projects as "3h 10m, 7 commits", with the commit
+// subjects in each row's tooltip
+function renderProjectDay({ projects, repositoryCount }) {
+  const container = document.getElementById('projectDayList');
+  const hint = repositoryCount === 0
+    ? '<p style="color: #6e6e73; font-style: italic;">Add repositories in Settings → Git Repositories to count commits</p>'
+    : '';
+
+  if (projects.length === 0) {
+    container.innerHTML = '<p style="color: #6e6e73; font-style: italic;">No project data for this day</p>' + hint;
+    return;
+  }
+
+  container.innerHTML = projects.map(row => {
+    const parts = [formatDuration(row.seconds)];
+    if (repositoryCount > 0) {
+      parts.push(`${row.commits.length} commit${row.commits.length === 1 ? '' : 's'}`);
+    }
+    const subjects = row.commits.map(commit => `${commit.hash.slice(0, 7)} ${commit.subject}`).join('\n');
+
+    return `
+      <div class="project-item" title="${escapeHtml(subjects).replace(/"/g, '&quot;')}">
+        <span class="project-name">${escapeHtml(row.project)}</span>
+        <span class="project-time">${parts.join(', ')}</span>
+      </div>
+    `;
+  }).join('') + hint;
+}
+
+// Delete a manual entry; the window reloads once the main process confirms
+async function deleteManualEntry(id) {
+  if (!confirm('Delete this manual entry?')) return;
+
+  try {
+    const deleted = await ipcRenderer.invoke('delete-manual-entry', { id });
+    if (!deleted) {
+      alert('Failed to delete the entry');
+    }
+  } catch (error) {
+    console.error('Error deleting manual entry:', error);
+    alert('Failed to delete the entry: ' + error.message);
+  }
+}
+
 // Format hour for display
 function formatHour(h) {
   const hour12 = h === 0 ? 12 : (h > 12 ? h - 12 : h);
@@ -193,6 +370,120 @@ function updateProgressRing(percentage) {
   ctx.stroke();
 }
 
+// Update the productive / neutral / distracting breakdown for today and the range
+function updateTierBreakdown(today, summary) {
+  const todayTiers = today.tierSeconds || {};
+  const rangeTiers = summary.tierSeconds || {};
+  const rangeTotal = TIERS.reduce((sum, t) => sum + (rangeTiers[t.key] || 0), 0);
+
+  const bar = document.getElementById('tierBar');
+  bar.innerHTML = rangeTotal > 0 ? TIERS.map(t => `
+    <div class="tier-segment ${t.key}" style="width: ${(rangeTiers[t.key] || 0) / rangeTotal * 100}%"></div>
+  `).join('') : '';
+
+  const rows = TIERS.map(t => `
+    <div class="project-item">
+      <span class="project-color tier-color ${t.key}"></span>
+      <span class="project-name">${t.label}</span>
+      <span class="project-time">${formatDuration(todayTiers[t.key] || 0)} today</span>
+      <span class="project-time">${formatDuration(rangeTiers[t.key] || 0)} total</span>
+    </div>
+  `);
+
+  // Work time split into meetings and focused work
+  const todayMeetings = today.meetingSeconds || 0;
+  const rangeMeetings = summary.meetingSeconds || 0;
+  rows.push(`
+    <div class="project-item">
+      <span class="project-name">Focus time</span>
+      <span class="project-time">${formatDuration(Math.max(0, (today.totalWorkSeconds || 0) - todayMeetings))} today</span>
+      <span class="project-time">${formatDuration(Math.max(0, (summary.totalWorkSeconds || 0) - rangeMeetings))} total</span>
+    </div>
+    <div class="project-item">
+      <span class="project-name">Meetings</span>
+      <span class="project-time">${formatDuration(todayMeetings)} today</span>
+      <span class="project-time">${formatDuration(rangeMeetings)} total</span>
+    </div>
+  `);
+
+  // Weighted focus time as a share of all tracked time
+  const focusScore = rangeTotal > 0 ? Math.round((summary.weightedSeconds || 0) / rangeTotal * 100) : 0;
+  rows.push(`
+    <div class="project-item">
+      <span class="project-name">Focus score</span>
+      <span class="project-time">${focusScore}%</span>
+    </div>
+  `);
+
+  document.getElementById('tierList').innerHTML = rows.join('');
+}
+
+// Build a tree from "A > B > C" category paths, rolling each path's time up
+// into every ancestor
+function buildCategoryTree(categoryStats) {
+  const root = { name: 'All', seconds: 0, ownSeconds: 0, children: {} };
+
+  for (const [path, seconds] of Object.entries(categoryStats)) {
+    let node = root;
+    root.seconds += seconds;
+
+    for (const name of path.split(' > ')) {
+      if (!node.children[name]) {
+        node.children[name] = { name, seconds: 0, ownSeconds: 0, children: {} };
+      }
+      node = node.children[name];
+      node.seconds += seconds;
+    }
+    node.ownSeconds += seconds;
+  }
+
+  return root;
+}
+
+// Show the children of the category at categoryPath
+function updateCategoryBreakdown() {
+  let node = categoryTree;
+  for (let i = 0; i < categoryPath.length; i++) {
+    if (!node.children[categoryPath[i]]) {
+      categoryPath = categoryPath.slice(0, i);
+      break;
+    }
+    node = node.children[categoryPath[i]];
+  }
+
+  const crumbs = ['All', ...categoryPath];
+  document.getElementById('categoryBreadcrumb').innerHTML = crumbs.map((name, depth) => {
+    const isCurrent = depth === crumbs.length - 1;
+    return `<button class="category-crumb${isCurrent ? ' current' : ''}" data-depth="${depth}">${escapeHtml(name)}</button>`;
+  }).join(' &rsaquo; ');
+
+  const list = document.getElementById('categoryList');
+  const rows = Object.values(node.children).sort((a, b) => b.seconds - a.seconds);
+
+  // Time tagged with this category itself rather than one of its children
+  if (node.ownSeconds > 0 && rows.length > 0) {
+    rows.push({ name: `Other ${node.name}`, seconds: node.ownSeconds, children: {}, isOther: true });
+  }
+
+  if (rows.length === 0) {
+    list.innerHTML = '<p style="color: #6e6e73; font-style: italic;">No category data available</p>';
+    return;
+  }
+
+  list.innerHTML = rows.map(row => {
+    const drillable = !row.isOther && Object.keys(row.children).length > 0;
+    const share = node.seconds > 0 ? (row.seconds / node.seconds) * 100 : 0;
+
+    return `
+      <div class="project-item category-item${drillable ? ' drillable' : ''}" data-name="${escapeHtml(row.name)}">
+        <span class="project-name">${escapeHtml(row.name)}</span>
+        <span class="category-share"><span class="category-share-fill" style="display: block; width: ${share}%"></span></span>
+        <span class="project-time">${formatDuration(row.seconds)}</span>
+      </div>
+    `;
+  }).join('');
+}
+
 // Update project pie chart
 function updateProjectChart(projectStats) {
   const canvas = document.getElementById('projectPieChart');
@@ -268,15 +559,13 @@ function updateSummaryStats(summary) {
 
 // Export data
 async function exportData(format) {
-  const now = new Date();
-  const monthAgo = new Date(now);
-  monthAgo.setDate(monthAgo.getDate() - 30);
+  if (!statsRange) return;
 
   try {
     const result = await ipcRenderer.invoke('export-data', {
       format,
-      startDate: formatDate(monthAgo),
-      endDate: formatDate(now)
+      startDate: statsRange.startDate,
+      endDate: statsRange.endDate
     });
 
     if (result.success) {
@@ -288,9 +577,25 @@ async function exportData(format) {
   }
 }
 
-// Helper: Format date
+// Helper: Format seconds as "2h 5m" or "5m"
+function formatDuration(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const mins = Math.floor((totalSeconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+}
+
+// Helper: Format date as a local YYYY-MM-DD day key
 function formatDate(date) {
-  return date.toISOString().split('T')[0];
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Helper: Parse a YYYY-MM-DD day key into a local Date (at noon, clear of DST shifts)
+function parseDate(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day, 12);
 }
 
 // Helper: Escape HTML
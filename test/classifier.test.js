@@ -0,0 +1,295 @@
+// classifier.test.js - Tests for rule-based activity classification
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { Config } = require('../config');
+const { classifier, LEGACY_RULE_PRIORITY, MEETING_CATEGORY } = require('../classifier');
+
+describe('ActivityClassifier', () => {
+  const legacy = {
+    productiveApps: ['VSCode', 'Terminal'],
+    productiveWebsites: ['github.com', 'stackoverflow.com'],
+    browserApps: ['Google Chrome', 'Safari', 'firefox'],
+    classificationRules: []
+  };
+
+  test('legacy app lists match app names exactly', () => {
+    expect(classifier.isProductive({ appName: 'VSCode', windowTitle: 'a.js' }, legacy)).toBe(true);
+    expect(classifier.isProductive({ appName: 'vscode', windowTitle: 'a.js' }, legacy)).toBe(true);
+    // Substrings no longer match
+    expect(classifier.isProductive({ appName: 'Terminal Helper', windowTitle: '' }, legacy)).toBe(false);
+  });
+
+  test('legacy websites only match inside a browser', () => {
+    expect(classifier.isProductive({ appName: 'Google Chrome', windowTitle: 'github.com/org/repo' }, legacy)).toBe(true);
+    expect(classifier.isProductive({ appName: 'Firefox', windowTitle: 'stackoverflow.com - Question' }, legacy)).toBe(true);
+    expect(classifier.isProductive({ appName: 'Slack', windowTitle: 'github.com link' }, legacy)).toBe(false);
+    expect(classifier.isProductive({ appName: 'Chrome Remote Desktop', windowTitle: 'github.com' }, legacy)).toBe(false);
+  });
+
+  test('user rules are evaluated before the legacy lists', () => {
+    const cfg = {
+      ...legacy,
+      classificationRules: [
+        { app: 'Google Chrome', title: { match: 'glob', pattern: '*github.com/*/issues*' }, action: 'exclude' }
+      ]
+    };
+
+    const result = classifier.classify({ appName: 'Google Chrome', windowTitle: 'github.com/org/repo/issues/1' }, cfg);
+    expect(result.isProductive).toBe(false);
+    expect(result.rule).toMatchObject(cfg.classificationRules[0]);
+    expect(classifier.isProductive({ appName: 'Google Chrome', windowTitle: 'github.com/org/repo' }, cfg)).toBe(true);
+  });
+
+  test('higher priority wins, then list order', () => {
+    const cfg = {
+      classificationRules: [
+        { app: { match: 'glob', pattern: '*' }, action: 'exclude' },
+        { app: { match: 'regex', pattern: '^(Code|Cursor)$' }, action: 'include', priority: 5 },
+        { app: 'Cursor', action: 'exclude', priority: 5 }
+      ]
+    };
+
+    expect(classifier.isProductive({ appName: 'Code' }, cfg)).toBe(true);
+    expect(classifier.isProductive({ appName: 'Cursor' }, cfg)).toBe(true);
+    expect(classifier.isProductive({ appName: 'Slack' }, cfg)).toBe(false);
+  });
+
+  test('url conditions never match activity without a URL', () => {
+    const cfg = {
+      classificationRules: [
+        { url: { match: 'regex', pattern: '^https://docs\\.' }, action: 'include' }
+      ]
+    };
+
+    expect(classifier.isProductive({ appName: 'Safari', url: 'https://docs.example.com/' }, cfg)).toBe(true);
+    expect(classifier.isProductive({ appName: 'Safari', windowTitle: 'https://docs.example.com/' }, cfg)).toBe(false);
+  });
+
+  test('url conditions see the origin and path only', () => {
+    const cfg = {
+      classificationRules: [
+        { url: { match: 'glob', pattern: '*q=work*' }, action: 'include' },
+        { url: { match: 'regex', pattern: '/search$' }, tier: 'distracting' }
+      ]
+    };
+
+    expect(classifier.getTier({ appName: 'Safari', url: 'https://example.com/search?q=work#top' }, cfg)).toBe('distracting');
+  });
+
+  test('case-sensitive conditions', () => {
+    const cfg = {
+      classificationRules: [
+        { title: { match: 'glob', pattern: '*TODO*', caseSensitive: true }, action: 'include' }
+      ]
+    };
+
+    expect(classifier.isProductive({ appName: 'Notes', windowTitle: 'TODO list' }, cfg)).toBe(true);
+    expect(classifier.isProductive({ appName: 'Notes', windowTitle: 'todo list' }, cfg)).toBe(false);
+  });
+
+  test('invalid rules are skipped', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const cfg = {
+      classificationRules: [
+        { app: { match: 'regex', pattern: '(' }, action: 'include' },
+        { app: 'Slack', action: 'maybe' },
+        { action: 'include' },
+        { app: 'Slack', action: 'include' }
+      ]
+    };
+
+    expect(classifier.isProductive({ appName: 'Slack' }, cfg)).toBe(true);
+    expect(warn).toHaveBeenCalledTimes(3);
+    warn.mockRestore();
+  });
+
+  test('glob wildcards in legacy website names are literal', () => {
+    expect(classifier.globToRegExp(`*${classifier.escapeGlob('a*b?.com')}*`).test('x a*b?.com y')).toBe(true);
+    expect(classifier.globToRegExp(`*${classifier.escapeGlob('a*b?.com')}*`).test('x aXXbZ.com y')).toBe(false);
+  });
+
+  test('assigns productive, neutral and distracting tiers', () => {
+    const cfg = {
+      ...legacy,
+      distractingApps: ['Steam'],
+      distractingWebsites: ['YouTube'],
+      classificationRules: [
+        { app: 'Slack', tier: 'neutral' },
+        { title: { match: 'glob', pattern: '*conference talk*' }, tier: 'productive', priority: 1 }
+      ]
+    };
+
+    expect(classifier.getTier({ appName: 'VSCode', windowTitle: 'a.js' }, cfg)).toBe('productive');
+    expect(classifier.getTier({ appName: 'Steam', windowTitle: 'Library' }, cfg)).toBe('distracting');
+    expect(classifier.getTier({ appName: 'Safari', windowTitle: 'Cats - YouTube' }, cfg)).toBe('distracting');
+    expect(classifier.getTier({ appName: 'Safari', windowTitle: 'conference talk - YouTube' }, cfg)).toBe('productive');
+    expect(classifier.getTier({ appName: 'Slack', windowTitle: 'Chat' }, cfg)).toBe('neutral');
+    // Unmatched activity is neutral
+    expect(classifier.getTier({ appName: 'Mail', windowTitle: 'Inbox' }, cfg)).toBe('neutral');
+  });
+
+  test('include/exclude actions map to productive/neutral', () => {
+    const cfg = {
+      classificationRules: [
+        { app: 'Mail', action: 'include' },
+        { app: 'Slack', action: 'exclude' }
+      ]
+    };
+
+    expect(classifier.getTier({ appName: 'Mail' }, cfg)).toBe('productive');
+    expect(classifier.getTier({ appName: 'Slack' }, cfg)).toBe('neutral');
+  });
+
+  describe('website URLs', () => {
+    const cfg = {
+      productiveApps: [],
+      productiveWebsites: ['github.com/acme', 'localhost:3000', 'React'],
+      distractingWebsites: ['youtube.com'],
+      browserApps: ['Safari'],
+      classificationRules: []
+    };
+
+    test('match domains and paths against the URL when it is known', () => {
+      const tier = (url, windowTitle = 'Page') => classifier.getTier({ appName: 'Safari', windowTitle, url }, cfg);
+
+      expect(tier('https://github.com/acme/api/pull/1')).toBe('productive');
+      expect(tier('https://github.com/other/repo')).toBe('neutral');
+      expect(tier('https://m.youtube.com/watch?v=1')).toBe('distracting');
+      expect(tier('http://localhost:3000/')).toBe('productive');
+      expect(tier('http://localhost:8080/')).toBe('neutral');
+      // A domain in the title doesn't count once the URL is known...
+      expect(tier('https://www.google.com/search?q=youtube.com', 'youtube.com - Google Search')).toBe('neutral');
+      // ...but a plain site name still does
+      expect(tier('https://react.dev/learn', 'Quick Start – React')).toBe('productive');
+    });
+
+    test('fall back to the window title without a URL', () => {
+      expect(classifier.getTier({ appName: 'Safari', windowTitle: 'youtube.com/watch' }, cfg)).toBe('distracting');
+      expect(classifier.getTier({ appName: 'Safari', windowTitle: 'Home' }, cfg)).toBe('neutral');
+    });
+  });
+
+  describe('categories', () => {
+    const cfg = {
+      ...legacy,
+      categories: [
+        {
+          name: 'Work',
+          children: [
+            {
+              name: 'Coding',
+              rules: [{ app: 'VSCode' }],
+              children: [
+                { name: 'Code Review', rules: [{ title: { match: 'glob', pattern: '*Pull Request*' } }] }
+              ]
+            },
+            { name: 'Communication', rules: [{ app: 'Slack' }] }
+          ]
+        },
+        { name: 'Breaks', rules: [{ app: { match: 'glob', pattern: '*' } }] }
+      ]
+    };
+
+    test('assigns the most specific matching category path', () => {
+      expect(classifier.getCategory({ appName: 'VSCode', windowTitle: 'a.js' }, cfg)).toBe('Work > Coding');
+      expect(classifier.getCategory({ appName: 'Safari', windowTitle: 'Pull Request #1' }, cfg)).toBe('Work > Coding > Code Review');
+      expect(classifier.getCategory({ appName: 'Slack', windowTitle: 'Chat' }, cfg)).toBe('Work > Communication');
+      // Earlier siblings win
+      expect(classifier.getCategory({ appName: 'Mail', windowTitle: 'Inbox' }, cfg)).toBe('Breaks');
+    });
+
+    test('category does not affect the tier', () => {
+      const result = classifier.classify({ appName: 'Slack', windowTitle: 'Chat' }, cfg);
+      expect(result.category).toBe('Work > Communication');
+      expect(result.tier).toBe('neutral');
+    });
+
+    test('activity without a matching category gets null', () => {
+      expect(classifier.getCategory({ appName: 'Mail', windowTitle: 'Inbox' }, { categories: [] })).toBeNull();
+    });
+
+    test('names cannot contain the path separator', () => {
+      const result = classifier.getCategory({ appName: 'Slack' }, {
+        categories: [{ name: 'Chat > Team', rules: [{ app: 'Slack' }] }]
+      });
+      expect(result).toBe('Chat - Team');
+    });
+
+    test('lists every category path', () => {
+      expect(classifier.getCategoryPaths(cfg)).toEqual([
+        'Work',
+        'Work > Coding',
+        'Work > Coding > Code Review',
+        'Work > Communication',
+        'Breaks'
+      ]);
+    });
+  });
+
+  test('meetings are productive and get their own category', () => {
+    const cfg = {
+      ...legacy,
+      classificationRules: [{ app: 'zoom.us', tier: 'distracting' }],
+      categories: [{ name: 'Calls', rules: [{ app: 'zoom.us' }] }],
+      meetingRules: [
+        { app: 'zoom.us', title: { match: 'regex', pattern: '^Zoom Meeting' } },
+        { url: { match: 'regex', pattern: '^https://meet\\.google\\.com/[a-z]{3}-' } },
+        { title: { match: 'glob', pattern: 'Meet - *' }, withoutUrl: true }
+      ]
+    };
+
+    expect(classifier.classify({ appName: 'zoom.us', windowTitle: 'Zoom Meeting' }, cfg)).toMatchObject({
+      tier: 'productive',
+      category: MEETING_CATEGORY,
+      isMeeting: true
+    });
+    // Zoom's home screen is only an app
+    expect(classifier.classify({ appName: 'zoom.us', windowTitle: 'Zoom Workplace' }, cfg)).toMatchObject({
+      tier: 'distracting',
+      category: 'Calls',
+      isMeeting: false
+    });
+    expect(classifier.isMeeting({ appName: 'Safari', windowTitle: 'x', url: 'https://meet.google.com/abc-defg-hij' }, cfg)).toBe(true);
+    expect(classifier.isMeeting({ appName: 'Safari', windowTitle: 'Meet - abc-defg-hij' }, cfg)).toBe(true);
+    expect(classifier.isMeeting({ appName: 'Safari', windowTitle: 'Meet - abc', url: 'https://example.com/' }, cfg)).toBe(false);
+  });
+
+  test('legacy rules sit below the default priority', () => {
+    const rules = classifier.getRules({ ...legacy, classificationRules: [{ app: 'Slack', action: 'include' }] });
+    expect(rules[0].priority).toBe(0);
+    expect(rules.slice(1).every(rule => rule.priority === LEGACY_RULE_PRIORITY)).toBe(true);
+  });
+
+  test('fingerprint changes with the rules', () => {
+    const before = classifier.getRulesFingerprint(legacy);
+    const after = classifier.getRulesFingerprint({ ...legacy, productiveApps: ['VSCode'] });
+    expect(after).not.toBe(before);
+  });
+
+  test('app lists from old config files keep matching parts of names', () => {
+    const testDir = path.join(os.tmpdir(), '.worktracker-classifier-test-' + Date.now());
+    const settings = new Config();
+    settings.configDir = testDir;
+    settings.configPath = path.join(testDir, 'config.json');
+    fs.mkdirSync(testDir, { recursive: true });
+    fs.writeFileSync(settings.configPath, JSON.stringify({ productiveApps: ['Code', 'a*b'], browserApps: [] }));
+
+    try {
+      const cfg = settings.load();
+      expect(cfg.productiveApps).toEqual([]);
+      expect(classifier.isProductive({ appName: 'Visual Studio Code' }, cfg)).toBe(true);
+      // Matching stays case-sensitive and literal, as it was
+      expect(classifier.isProductive({ appName: 'Xcode' }, cfg)).toBe(false);
+      expect(classifier.isProductive({ appName: 'a*b' }, cfg)).toBe(true);
+      expect(classifier.isProductive({ appName: 'axb' }, cfg)).toBe(false);
+
+      // The migration is saved and runs once
+      const saved = JSON.parse(fs.readFileSync(settings.configPath, 'utf8'));
+      expect(saved.configVersion).toBe(2);
+      expect(settings.load().classificationRules).toHaveLength(2);
+    } finally {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+});
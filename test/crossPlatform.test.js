@@ -0,0 +1,110 @@
+// crossPlatform.test.js - Tests for Linux backend selection and parsing
+const { CrossPlatformDetector } = require('../crossPlatform');
+
+describe('CrossPlatformDetector (Linux)', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new CrossPlatformDetector();
+    detector.platform = 'linux';
+  });
+
+  afterEach(() => {
+    detector.stop();
+  });
+
+  describe('getLinuxBackend()', () => {
+    test('uses the X11 tools outside Wayland', () => {
+      detector.env = { XDG_SESSION_TYPE: 'x11', XDG_CURRENT_DESKTOP: 'GNOME' };
+      expect(detector.getLinuxBackend()).toBe('x11');
+      detector.env = {};
+      expect(detector.getLinuxBackend()).toBe('x11');
+    });
+
+    test('picks the compositor on Wayland', () => {
+      detector.env = { XDG_SESSION_TYPE: 'wayland', XDG_CURRENT_DESKTOP: 'ubuntu:GNOME' };
+      expect(detector.getLinuxBackend()).toBe('gnome');
+      detector.env = { XDG_SESSION_TYPE: 'wayland', XDG_CURRENT_DESKTOP: 'KDE' };
+      expect(detector.getLinuxBackend()).toBe('kde');
+      detector.env = { WAYLAND_DISPLAY: 'wayland-1', SWAYSOCK: '/run/user/1000/sway-ipc.sock' };
+      expect(detector.getLinuxBackend()).toBe('sway');
+      detector.env = { XDG_SESSION_TYPE: 'wayland', XDG_CURRENT_DESKTOP: 'Hyprland' };
+      expect(detector.getLinuxBackend()).toBe('wayland');
+    });
+  });
+
+  test('parseSwayTree() finds the focused window', () => {
+    const tree = {
+      type: 'root',
+      nodes: [{
+        type: 'workspace',
+        nodes: [{ type: 'con', focused: false, app_id: 'foot', name: 'shell' }],
+        floating_nodes: [{
+          type: 'floating_con',
+          focused: true,
+          app_id: null,
+          window_properties: { class: 'Code' },
+          name: 'api - index.js'
+        }]
+      }]
+    };
+
+    expect(detector.parseSwayTree(tree)).toEqual({ appName: 'Code', title: 'api - index.js' });
+    expect(detector.parseSwayTree({ type: 'root', nodes: [] })).toBeNull();
+  });
+
+  test('parseGnomeFocusedWindow() unwraps the GVariant reply', () => {
+    const stdout = `('{"wm_class":"firefox","title":"It\\'s a \\\\"test\\\\""}',)\n`;
+    expect(detector.parseGnomeFocusedWindow(stdout)).toEqual({ appName: 'firefox', title: 'It\'s a "test"' });
+    expect(detector.parseGnomeFocusedWindow('Error: No such object path')).toBeNull();
+  });
+
+  test('parseKWinOutput() reads the marked journal line', () => {
+    const output = [
+      'kwin_wayland: something else',
+      'js: worktracker-focus-1-1:{"appName":"konsole","title":"old"}',
+      'js: worktracker-focus-1-2:{"appName":"org.kde.dolphin","title":"Home"}'
+    ].join('\n');
+
+    expect(detector.parseKWinOutput(output, 'worktracker-focus-1-2')).toEqual({ appName: 'org.kde.dolphin', title: 'Home' });
+    expect(detector.parseKWinOutput(output, 'worktracker-focus-1-3')).toBeNull();
+  });
+
+  test('unsupported compositors report an unknown window', async () => {
+    detector.env = { XDG_SESSION_TYPE: 'wayland', XDG_CURRENT_DESKTOP: 'Hyprland' };
+    expect(await detector.getActiveAppLinux()).toEqual({ appName: 'Unknown' });
+    expect(await detector.getWindowTitleLinux()).toBe('Unknown Window');
+  });
+
+  test('the app and title lookups of one tick share a compositor query', async () => {
+    detector.env = { XDG_SESSION_TYPE: 'wayland', SWAYSOCK: '/run/user/1000/sway-ipc.sock' };
+    const query = jest.spyOn(detector, 'getFocusedWindowSway')
+      .mockResolvedValue({ appName: 'foot', title: 'shell' });
+
+    expect(await detector.getActiveAppLinux()).toEqual({ appName: 'foot' });
+    expect(await detector.getWindowTitleLinux()).toBe('shell');
+    expect(query).toHaveBeenCalledTimes(1);
+
+    // The next tick asks again
+    detector.waylandWindow.time -= 1000;
+    await detector.getActiveAppLinux();
+    expect(query).toHaveBeenCalledTimes(2);
+  });
+
+  test('only a helper reporting idle time makes samples cheap', () => {
+    detector.env = { XDG_SESSION_TYPE: 'x11' };
+    // The X11 listener reports focus changes, but idle time runs xprintidle
+    expect(detector.isSamplingCheap()).toBe(false);
+
+    detector.platform = 'darwin';
+    detector.helper = undefined;
+    expect(detector.isSamplingCheap()).toBe(true);
+    detector.helper.disabled = true;
+    expect(detector.isSamplingCheap()).toBe(false);
+
+    detector.env = { XDG_SESSION_TYPE: 'wayland', XDG_CURRENT_DESKTOP: 'GNOME' };
+    detector.platform = 'linux';
+    detector.helper = undefined;
+    expect(detector.isSamplingCheap()).toBe(false);
+  });
+});
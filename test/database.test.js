@@ -75,6 +75,133 @@ describeIfDb('WorkTrackerDB', () => {
     });
   });
 
+  describe('schema migrations', () => {
+    const { MIGRATIONS, MigrationError } = require('../migrations');
+    const latestVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    // A database as created by releases that predate schema versioning
+    const createLegacyDatabase = () => {
+      fs.mkdirSync(testDbDir, { recursive: true });
+      const legacy = new Database(db.dbPath);
+      legacy.exec(`
+        CREATE TABLE activity_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT, timestamp TEXT NOT NULL, app_name TEXT,
+          window_title TEXT, is_afk INTEGER DEFAULT 0, afk_type TEXT, project TEXT,
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+        CREATE TABLE daily_summary (
+          id INTEGER PRIMARY KEY AUTOINCREMENT, date TEXT UNIQUE NOT NULL,
+          total_work_seconds INTEGER DEFAULT 0, goal_seconds INTEGER, sessions_count INTEGER DEFAULT 0,
+          productive_seconds INTEGER DEFAULT 0, projects_json TEXT, last_activity_id INTEGER DEFAULT 0,
+          created_at TEXT DEFAULT (datetime('now')), updated_at TEXT DEFAULT (datetime('now'))
+        );
+        INSERT INTO activity_log (timestamp, app_name, window_title) VALUES ('2024-01-15T09:00:00.000Z', 'VSCode', 'a.js');
+      `);
+      legacy.close();
+    };
+
+    test('records every migration on a fresh database', () => {
+      db.init();
+
+      const versions = db.db.prepare('SELECT version FROM schema_version ORDER BY version').all();
+      expect(versions.map(v => v.version)).toEqual(MIGRATIONS.map(m => m.version));
+      expect(db.getSchemaVersion()).toBe(latestVersion);
+      expect(fs.existsSync(path.join(testDbDir, 'backups'))).toBe(false);
+    });
+
+    test('upgrades a legacy database and keeps its data', () => {
+      createLegacyDatabase();
+      db.init();
+
+      const columns = db.db.prepare('PRAGMA table_info(daily_summary)').all().map(c => c.name);
+      expect(columns).toContain('open_session_start');
+      expect(columns).toContain('cache_key');
+      expect(db.getSchemaVersion()).toBe(latestVersion);
+      expect(db.db.prepare('SELECT COUNT(*) as count FROM activity_log').get().count).toBe(1);
+    });
+
+    test('backs up an existing database before migrating', () => {
+      createLegacyDatabase();
+      db.init();
+
+      const backupDir = path.join(testDbDir, 'backups');
+      const backups = fs.readdirSync(backupDir);
+      expect(backups.length).toBe(1);
+      expect(backups[0]).toMatch(/^worktracker-v0-.*\.db$/);
+
+      const backup = new Database(path.join(backupDir, backups[0]), { readonly: true });
+      expect(backup.prepare('SELECT COUNT(*) as count FROM activity_log').get().count).toBe(1);
+      backup.close();
+    });
+
+    test('does not re-run applied migrations', () => {
+      db.init();
+      db.close();
+
+      db.init();
+      const rows = db.db.prepare('SELECT COUNT(*) as count FROM schema_version').get();
+      expect(rows.count).toBe(MIGRATIONS.length);
+    });
+
+    test('rolls back a failed migration and reports it', () => {
+      db.init();
+      db.close();
+
+      MIGRATIONS.push({
+        version: latestVersion + 1,
+        description: 'Broken migration',
+        up(database) {
+          database.exec('CREATE TABLE half_done (id INTEGER)');
+          database.exec('ALTER TABLE no_such_table ADD COLUMN oops TEXT');
+        }
+      });
+
+      try {
+        expect(db.init()).toBe(false);
+      } finally {
+        MIGRATIONS.pop();
+      }
+
+      const error = db.getMigrationError();
+      expect(error).toBeInstanceOf(MigrationError);
+      expect(error.version).toBe(latestVersion + 1);
+      expect(error.backupPath).toBeTruthy();
+      expect(fs.existsSync(error.backupPath)).toBe(true);
+
+      // The failed migration left nothing behind
+      const check = new Database(db.dbPath, { readonly: true });
+      const halfDone = check.prepare(`SELECT name FROM sqlite_master WHERE name = 'half_done'`).get();
+      const version = check.prepare('SELECT MAX(version) as version FROM schema_version').get().version;
+      check.close();
+      expect(halfDone).toBeUndefined();
+      expect(version).toBe(latestVersion);
+    });
+
+    test('removes query strings and fragments from stored URLs', () => {
+      db.init();
+      db.logActivity('2024-01-15T09:00:00.000Z', 'Safari', 'Reset', false, null, null, null, 60, 'https://example.com/reset?token=abc#step');
+      db.logActivity('2024-01-15T09:01:00.000Z', 'Safari', 'Repo', false, null, null, null, 60, 'https://github.com/org/api');
+      // As left by the version before
+      db.db.prepare('DELETE FROM schema_version WHERE version >= 12').run();
+      db.close();
+
+      db.init();
+      expect(db.getActivityForDate('2024-01-15').map(row => row.url)).toEqual([
+        'https://example.com/reset',
+        'https://github.com/org/api'
+      ]);
+    });
+
+    test('refuses a database from a newer version', () => {
+      db.init();
+      db.db.prepare(`INSERT INTO schema_version (version, description) VALUES (?, 'future')`).run(latestVersion + 5);
+      db.close();
+
+      expect(db.init()).toBe(false);
+      expect(db.getMigrationError().message).toMatch(/newer than this app supports/);
+    });
+  });
+
   describe('logActivity()', () => {
     beforeEach(() => {
       db.init();
@@ -193,6 +320,222 @@ describeIfDb('WorkTrackerDB', () => {
     });
   });
 
+  describe('daily summary cache', () => {
+    const rules = { productiveApps: ['VSCode'], productiveWebsites: [], browserApps: [] };
+    const date = '2024-01-15';
+    const at = time => new Date(`${date}T${time}`).toISOString();
+
+    beforeEach(() => {
+      db.init();
+    });
+
+    test('calculateWorkTimeForDate saves resumable state', () => {
+      db.logActivity(at('09:00:00'), 'VSCode', 'a.js', false, null, null);
+      db.logActivity(at('10:00:00'), 'Slack', 'Chat', false, null, null);
+      const lastId = db.logActivity(at('10:30:00'), 'VSCode', 'a.js', false, null, null);
+
+      const result = db.calculateWorkTimeForDate(date, rules);
+      expect(result.totalWorkSeconds).toBe(3600);
+
+      const summary = db.getDailySummary(date);
+      expect(summary.last_activity_id).toBe(lastId);
+      expect(summary.closed_work_seconds).toBe(3600);
+      expect(summary.is_session_open).toBe(1);
+      expect(summary.open_session_start).toBe(at('10:30:00'));
+      expect(summary.cache_key).toBeTruthy();
+    });
+
+    test('stores per-tier seconds in the daily summary', () => {
+      const tiered = { ...rules, distractingApps: ['YouTube'], tierWeights: { productive: 1, neutral: 0.5, distracting: 0 } };
+      db.logActivity(at('09:00:00'), 'VSCode', 'a.js', false, null, null);
+      db.logActivity(at('10:00:00'), 'Slack', 'Chat', false, null, null);
+      db.logActivity(at('10:30:00'), 'YouTube', 'Video', false, null, null);
+      db.logActivity(at('11:00:00'), 'VSCode', 'a.js', false, null, null);
+
+      const result = db.calculateWorkTimeForDate(date, tiered);
+      expect(result.tierSeconds).toEqual({ productive: 3600, neutral: 1800, distracting: 1800 });
+      expect(result.weightedSeconds).toBe(4500);
+
+      const summary = db.getDailySummary(date);
+      expect(summary.productive_seconds).toBe(3600);
+      expect(summary.neutral_seconds).toBe(1800);
+      expect(summary.distracting_seconds).toBe(1800);
+
+      // Resuming from the cache keeps the tier totals
+      db.logActivity(at('11:30:00'), 'Slack', 'Chat', false, null, null);
+      const resumed = db.calculateWorkTimeForDate(date, tiered);
+      expect(resumed.tierSeconds).toEqual(
+        db.calculateWorkTimeForDate(date, tiered, { useCache: false }).tierSeconds
+      );
+      expect(resumed.tierSeconds.productive).toBe(5400);
+    });
+
+    test('resumes from the cache and only replays new rows', () => {
+      db.logActivity(at('09:00:00'), 'VSCode', 'a.js', false, null, null);
+      db.logActivity(at('10:00:00'), 'Slack', 'Chat', false, null, null);
+      db.calculateWorkTimeForDate(date, rules);
+
+      db.logActivity(at('11:00:00'), 'VSCode', 'a.js', false, null, null);
+      db.logActivity(at('11:30:00'), 'Slack', 'Chat', false, null, null);
+
+      const spy = jest.spyOn(db, 'getActivityForDate');
+      const result = db.calculateWorkTimeForDate(date, rules);
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+
+      const fresh = db.calculateWorkTimeForDate(date, rules, { useCache: false });
+      expect(result).toEqual(fresh);
+      expect(result.totalWorkSeconds).toBe(5400);
+      expect(result.sessionsCount).toBe(2);
+    });
+
+    test('changed rules force a full replay', () => {
+      db.logActivity(at('09:00:00'), 'VSCode', 'a.js', false, null, null);
+      db.logActivity(at('10:00:00'), 'Slack', 'Chat', false, null, null);
+      db.logActivity(at('11:00:00'), 'VSCode', 'a.js', false, null, null);
+      db.calculateWorkTimeForDate(date, rules);
+
+      const result = db.calculateWorkTimeForDate(date, {
+        ...rules,
+        classificationRules: [{ app: 'Slack', action: 'include' }]
+      });
+      expect(result.totalWorkSeconds).toBe(7200);
+    });
+
+    test('caches a pending interruption and resumes across it', () => {
+      const tolerant = { ...rules, interruptionGraceSeconds: 120 };
+      db.logActivity(at('09:00:00'), 'VSCode', 'a.js', false, null, null);
+      db.logActivity(at('10:00:00'), 'Slack', 'Chat', false, null, null);
+      db.calculateWorkTimeForDate(date, tolerant);
+      expect(db.getDailySummary(date).pending_break_start).toBe(at('10:00:00'));
+
+      db.logActivity(at('10:01:00'), 'VSCode', 'a.js', false, null, null);
+      db.logActivity(at('10:30:00'), 'Slack', 'Chat', false, null, null);
+      const result = db.calculateWorkTimeForDate(date, tolerant);
+      expect(result).toEqual(db.calculateWorkTimeForDate(date, tolerant, { useCache: false }));
+      expect(result.totalWorkSeconds).toBe(5400);
+      expect(result.sessionsCount).toBe(1);
+
+      // A different grace period invalidates the cached state
+      const strict = db.calculateWorkTimeForDate(date, rules);
+      expect(strict.totalWorkSeconds).toBe(5340);
+      expect(strict.sessionsCount).toBe(2);
+    });
+
+    test('picks up a cached row whose duration grew since', () => {
+      const id = db.logActivity(at('09:00:00'), 'VSCode', 'a.js', false, null, null, null, 600);
+      expect(db.calculateWorkTimeForDate(date, rules).totalWorkSeconds).toBe(600);
+
+      // The tracker extends the open row, then focus moves after a gap
+      db.updateActivityDuration(id, 1200);
+      db.logActivity(at('10:00:00'), 'VSCode', 'a.js', false, null, null, null, 300);
+
+      const result = db.calculateWorkTimeForDate(date, rules);
+      expect(result).toEqual(db.calculateWorkTimeForDate(date, rules, { useCache: false }));
+      expect(result.totalWorkSeconds).toBe(1500);
+      expect(result.sessionsCount).toBe(2);
+    });
+
+    test('tracks category time, preferring the category stored on the row', () => {
+      const categorized = {
+        ...rules,
+        categories: [{ name: 'Work', children: [{ name: 'Coding', rules: [{ app: 'VSCode' }] }] }]
+      };
+      db.logActivity(at('09:00:00'), 'VSCode', 'a.js', false, null, null);
+      db.logActivity(at('10:00:00'), 'Slack', 'Chat', false, null, null, 'Work > Communication');
+      db.logActivity(at('10:30:00'), 'Mail', 'Inbox', false, null, null);
+      db.logActivity(at('11:00:00'), 'VSCode', 'a.js', false, null, null);
+
+      const result = db.calculateWorkTimeForDate(date, categorized);
+      expect(result.categorySeconds).toEqual({ 'Work > Coding': 3600, 'Work > Communication': 1800 });
+      expect(db.getCategoryStats(date, date)).toEqual(result.categorySeconds);
+    });
+
+    test('splits a row that runs past midnight between the two days', () => {
+      db.logActivity(new Date('2024-01-10T23:00:00').toISOString(), 'VSCode', 'a.js', false, null, null, null, 7200);
+
+      const first = db.calculateWorkTimeForDate('2024-01-10', rules);
+      expect(first.totalWorkSeconds).toBe(3600);
+      expect(first.hourlySeconds[23]).toBe(3600);
+      expect(first.hourlySeconds[0]).toBe(0);
+      expect(first.tierSeconds.productive).toBe(3600);
+
+      const second = db.calculateWorkTimeForDate('2024-01-11', rules);
+      expect(second.totalWorkSeconds).toBe(3600);
+      expect(second.sessionsCount).toBe(1);
+      expect(second.hourlySeconds[0]).toBe(3600);
+      expect(second.tierSeconds.productive).toBe(3600);
+      expect(db.calculateWorkTimeForDate('2024-01-11', rules)).toEqual(second);
+    });
+
+    test('invalidateDailySummaryCache clears cached state', () => {
+      db.logActivity(at('09:00:00'), 'VSCode', 'a.js', false, null, null);
+      db.calculateWorkTimeForDate(date, rules);
+
+      db.invalidateDailySummaryCache(date);
+      expect(db.getDailySummary(date).cache_key).toBeNull();
+    });
+  });
+
+  describe('compactActivityLog()', () => {
+    const rules = { productiveApps: ['VSCode'], productiveWebsites: [], browserApps: [] };
+    const date = '2024-01-15';
+    const at = time => new Date(`${date}T${time}`).toISOString();
+
+    beforeEach(() => {
+      db.init();
+    });
+
+    test('merges runs of per-sample rows without changing totals', () => {
+      db.logActivity(at('09:00:00'), 'VSCode', 'a.js', false, null, null);
+      db.logActivity(at('09:00:30'), 'VSCode', 'a.js', false, null, null);
+      db.logActivity(at('09:01:00'), 'VSCode', 'a.js', false, null, null);
+      db.logActivity(at('09:30:00'), 'Slack', 'Chat', false, null, null);
+      db.logActivity(at('09:30:30'), 'Slack', 'Chat', false, null, null);
+      db.logActivity(at('10:00:00'), 'VSCode', 'b.js', false, null, null);
+      db.logActivity(at('10:30:00'), 'Slack', 'Chat', false, null, null);
+      const before = db.calculateWorkTimeForDate(date, rules);
+
+      expect(db.compactActivityLog()).toEqual({ rowsBefore: 7, rowsAfter: 4 });
+      expect(db.getActivityForDate(date).map(row => row.timestamp)).toEqual(
+        [at('09:00:00'), at('09:30:00'), at('10:00:00'), at('10:30:00')]
+      );
+      expect(db.getDailySummary(date).cache_key).toBeNull();
+      expect(db.calculateWorkTimeForDate(date, rules)).toEqual(before);
+    });
+
+    test('extends durations within the pulse and stops at gaps and AFK', () => {
+      db.logActivity(at('09:00:00'), 'VSCode', 'a.js', false, null, null, null, 30);
+      db.logActivity(at('09:00:30'), 'VSCode', 'a.js', false, null, null, null, 60);
+      // Two minutes untracked: more than the pulse
+      db.logActivity(at('09:03:30'), 'VSCode', 'a.js', false, null, null, null, 30);
+      db.logActivity(at('09:04:00'), null, null, true, 'start', null);
+      db.logActivity(at('09:10:00'), null, null, true, 'end', null);
+      db.logActivity(at('09:10:00'), 'VSCode', 'a.js', false, null, null, null, 30);
+      const before = db.calculateWorkTimeForDate(date, rules);
+
+      expect(db.compactActivityLog(60)).toEqual({ rowsBefore: 6, rowsAfter: 5 });
+      const rows = db.getActivityForDate(date);
+      expect(rows[0].duration_seconds).toBe(90);
+      expect(rows[1].timestamp).toBe(at('09:03:30'));
+      expect(db.calculateWorkTimeForDate(date, rules)).toEqual(before);
+    });
+
+    test('keeps rows on either side of the day rollover apart', () => {
+      const nextDay = '2024-01-16';
+      const { days } = require('../dayBoundary');
+      const spy = jest.spyOn(days, 'getDayStartHour').mockReturnValue(4);
+      db.logActivity(new Date(`${nextDay}T03:59:30`).toISOString(), 'VSCode', 'a.js', false, null, null, null, 30);
+      db.logActivity(new Date(`${nextDay}T04:00:00`).toISOString(), 'VSCode', 'a.js', false, null, null, null, 30);
+      db.logActivity(new Date(`${nextDay}T04:00:30`).toISOString(), 'VSCode', 'a.js', false, null, null, null, 30);
+
+      expect(db.compactActivityLog(60)).toEqual({ rowsBefore: 3, rowsAfter: 2 });
+      expect(db.getActivityForDate(date).map(row => row.duration_seconds)).toEqual([30]);
+      expect(db.getActivityForDate(nextDay).map(row => row.duration_seconds)).toEqual([60]);
+      spy.mockRestore();
+    });
+  });
+
   describe('project stats', () => {
     beforeEach(() => {
       db.init();
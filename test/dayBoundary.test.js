@@ -0,0 +1,115 @@
+// dayBoundary.test.js - Tests for local-time day bucketing
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+let mockDayStartHour = 0;
+
+// Mock config
+jest.mock('../config', () => ({
+  config: {
+    get: jest.fn(key => (key === 'dayStartHour' ? mockDayStartHour : undefined))
+  }
+}));
+
+const { days } = require('../dayBoundary');
+
+describe('DayBoundary', () => {
+  afterEach(() => {
+    mockDayStartHour = 0;
+  });
+
+  describe('getDateKey()', () => {
+    test('uses local calendar fields', () => {
+      expect(days.getDateKey(new Date(2024, 0, 15, 23, 30))).toBe('2024-01-15');
+      expect(days.getDateKey(new Date(2024, 0, 16, 0, 5))).toBe('2024-01-16');
+    });
+
+    test('keeps time before the rollover hour with the previous day', () => {
+      mockDayStartHour = 4;
+      expect(days.getDateKey(new Date(2024, 0, 16, 3, 59))).toBe('2024-01-15');
+      expect(days.getDateKey(new Date(2024, 0, 16, 4, 0))).toBe('2024-01-16');
+    });
+
+    test('rolls back across month and year boundaries', () => {
+      mockDayStartHour = 4;
+      expect(days.getDateKey(new Date(2024, 0, 1, 2, 0))).toBe('2023-12-31');
+      expect(days.getDateKey(new Date(2024, 2, 1, 1, 0))).toBe('2024-02-29');
+    });
+
+    test('falls back to midnight for invalid hours', () => {
+      mockDayStartHour = 'late';
+      expect(days.getDayStartHour()).toBe(0);
+      mockDayStartHour = 30;
+      expect(days.getDayStartHour()).toBe(0);
+    });
+  });
+
+  describe('getDayBounds()', () => {
+    test('spans the day from rollover to rollover', () => {
+      mockDayStartHour = 4;
+      const { start, end } = days.getDayBounds('2024-01-15');
+      expect(start).toEqual(new Date(2024, 0, 15, 4));
+      expect(end).toEqual(new Date(2024, 0, 16, 4));
+    });
+
+    test('getRangeBounds covers an inclusive range', () => {
+      const { start, end } = days.getRangeBounds('2024-01-10', '2024-01-12');
+      expect(start).toEqual(new Date(2024, 0, 10));
+      expect(end).toEqual(new Date(2024, 0, 13));
+    });
+  });
+
+  describe('day key arithmetic', () => {
+    test('addDays crosses month boundaries', () => {
+      expect(days.addDays('2024-01-31', 1)).toBe('2024-02-01');
+      expect(days.addDays('2024-03-01', -1)).toBe('2024-02-29');
+    });
+
+    test('getDateKeysInRange lists every day', () => {
+      expect(days.getDateKeysInRange('2024-02-27', '2024-03-02')).toEqual([
+        '2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01', '2024-03-02'
+      ]);
+    });
+
+    test('msUntilNextDay counts down to the rollover', () => {
+      mockDayStartHour = 4;
+      expect(days.msUntilNextDay(new Date(2024, 0, 16, 3, 0))).toBe(60 * 60 * 1000);
+      expect(days.msUntilNextDay(new Date(2024, 0, 16, 5, 0))).toBe(23 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('DST transitions', () => {
+    // The timezone is fixed when the process starts, so check in a child process
+    const runInTimezone = (timezone, script) => {
+      const modulePath = path.join(__dirname, '..', 'dayBoundary.js');
+      const output = execFileSync(process.execPath, ['-e', `
+        const Module = require('module');
+        const originalLoad = Module._load;
+        Module._load = function (request, parent, isMain) {
+          if (request === './config') {
+            return { config: { get: () => 4 } };
+          }
+          return originalLoad.call(this, request, parent, isMain);
+        };
+        const { days } = require(${JSON.stringify(modulePath)});
+        console.log(JSON.stringify((${script})(days)));
+      `], { env: { ...process.env, TZ: timezone } });
+      return JSON.parse(output.toString());
+    };
+
+    test('spring-forward and fall-back days are 23 and 25 hours long', () => {
+      // With a 4am rollover the 2am transitions fall in the previous tracking day
+      const hours = runInTimezone('America/Los_Angeles', `days => ['2024-03-09', '2024-11-02', '2024-03-10'].map(key => {
+        const { start, end } = days.getDayBounds(key);
+        return (end - start) / 3600000;
+      })`);
+      expect(hours).toEqual([23, 25, 24]);
+    });
+
+    test('evening work stays on the local day', () => {
+      const key = runInTimezone('America/Los_Angeles', `days => days.getDateKey(new Date('2024-01-16T06:00:00.000Z'))`);
+      // 10pm on the 15th in UTC-8
+      expect(key).toBe('2024-01-15');
+    });
+  });
+});
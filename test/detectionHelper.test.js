@@ -0,0 +1,118 @@
+// detectionHelper.test.js - Tests for the persistent detection helpers
+const { QueryHelper, X11FocusListener, KWinFocusListener, createDetectionHelper } = require('../detectionHelper');
+
+// A stand-in helper: answers each line with a sample, and exits after
+// `answers` of them (0 = never)
+function fakeHelper(answers = 0) {
+  const script = `
+    let count = 0;
+    require('readline').createInterface({ input: process.stdin }).on('line', () => {
+      count++;
+      console.log(JSON.stringify({ appName: 'VSCode', title: 'a.js', idleSeconds: count }));
+      if (${answers} && count >= ${answers}) process.exit(1);
+    });
+  `;
+  return new QueryHelper(process.execPath, ['-e', script]);
+}
+
+describe('QueryHelper', () => {
+  let helper;
+
+  afterEach(() => {
+    helper.stop();
+  });
+
+  test('answers samples from one long-lived process', async () => {
+    helper = fakeHelper();
+
+    expect(await helper.sample()).toEqual({ appName: 'VSCode', title: 'a.js', idleSeconds: 1 });
+    const pid = helper.process.pid;
+    expect(await helper.sample()).toEqual({ appName: 'VSCode', title: 'a.js', idleSeconds: 2 });
+    expect(helper.process.pid).toBe(pid);
+  });
+
+  test('restarts a crashed helper after a back-off', async () => {
+    helper = fakeHelper(1);
+
+    expect((await helper.sample()).idleSeconds).toBe(1);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(helper.process).toBeNull();
+
+    // Backing off: the caller falls back for now
+    expect(await helper.sample()).toBeNull();
+
+    helper.retryAt = 0;
+    expect((await helper.sample()).idleSeconds).toBe(1);
+  });
+
+  test('gives up on a helper that keeps crashing', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    helper = new QueryHelper(process.execPath, ['-e', 'process.exit(1)']);
+
+    for (let i = 0; i < 6; i++) {
+      helper.retryAt = 0;
+      await expect(helper.sample()).rejects.toThrow(/exited/);
+    }
+
+    expect(helper.disabled).toBe(true);
+    expect(await helper.sample()).toBeNull();
+    console.warn.mockRestore();
+  });
+});
+
+describe('X11FocusListener', () => {
+  let listener;
+
+  beforeEach(() => {
+    listener = new X11FocusListener();
+    jest.spyOn(listener, 'spyOnWindow').mockImplementation(() => {});
+  });
+
+  test('follows the active window from the root spy', () => {
+    listener.handleLine('_NET_ACTIVE_WINDOW(WINDOW): window id # 0x3a00007');
+    expect(listener.spyOnWindow).toHaveBeenCalledWith('0x3a00007');
+
+    // Repeats of the same window are ignored; no window clears the focus
+    listener.handleLine('_NET_ACTIVE_WINDOW(WINDOW): window id # 0x3a00007');
+    expect(listener.spyOnWindow).toHaveBeenCalledTimes(1);
+    listener.handleLine('_NET_ACTIVE_WINDOW(WINDOW): window id # 0x0');
+    expect(listener.windowId).toBeNull();
+  });
+
+  test('reads the title and process from window properties', () => {
+    jest.spyOn(listener, 'getProcessName').mockReturnValue('code');
+    const focus = { appName: 'Unknown', title: 'Unknown Window' };
+
+    listener.applyWindowProperty(focus, '_NET_WM_PID(CARDINAL) = 4242');
+    listener.applyWindowProperty(focus, '_NET_WM_NAME(UTF8_STRING) = "say \\"hi\\" - Visual Studio Code"');
+
+    expect(listener.getProcessName).toHaveBeenCalledWith('4242');
+    expect(focus).toEqual({ appName: 'code', title: 'say "hi" - Visual Studio Code' });
+  });
+});
+
+describe('KWinFocusListener', () => {
+  test('is the helper on KDE Plasma', () => {
+    expect(createDetectionHelper('linux', 'kde')).toBeInstanceOf(KWinFocusListener);
+    expect(createDetectionHelper('linux', 'sway')).toBeNull();
+  });
+
+  test('follows the window its script reports', () => {
+    const listener = new KWinFocusListener();
+    const onChange = jest.fn();
+    listener.onChange = onChange;
+
+    listener.handleLine(`js: ${listener.marker}:{"appName":"org.kde.dolphin","title":"Home"}`);
+    expect(listener.focus).toEqual({ appName: 'org.kde.dolphin', title: 'Home' });
+    expect(onChange).toHaveBeenCalledTimes(1);
+
+    // Other scripts' lines and broken ones are ignored
+    listener.handleLine('js: worktracker-focus-1-2:{"appName":"konsole","title":"old"}');
+    listener.handleLine(`js: ${listener.marker}:{"appName"`);
+    expect(listener.focus).toEqual({ appName: 'org.kde.dolphin', title: 'Home' });
+
+    listener.handleLine(`js: ${listener.marker}:null`);
+    expect(listener.focus).toBeNull();
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,122 @@
+// editorHeartbeats.test.js - Tests for editor heartbeat ingest
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Check if better-sqlite3 is available
+let dbAvailable = false;
+try {
+  require('better-sqlite3');
+  dbAvailable = true;
+} catch (e) {
+  console.warn('better-sqlite3 not available, skipping editor heartbeat tests');
+}
+
+const describeIfDb = dbAvailable ? describe : describe.skip;
+
+describeIfDb('EditorHeartbeatManager', () => {
+  const { WorkTrackerDB } = require('../database');
+  const { EditorHeartbeatManager } = require('../editorHeartbeats');
+  const { HistoryReprocessor } = require('../reprocessor');
+  const { projects } = require('../projects');
+  const { config } = require('../config');
+  let db;
+  let heartbeats;
+  let testDbDir;
+  let projectKeywords;
+
+  const date = '2024-01-15';
+  const at = time => new Date(`${date}T${time}`);
+  const unix = time => at(time).getTime() / 1000;
+  const heartbeat = (time, extra = {}) => ({
+    entity: '/home/me/src/api/server.js',
+    time: unix(time),
+    language: 'JavaScript',
+    project: 'api',
+    project_root: '/home/me/src/api',
+    branch: 'main',
+    ...extra
+  });
+
+  beforeEach(() => {
+    testDbDir = path.join(os.tmpdir(), '.worktracker-editor-test-' + Date.now());
+
+    db = new WorkTrackerDB();
+    db.dbDir = testDbDir;
+    db.dbPath = path.join(testDbDir, 'test.db');
+    db.init();
+
+    heartbeats = new EditorHeartbeatManager();
+    heartbeats.db = db;
+
+    projectKeywords = {};
+    jest.spyOn(config, 'getAll').mockImplementation(() => ({
+      productiveApps: ['Code'],
+      productiveWebsites: [],
+      browserApps: [],
+      classificationRules: [],
+      categories: []
+    }));
+    jest.spyOn(config, 'getProjectKeywords').mockImplementation(() => projectKeywords);
+    projects.invalidateCache();
+
+    db.logActivity(at('09:00:00').toISOString(), 'Code', 'server.js — api — Visual Studio Code', false, null, 'server.js', null, 600);
+    db.logActivity(at('09:10:00').toISOString(), null, null, true, 'start', null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (db) {
+      db.close();
+    }
+    if (fs.existsSync(testDbDir)) {
+      fs.rmSync(testDbDir, { recursive: true, force: true });
+    }
+  });
+
+  test('stores heartbeats linked to the activity row they happened in', () => {
+    const receivedAt = at('09:30:00');
+    expect(heartbeats.ingest([
+      heartbeat('09:05:00'),
+      heartbeat('09:20:00'),
+      { time: unix('09:06:00') },
+      heartbeat('10:00:00')
+    ], receivedAt)).toBe(true);
+    expect(heartbeats.ingest({ language: 'Go' }, receivedAt)).toBe(false);
+
+    const [row] = db.getActivityForDate(date);
+    const stored = db.getEditorHeartbeatsForDate(date);
+    // Invalid and future heartbeats are dropped; the one during AFK has no row
+    expect(stored.map(h => [h.entity, h.branch, h.activity_id])).toEqual([
+      ['/home/me/src/api/server.js', 'main', row.id],
+      ['/home/me/src/api/server.js', 'main', null]
+    ]);
+  });
+
+  test('prefers the project root of the editor in front', () => {
+    heartbeats.ingest(heartbeat('09:05:00'), at('09:05:00'));
+    const title = 'server.js — api — Visual Studio Code';
+
+    expect(heartbeats.getProjectRoot(title, at('09:06:00'))).toBe('/home/me/src/api');
+    // Another window, or an editor gone quiet, doesn't inherit it
+    expect(heartbeats.getProjectRoot('Inbox - Mail', at('09:06:00'))).toBeNull();
+    expect(heartbeats.getProjectRoot(title, at('10:00:00'))).toBeNull();
+
+    expect(projects.detectProject(title, 'Code', '/home/me/src/api')).toBe('api');
+    expect(projects.detectProject('Untitled — Code', 'Code', 'C:\\src\\client-site')).toBe('client-site');
+    projectKeywords = { 'Client Work': ['client-site'] };
+    projects.invalidateCache();
+    expect(projects.detectProject('Untitled — Code', 'Code', 'C:\\src\\client-site')).toBe('Client Work');
+  });
+
+  test('reprocessing tags rows with their editor project', async () => {
+    heartbeats.ingest(heartbeat('09:05:00', { project_root: '/home/me/src/billing-api' }), at('09:05:00'));
+
+    const reprocessor = new HistoryReprocessor();
+    reprocessor.db = db;
+    await reprocessor.run(date, date);
+
+    const [row] = db.getActivityForDate(date);
+    expect(row.project).toBe('billing-api');
+  });
+});
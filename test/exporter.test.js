@@ -0,0 +1,80 @@
+// exporter.test.js - Tests for CSV and JSON exports
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Check if better-sqlite3 is available
+let dbAvailable = false;
+try {
+  require('better-sqlite3');
+  dbAvailable = true;
+} catch (e) {
+  console.warn('better-sqlite3 not available, skipping exporter tests');
+}
+
+const describeIfDb = dbAvailable ? describe : describe.skip;
+
+describeIfDb('Exporter', () => {
+  const { db } = require('../database');
+  const { exporter } = require('../exporter');
+  const { config } = require('../config');
+  let testDir;
+
+  const date = '2024-01-15';
+  const at = time => new Date(`${date}T${time}`).toISOString();
+  // Rows of a CSV file, as arrays of fields
+  const readCSV = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => line.split(','));
+
+  beforeEach(() => {
+    testDir = path.join(os.tmpdir(), '.worktracker-export-test-' + Date.now());
+    db.dbDir = testDir;
+    db.dbPath = path.join(testDir, 'test.db');
+    db.init();
+
+    jest.spyOn(config, 'getAll').mockImplementation(() => ({
+      productiveApps: ['VSCode'],
+      productiveWebsites: [],
+      browserApps: [],
+      classificationRules: [],
+      dailyGoalMinutes: 480
+    }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const session = db.startSession(at('09:00:00'), 'Api');
+    db.endSession(session, at('10:00:00'), 3600);
+    db.logActivity(at('09:00:00'), 'VSCode', 'a.js', false, null, 'Api', null, 3600);
+    db.addManualEntry({ startTime: at('12:00:00'), endTime: at('12:30:00'), project: 'Api' });
+    db.addManualEntry({ startTime: at('14:00:00'), endTime: at('15:00:00'), project: 'Website', source: 'away' });
+    db.calculateWorkTimeForDate(date);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('daily summaries say how much of each day was entered by hand', async () => {
+    const file = path.join(testDir, 'daily.csv');
+    await exporter.exportDailySummaryToCSV(date, date, file);
+
+    const [header, row] = readCSV(file);
+    expect(row[header.indexOf('Date')]).toBe(date);
+    expect(row[header.indexOf('Total Work (seconds)')]).toBe('9000');
+    expect(row[header.indexOf('Manual Work (seconds)')]).toBe('5400');
+  });
+
+  test('project breakdowns say how much of each project was entered by hand', async () => {
+    const file = path.join(testDir, 'projects.csv');
+    await exporter.exportProjectBreakdownToCSV(date, date, file);
+
+    const [header, ...rows] = readCSV(file);
+    const column = name => header.indexOf(name);
+    expect(rows.map(row => [row[column('Project')], row[column('Total Work (seconds)')], row[column('Manual Work (seconds)')]])).toEqual([
+      ['Api', '5400', '1800'],
+      ['Website', '3600', '3600']
+    ]);
+  });
+});
@@ -0,0 +1,110 @@
+// gitCommits.test.js - Tests for linking git commits to work sessions
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+// Check if better-sqlite3 is available
+let dbAvailable = false;
+try {
+  require('better-sqlite3');
+  dbAvailable = true;
+} catch (e) {
+  console.warn('better-sqlite3 not available, skipping git commit tests');
+}
+
+const describeIfDb = dbAvailable ? describe : describe.skip;
+
+describeIfDb('GitCommitTracker', () => {
+  const { WorkTrackerDB } = require('../database');
+  const { GitCommitTracker } = require('../gitCommits');
+  const { projects } = require('../projects');
+  const { config } = require('../config');
+  let db;
+  let tracker;
+  let testDir;
+  let repo;
+
+  const date = '2024-01-15';
+  const at = time => new Date(`${date}T${time}`).toISOString();
+
+  // Commit in the test repository as author at the given time
+  const commit = (time, subject, email = 'me@example.com') => {
+    execFileSync('git', ['-C', repo, 'commit', '--allow-empty', '-q', '-m', subject], {
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: 'Test',
+        GIT_AUTHOR_EMAIL: email,
+        GIT_COMMITTER_NAME: 'Test',
+        GIT_COMMITTER_EMAIL: email,
+        GIT_AUTHOR_DATE: at(time),
+        GIT_COMMITTER_DATE: at(time)
+      }
+    });
+  };
+
+  beforeEach(() => {
+    testDir = path.join(os.tmpdir(), '.worktracker-git-test-' + Date.now());
+    repo = path.join(testDir, 'billing-api');
+    fs.mkdirSync(repo, { recursive: true });
+    execFileSync('git', ['init', '-q', '-b', 'main', repo]);
+    execFileSync('git', ['-C', repo, 'config', 'user.email', 'me@example.com']);
+
+    db = new WorkTrackerDB();
+    db.dbDir = testDir;
+    db.dbPath = path.join(testDir, 'test.db');
+    db.init();
+
+    tracker = new GitCommitTracker();
+    tracker.db = db;
+
+    jest.spyOn(config, 'getAll').mockImplementation(() => ({ gitRepositories: [repo] }));
+    jest.spyOn(config, 'getProjectKeywords').mockImplementation(() => ({}));
+    projects.invalidateCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (db) {
+      db.close();
+    }
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('links the user\'s commits to the session of their project', async () => {
+    const apiSession = db.startSession(at('09:00:00'), 'billing-api');
+    db.endSession(apiSession, at('10:00:00'), 3600);
+    const otherSession = db.startSession(at('10:00:00'), 'website');
+    db.endSession(otherSession, at('11:00:00'), 3600);
+
+    commit('09:30:00', 'Add invoice totals');
+    commit('09:45:00', 'Someone else\'s fix', 'colleague@example.com');
+    // Shortly after the session ended still counts for it...
+    commit('10:03:00', 'Fix rounding');
+    // ...but not long after
+    commit('12:00:00', 'Update README');
+
+    const commits = await tracker.getCommitsForRange(date, date);
+    expect(commits.map(c => [c.subject, c.project, c.sessionId])).toEqual([
+      ['Add invoice totals', 'billing-api', apiSession],
+      ['Fix rounding', 'billing-api', apiSession],
+      ['Update README', 'billing-api', null]
+    ]);
+    expect(commits[0].hash).toMatch(/^[0-9a-f]{40}$/);
+  });
+
+  test('counts time and commits per project for a day', async () => {
+    const session = db.startSession(at('09:00:00'), 'billing-api');
+    db.endSession(session, at('12:10:00'), 11400);
+    commit('09:30:00', 'Add invoice totals');
+    commit('11:00:00', 'Fix rounding');
+
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const day = await tracker.getProjectDay(date, { gitRepositories: [repo, path.join(testDir, 'missing')] });
+    expect(day.map(row => [row.project, row.seconds, row.commits.length])).toEqual([['billing-api', 11400, 2]]);
+    // A repository that can't be read is reported and skipped
+    expect(error).toHaveBeenCalledTimes(1);
+  });
+});
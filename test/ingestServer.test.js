@@ -0,0 +1,55 @@
+// ingestServer.test.js - Tests for the local plugin server
+const http = require('http');
+const { IngestServer } = require('../ingestServer');
+
+describe('IngestServer', () => {
+  let server;
+
+  beforeEach(() => {
+    server = new IngestServer();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    server.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('routes JSON posts on the loopback interface to their handler', async () => {
+    const received = [];
+    server.route('/activity', body => {
+      received.push(body);
+      return typeof body.url === 'string';
+    });
+    expect(await server.start(0)).toBe(true);
+
+    const post = (path, body, contentType = 'application/json', host = `127.0.0.1:${server.getPort()}`) => new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port: server.getPort(),
+        path,
+        method: 'POST',
+        headers: { 'Content-Type': contentType, Host: host }
+      }, res => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+
+    expect(await post('/activity', JSON.stringify({ url: 'https://github.com/' }))).toBe(204);
+    expect(await post('/activity', JSON.stringify({ title: 'No URL' }))).toBe(400);
+    expect(await post('/activity', '{')).toBe(400);
+    expect(await post('/unknown', JSON.stringify({ url: 'https://github.com/' }))).toBe(404);
+    // Plain-text posts are what a web page could send without a preflight
+    expect(await post('/activity', JSON.stringify({ url: 'https://evil.example/' }), 'text/plain')).toBe(404);
+
+    expect(await post('/activity', JSON.stringify({ url: 'https://gitlab.com/' }), 'application/json', `localhost:${server.getPort()}`)).toBe(204);
+    // A page that rebound its domain to 127.0.0.1 still names that domain
+    expect(await post('/activity', JSON.stringify({ url: 'https://evil.example/' }), 'application/json', `evil.example:${server.getPort()}`)).toBe(403);
+    expect(await post('/activity', JSON.stringify({ url: 'https://evil.example/' }), 'application/json', 'localhost:1')).toBe(403);
+
+    expect(received).toEqual([{ url: 'https://github.com/' }, { title: 'No URL' }, { url: 'https://gitlab.com/' }]);
+  });
+});
@@ -0,0 +1,166 @@
+// manualEntries.test.js - Tests for manual time entries
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Check if better-sqlite3 is available
+let dbAvailable = false;
+try {
+  require('better-sqlite3');
+  dbAvailable = true;
+} catch (e) {
+  console.warn('better-sqlite3 not available, skipping manual entry tests');
+}
+
+const describeIfDb = dbAvailable ? describe : describe.skip;
+
+describeIfDb('ManualEntryManager', () => {
+  const { WorkTrackerDB } = require('../database');
+  const { ManualEntryManager, MEETING_CATEGORY } = require('../manualEntries');
+  const { config } = require('../config');
+  let db;
+  let manualEntries;
+  let testDbDir;
+
+  const date = '2024-01-15';
+  const at = time => new Date(`${date}T${time}`).toISOString();
+  const away = { start: at('10:00:00'), end: at('11:00:00') };
+
+  beforeEach(() => {
+    testDbDir = path.join(os.tmpdir(), '.worktracker-manual-test-' + Date.now());
+
+    db = new WorkTrackerDB();
+    db.dbDir = testDbDir;
+    db.dbPath = path.join(testDbDir, 'test.db');
+    db.init();
+
+    manualEntries = new ManualEntryManager();
+    manualEntries.db = db;
+
+    jest.spyOn(config, 'getAll').mockImplementation(() => ({
+      productiveApps: ['VSCode'],
+      productiveWebsites: [],
+      browserApps: [],
+      classificationRules: []
+    }));
+
+    db.logActivity(at('09:00:00'), 'VSCode', 'a.js', false, null, 'Api', null, 3600);
+    db.logActivity(at('10:00:00'), null, null, true, 'start', null);
+    db.logActivity(at('11:00:00'), null, null, true, 'end', null);
+    db.logActivity(at('11:00:00'), 'VSCode', 'a.js', false, null, 'Api', null, 1800);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (db) {
+      db.close();
+    }
+    if (fs.existsSync(testDbDir)) {
+      fs.rmSync(testDbDir, { recursive: true, force: true });
+    }
+  });
+
+  test('discarded away time stays out of the totals', () => {
+    expect(manualEntries.resolveAway(away, { answer: 'discard' })).toEqual({ success: true, id: null });
+    expect(db.getManualEntriesForDate(date)).toEqual([]);
+    expect(db.calculateWorkTimeForDate(date).totalWorkSeconds).toBe(5400);
+  });
+
+  test('away time counted as work is added to the day', () => {
+    expect(db.calculateWorkTimeForDate(date).totalWorkSeconds).toBe(5400);
+
+    expect(manualEntries.resolveAway(away, { answer: 'work' })).toEqual({ success: true, id: expect.any(Number) });
+    const result = db.calculateWorkTimeForDate(date);
+    expect(result.totalWorkSeconds).toBe(9000);
+    expect(result.manualSeconds).toBe(3600);
+    expect(result.sessionsCount).toBe(3);
+    expect(result.tierSeconds.productive).toBe(9000);
+    expect(db.getDailySummary(date).total_work_seconds).toBe(9000);
+  });
+
+  test('meetings get their own category and projects their own stats', () => {
+    manualEntries.resolveAway(away, { answer: 'meeting' });
+    manualEntries.resolveAway({ start: at('12:00:00'), end: at('12:30:00') }, { answer: 'project', project: 'Website' });
+
+    const entries = db.getManualEntriesForDate(date);
+    expect(entries.map(e => [e.source, e.category, e.project])).toEqual([
+      ['away', MEETING_CATEGORY, null],
+      ['away', null, 'Website']
+    ]);
+    expect(db.calculateWorkTimeForDate(date).categorySeconds[MEETING_CATEGORY]).toBe(3600);
+    expect(db.getProjectStats(date, date).Website).toEqual({ totalSeconds: 1800, sessionCount: 1 });
+  });
+
+  test('rejects a project answer without a project', () => {
+    expect(manualEntries.resolveAway(away, { answer: 'project' })).toEqual({ success: false, error: 'Choose a project' });
+    expect(manualEntries.resolveAway(away, { answer: 'lunch' }).success).toBe(false);
+    expect(db.getManualEntriesForDate(date)).toEqual([]);
+  });
+
+  test('away time already answered or entered by hand is not counted twice', () => {
+    expect(manualEntries.addEntry({ startTime: at('10:30:00'), endTime: at('12:00:00') }).success).toBe(true);
+    expect(manualEntries.resolveAway(away, { answer: 'work' })).toEqual({ success: false, error: 'Overlaps another manual entry' });
+
+    const later = { start: at('12:00:00'), end: at('12:30:00') };
+    expect(manualEntries.resolveAway(later, { answer: 'work' }).success).toBe(true);
+    expect(manualEntries.resolveAway(later, { answer: 'meeting' }).error).toBe('Overlaps another manual entry');
+    // Longer than a day is a mistake too
+    expect(manualEntries.resolveAway({ start: at('13:00:00'), end: new Date(`2024-01-17T13:00:00`).toISOString() }, { answer: 'work' }))
+      .toEqual({ success: false, error: 'Entries can be at most 24 hours long' });
+
+    expect(db.getManualEntriesForDate(date)).toHaveLength(2);
+    expect(db.calculateWorkTimeForDate(date).totalWorkSeconds).toBe(5400 + 5400 + 1800);
+  });
+
+  test('typed-in entries are stored with their details', () => {
+    const result = manualEntries.addEntry({
+      startTime: at('12:00:00'),
+      endTime: at('13:00:00'),
+      project: ' Website ',
+      category: 'Work > Docs',
+      note: ''
+    });
+    expect(result.success).toBe(true);
+
+    const [entry] = db.getManualEntriesForDate(date);
+    expect(entry).toMatchObject({ id: result.id, project: 'Website', category: 'Work > Docs', note: null, source: 'manual' });
+    expect(db.calculateWorkTimeForDate(date).categorySeconds['Work > Docs']).toBe(3600);
+  });
+
+  test('rejects entries that are backwards, in the future or overlapping', () => {
+    const now = new Date(at('18:00:00'));
+    const add = (start, end) => manualEntries.addEntry({ startTime: at(start), endTime: at(end) }, now);
+
+    expect(add('13:00:00', '12:00:00').error).toMatch(/after start/);
+    expect(add('17:00:00', '19:00:00').error).toMatch(/passed/);
+    expect(manualEntries.addEntry({ startTime: 'noon', endTime: at('13:00:00') }, now).success).toBe(false);
+
+    expect(add('12:00:00', '13:00:00').success).toBe(true);
+    expect(add('12:30:00', '14:00:00').error).toMatch(/Overlaps/);
+    expect(add('13:00:00', '14:00:00').success).toBe(true);
+    expect(db.getManualEntriesForDate(date)).toHaveLength(2);
+  });
+
+  test('deleting an entry takes it out of the cached totals', () => {
+    const { id } = manualEntries.addEntry({ startTime: at('12:00:00'), endTime: at('13:00:00') });
+    expect(db.calculateWorkTimeForDate(date).totalWorkSeconds).toBe(9000);
+
+    expect(manualEntries.deleteEntry(id)).toBe(true);
+    expect(manualEntries.deleteEntry(id)).toBe(false);
+    expect(db.calculateWorkTimeForDate(date).totalWorkSeconds).toBe(5400);
+  });
+
+  test('deleting the only entry of a day clears its summary', () => {
+    const otherDay = '2024-01-16';
+    const { id } = manualEntries.addEntry({
+      startTime: new Date(`${otherDay}T09:00:00`).toISOString(),
+      endTime: new Date(`${otherDay}T11:00:00`).toISOString()
+    });
+    db.calculateWorkTimeForDate(otherDay);
+    expect(db.getDailySummariesForRange(otherDay, otherDay).map(s => s.total_work_seconds)).toEqual([7200]);
+
+    manualEntries.deleteEntry(id);
+    expect(db.calculateWorkTimeForDate(otherDay)).toBeNull();
+    expect(db.getDailySummariesForRange(otherDay, otherDay)).toEqual([]);
+  });
+});
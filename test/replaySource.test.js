@@ -0,0 +1,447 @@
+// replaySource.test.js - Tests for playing back recorded activity timelines
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Check if better-sqlite3 is available
+let dbAvailable = false;
+try {
+  require('better-sqlite3');
+  dbAvailable = true;
+} catch (e) {
+  console.warn('better-sqlite3 not available, skipping replay tracker tests');
+}
+
+const describeIfDb = dbAvailable ? describe : describe.skip;
+
+const TIMELINE = [
+  '{"timestamp": "2024-01-15T09:00:00.000Z", "appName": "VSCode", "windowTitle": "api - index.js"}',
+  '{"timestamp": "2024-01-15T09:20:00.000Z", "appName": "Safari", "windowTitle": "PR #12", "url": "https://github.com/org/api/pull/12"}',
+  '',
+  '{"timestamp": "2024-01-15T09:30:00.000Z", "idleSeconds": 600}',
+  '{"timestamp": "2024-01-15T09:40:00.000Z", "appName": "VSCode", "windowTitle": "api - index.js"}'
+].join('\n');
+
+describe('ReplayActivitySource', () => {
+  const { ReplayActivitySource } = require('../replaySource');
+  const { isActivitySource } = require('../activitySource');
+  const { detector } = require('../crossPlatform');
+
+  test('both sources implement the ActivitySource interface', () => {
+    expect(isActivitySource(ReplayActivitySource.parse(TIMELINE))).toBe(true);
+    expect(isActivitySource(detector)).toBe(true);
+    expect(isActivitySource({ getActiveApp() {} })).toBe(false);
+  });
+
+  test('plays samples back on its own clock', async () => {
+    const source = ReplayActivitySource.parse(TIMELINE);
+    expect(source.now().toISOString()).toBe('2024-01-15T09:00:00.000Z');
+    expect(await source.getActiveApp()).toEqual({ appName: 'VSCode' });
+    expect(await source.getUrl()).toBeNull();
+
+    // A sample holds until the next one
+    source.advance(25 * 60);
+    expect(await source.getWindowTitle()).toBe('PR #12');
+    expect(await source.getUrl()).toBe('https://github.com/org/api/pull/12');
+    expect(await source.getIdleTime()).toBe(0);
+
+    source.advance(5 * 60);
+    expect(await source.getIdleTime()).toBe(600);
+
+    expect(source.isFinished()).toBe(false);
+    source.advance(10 * 60 + 1);
+    expect(source.isFinished()).toBe(true);
+  });
+
+  test('reports the line of an invalid sample', () => {
+    expect(() => ReplayActivitySource.parse('{"timestamp": "2024-01-15T09:00:00Z"}\nnot json'))
+      .toThrow(/line 2/);
+    expect(() => ReplayActivitySource.parse('{"appName": "VSCode"}')).toThrow(/timestamp/);
+  });
+});
+
+describeIfDb('activityTracker.replayActivity()', () => {
+  const { db } = require('../database');
+  const { config } = require('../config');
+  const { ReplayActivitySource } = require('../replaySource');
+  const tracker = require('../activityTracker');
+  let testDbDir;
+
+  beforeEach(() => {
+    testDbDir = path.join(os.tmpdir(), '.worktracker-replay-test-' + Date.now());
+    db.dbDir = testDbDir;
+    db.dbPath = path.join(testDbDir, 'test.db');
+    db.init();
+
+    const settings = {
+      ...config.getAll(),
+      productiveApps: ['VSCode'],
+      productiveWebsites: ['github.com'],
+      browserApps: ['Safari'],
+      classificationRules: [],
+      projectKeywords: {},
+      afkThresholdSeconds: 180,
+      interruptionGraceSeconds: 0
+    };
+    jest.spyOn(config, 'getAll').mockImplementation(() => ({ ...settings }));
+    jest.spyOn(config, 'getProjectKeywords').mockImplementation(() => ({}));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+    if (fs.existsSync(testDbDir)) {
+      fs.rmSync(testDbDir, { recursive: true, force: true });
+    }
+  });
+
+  test('runs the tracker headless with recorded timestamps', async () => {
+    const source = ReplayActivitySource.parse(TIMELINE);
+    const samples = await tracker.replayActivity(source, 300);
+
+    // 09:00 to 09:40 every five minutes
+    expect(samples).toBe(9);
+    expect(tracker.getActivitySource()).not.toBe(source);
+
+    const rows = db.getActivityForDate('2024-01-15');
+    expect(rows[0].timestamp).toBe('2024-01-15T09:00:00.000Z');
+    // One row per focus change, each with its duration
+    expect(rows.filter(r => !r.is_afk).map(r => [r.app_name, r.duration_seconds])).toEqual([
+      ['VSCode', 1200],
+      ['Safari', 600],
+      ['VSCode', 0]
+    ]);
+    expect(rows.find(r => r.app_name === 'Safari').url).toBe('https://github.com/org/api/pull/12');
+    expect(rows.filter(r => r.is_afk).map(r => [r.afk_type, r.timestamp])).toEqual([
+      ['start', '2024-01-15T09:30:00.000Z'],
+      ['end', '2024-01-15T09:40:00.000Z']
+    ]);
+
+    // The same timeline gives the same totals on every run. The pull request
+    // is productive through its github.com URL; its title doesn't name the site.
+    const result = db.calculateWorkTimeForDate('2024-01-15');
+    expect(result.totalWorkSeconds).toBe(1800);
+    expect(result.tierSeconds).toEqual({ productive: 1800, neutral: 0, distracting: 0 });
+  });
+
+  test('reports a long absence when the user comes back', async () => {
+    const periods = [];
+    tracker.setAwayReturnHandler(period => periods.push(period));
+    const getSettings = config.getAll.getMockImplementation();
+    config.getAll.mockImplementation(() => ({ ...getSettings(), awayPromptMinutes: 10 }));
+
+    try {
+      await tracker.replayActivity(ReplayActivitySource.parse(TIMELINE), 60);
+    } finally {
+      tracker.setAwayReturnHandler(null);
+    }
+
+    expect(periods).toEqual([
+      { start: '2024-01-15T09:30:00.000Z', end: '2024-01-15T09:40:00.000Z', seconds: 600 }
+    ]);
+  });
+
+  test('a meeting in front keeps an idle user present and counts as meeting time', async () => {
+    const source = ReplayActivitySource.parse([
+      '{"timestamp": "2024-01-15T09:00:00.000Z", "appName": "zoom.us", "windowTitle": "Zoom Meeting"}',
+      '{"timestamp": "2024-01-15T09:05:00.000Z", "appName": "zoom.us", "windowTitle": "Zoom Meeting", "idleSeconds": 1500}',
+      '{"timestamp": "2024-01-15T09:30:00.000Z", "appName": "VSCode", "windowTitle": "a.js", "idleSeconds": 1500}',
+      '{"timestamp": "2024-01-15T09:35:00.000Z", "appName": "VSCode", "windowTitle": "a.js", "idleSeconds": 1800}'
+    ].join('\n'));
+    await tracker.replayActivity(source, 60);
+
+    const rows = db.getActivityForDate('2024-01-15');
+    expect(rows.filter(r => !r.is_afk).map(r => [r.app_name, r.duration_seconds])).toEqual([
+      ['zoom.us', 1800],
+      ['VSCode', 60]
+    ]);
+    expect(rows[0].category).toBe('Meetings');
+    // Once the call is no longer in front, the idle user is AFK again
+    expect(rows.filter(r => r.is_afk).map(r => [r.afk_type, r.timestamp])).toEqual([
+      ['start', '2024-01-15T09:31:00.000Z']
+    ]);
+
+    const result = db.calculateWorkTimeForDate('2024-01-15');
+    expect(result.totalWorkSeconds).toBe(1860);
+    expect(result.meetingSeconds).toBe(1800);
+  });
+
+  test('a meeting behind another window does not keep an idle user present', async () => {
+    // The call carries on while slides are watched in the browser
+    const source = ReplayActivitySource.parse([
+      '{"timestamp": "2024-01-15T09:00:00.000Z", "appName": "zoom.us", "windowTitle": "Zoom Meeting"}',
+      '{"timestamp": "2024-01-15T09:05:00.000Z", "appName": "Safari", "windowTitle": "Slides", "idleSeconds": 0}',
+      '{"timestamp": "2024-01-15T09:06:00.000Z", "appName": "Safari", "windowTitle": "Slides", "idleSeconds": 240}',
+      '{"timestamp": "2024-01-15T09:10:00.000Z", "appName": "zoom.us", "windowTitle": "Zoom Meeting", "idleSeconds": 0}'
+    ].join('\n'));
+    await tracker.replayActivity(source, 60);
+
+    const rows = db.getActivityForDate('2024-01-15');
+    expect(rows.filter(r => r.is_afk).map(r => [r.afk_type, r.timestamp])).toEqual([
+      ['start', '2024-01-15T09:06:00.000Z'],
+      ['end', '2024-01-15T09:10:00.000Z']
+    ]);
+    expect(db.calculateWorkTimeForDate('2024-01-15').meetingSeconds).toBe(300);
+  });
+
+  test('records a brief switch between checks with its exact duration', async () => {
+    const source = ReplayActivitySource.parse([
+      '{"timestamp": "2024-01-15T09:00:00.000Z", "appName": "VSCode", "windowTitle": "a.js"}',
+      '{"timestamp": "2024-01-15T09:01:00.000Z", "appName": "Slack", "windowTitle": "General"}',
+      '{"timestamp": "2024-01-15T09:01:05.000Z", "appName": "VSCode", "windowTitle": "a.js"}',
+      '{"timestamp": "2024-01-15T09:02:00.000Z", "appName": "VSCode", "windowTitle": "a.js"}'
+    ].join('\n'));
+    await tracker.replayActivity(source, 1);
+
+    const rows = db.getActivityForDate('2024-01-15');
+    expect(rows.map(r => [r.app_name, r.duration_seconds])).toEqual([
+      ['VSCode', 60],
+      ['Slack', 5],
+      ['VSCode', 55]
+    ]);
+  });
+
+  test('ends a row at the last check before a gap longer than the pulse', async () => {
+    // A source whose clock jumps, as after the machine sleeps
+    const times = ['09:00:00', '09:00:02', '09:30:00', '09:30:02'].map(t => new Date(`2024-01-15T${t}.000Z`));
+    let index = 0;
+    const source = {
+      getActiveApp: async () => ({ appName: 'VSCode' }),
+      getWindowTitle: async () => 'a.js',
+      getUrl: async () => null,
+      getIdleTime: async () => 0,
+      now: () => times[index],
+      advance: () => { index++; },
+      isFinished: () => index >= times.length,
+      getEndTime: () => times[times.length - 1]
+    };
+    await tracker.replayActivity(source, 2);
+
+    const rows = db.getActivityForDate('2024-01-15');
+    expect(rows.map(r => [r.timestamp, r.duration_seconds])).toEqual([
+      ['2024-01-15T09:00:00.000Z', 2],
+      ['2024-01-15T09:30:00.000Z', 2]
+    ]);
+  });
+
+  test('splits a row at midnight', async () => {
+    const at = time => new Date(time).toISOString();
+    const source = ReplayActivitySource.parse([
+      `{"timestamp": "${at('2024-01-15T23:50:00')}", "appName": "VSCode", "windowTitle": "a.js"}`,
+      `{"timestamp": "${at('2024-01-16T00:20:00')}", "appName": "Safari", "windowTitle": "News"}`
+    ].join('\n'));
+    await tracker.replayActivity(source, 60);
+
+    expect(db.getActivityForDate('2024-01-15').map(r => [r.timestamp, r.app_name, r.duration_seconds])).toEqual([
+      [at('2024-01-15T23:50:00'), 'VSCode', 600]
+    ]);
+    expect(db.getActivityForDate('2024-01-16').map(r => [r.timestamp, r.app_name, r.duration_seconds])).toEqual([
+      [at('2024-01-16T00:00:00'), 'VSCode', 1200],
+      [at('2024-01-16T00:20:00'), 'Safari', 0]
+    ]);
+  });
+
+  test('reports empty totals for a day without activity', async () => {
+    const { summarizeDays } = require('../replay');
+    // Work on Monday and Wednesday, nothing on Tuesday
+    const times = ['2024-01-15T09:00:00', '2024-01-15T09:00:02', '2024-01-17T09:00:00', '2024-01-17T09:00:02']
+      .map(t => new Date(`${t}.000Z`));
+    let index = 0;
+    const source = {
+      getActiveApp: async () => ({ appName: 'VSCode' }),
+      getWindowTitle: async () => 'a.js',
+      getUrl: async () => null,
+      getIdleTime: async () => 0,
+      now: () => times[index],
+      advance: () => { index++; },
+      isFinished: () => index >= times.length,
+      getEndTime: () => times[times.length - 1]
+    };
+    await tracker.replayActivity(source, 2);
+
+    expect(summarizeDays('2024-01-15', '2024-01-17').map(day => [day.date, day.totalWorkSeconds, day.sessionsCount])).toEqual([
+      ['2024-01-15', 2, 1],
+      ['2024-01-16', 0, 0],
+      ['2024-01-17', 2, 1]
+    ]);
+  });
+
+  test('screen lock is AFK at once and pauses sampling until unlock', async () => {
+    let time = new Date('2024-01-15T09:00:00.000Z');
+    const at = clock => { time = new Date(`2024-01-15T${clock}.000Z`); };
+    const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+    const source = {
+      getActiveApp: async () => ({ appName: 'VSCode' }),
+      getWindowTitle: async () => 'a.js',
+      getUrl: async () => null,
+      getIdleTime: async () => 0,
+      now: () => time
+    };
+    const previousSource = tracker.getActivitySource();
+    tracker.setActivitySource(source);
+
+    try {
+      tracker.startTracking();
+      await settle();
+      at('09:10:00');
+      tracker.markSystemAway('lock-screen');
+      expect(tracker.isUserAFK()).toBe(true);
+
+      // Input on the lock screen isn't activity
+      at('09:20:00');
+      await tracker.logActivity();
+
+      at('09:30:00');
+      tracker.markSystemBack('lock-screen');
+      await settle();
+      at('09:40:00');
+      tracker.stopTracking();
+    } finally {
+      tracker.setActivitySource(previousSource);
+    }
+
+    const rows = db.getActivityForDate('2024-01-15');
+    expect(rows.map(r => [r.timestamp.slice(11, 19), r.app_name || r.afk_type, r.duration_seconds])).toEqual([
+      ['09:00:00', 'startup', null],
+      ['09:00:00', 'VSCode', 600],
+      ['09:10:00', 'start', null],
+      ['09:30:00', 'end', null],
+      ['09:30:00', 'VSCode', 600],
+      ['09:40:00', 'shutdown', null]
+    ]);
+    expect(db.calculateWorkTimeForDate('2024-01-15').sessionsCount).toBe(2);
+  });
+
+  test('pausing logs pause and resume markers and survives a restart', async () => {
+    let time = new Date('2024-01-15T09:00:00.000Z');
+    const at = clock => { time = new Date(`2024-01-15T${clock}.000Z`); };
+    const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+    const source = {
+      getActiveApp: async () => ({ appName: 'VSCode' }),
+      getWindowTitle: async () => 'a.js',
+      getUrl: async () => null,
+      getIdleTime: async () => 0,
+      now: () => time
+    };
+    const previousSource = tracker.getActivitySource();
+    tracker.setActivitySource(source);
+
+    try {
+      tracker.startTracking();
+      await settle();
+      at('09:10:00');
+      expect(tracker.pauseTracking(new Date('2024-01-15T09:25:00.000Z'))).toBe(true);
+      expect(tracker.isTracking()).toBe(false);
+      expect(tracker.getPause()).toEqual({ since: '2024-01-15T09:10:00.000Z', until: '2024-01-15T09:25:00.000Z' });
+
+      at('09:20:00');
+      expect(tracker.resumeTracking()).toBe(true);
+      await settle();
+
+      // Paused until resumed, then the app quit while still paused
+      at('09:30:00');
+      tracker.pauseTracking(null);
+      await settle();
+    } finally {
+      tracker.resumeTracking();
+      await settle();
+      tracker.stopTracking();
+      tracker.setActivitySource(previousSource);
+    }
+
+    const rows = db.getActivityForDate('2024-01-15');
+    expect(rows.filter(r => r.is_afk).map(r => [r.timestamp.slice(11, 19), r.afk_type, r.duration_seconds])).toEqual([
+      ['09:00:00', 'startup', null],
+      ['09:10:00', 'pause', 900],
+      ['09:20:00', 'resume', null],
+      ['09:30:00', 'pause', null],
+      ['09:30:00', 'resume', null],
+      ['09:30:00', 'shutdown', null]
+    ]);
+    expect(db.getPausedPeriods('2024-01-15').map(p => p.seconds)).toEqual([600]);
+    expect(db.calculateWorkTimeForDate('2024-01-15').totalWorkSeconds).toBe(1200);
+  });
+
+  test('a pause left open by the last run holds tracking off', async () => {
+    const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+    const previousSource = tracker.getActivitySource();
+    let time = new Date('2024-01-15T09:30:00.000Z');
+    const source = {
+      getActiveApp: async () => null,
+      getWindowTitle: async () => null,
+      getUrl: async () => null,
+      getIdleTime: async () => 0,
+      now: () => time
+    };
+    expect(tracker.setActivitySource(source)).toBe(true);
+
+    try {
+      db.logActivity('2024-01-15T09:00:00.000Z', null, null, true, 'pause', null, null, 3600);
+      expect(tracker.startTracking()).toBe(false);
+      expect(tracker.getPause()).toEqual({ since: '2024-01-15T09:00:00.000Z', until: '2024-01-15T10:00:00.000Z' });
+      expect(tracker.resumeTracking()).toBe(true);
+      await settle();
+      expect(tracker.stopTracking()).toBe(true);
+
+      // A pause that ran out while the app was closed doesn't
+      db.logActivity('2024-01-15T09:30:00.000Z', null, null, true, 'pause', null, null, 600);
+      time = new Date('2024-01-15T11:00:00.000Z');
+      expect(tracker.startTracking()).toBe(true);
+      expect(tracker.getPause()).toBeNull();
+      await settle();
+    } finally {
+      tracker.stopTracking();
+      tracker.setActivitySource(previousSource);
+    }
+  });
+
+  test('checks often only where a sample starts no processes', async () => {
+    const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+    const getSettings = config.getAll.getMockImplementation();
+    config.getAll.mockImplementation(() => ({ ...getSettings(), focusCheckSeconds: 2, trackingIntervalSeconds: 30 }));
+    tracker.reloadConfig();
+    const setInterval = jest.spyOn(global, 'setInterval');
+    const intervals = () => setInterval.mock.calls.map(call => call[1]);
+
+    const previousSource = tracker.getActivitySource();
+    let cheap = false;
+    const source = {
+      getActiveApp: async () => ({ appName: 'VSCode' }),
+      getWindowTitle: async () => 'a.js',
+      getUrl: async () => null,
+      getIdleTime: async () => 0,
+      isSamplingCheap: () => cheap
+    };
+    tracker.setActivitySource(source);
+
+    try {
+      tracker.startTracking();
+      await settle();
+      expect(intervals()).toEqual([30000]);
+
+      // A helper started answering: the next tick speeds the checks up
+      cheap = true;
+      await setInterval.mock.calls[0][0]();
+      expect(intervals()).toEqual([30000, 2000]);
+      tracker.stopTracking();
+
+      // A source reporting focus changes itself needs no fast checks
+      setInterval.mockClear();
+      source.watchFocus = listener => !!listener;
+      tracker.startTracking();
+      await settle();
+      expect(intervals()).toEqual([30000]);
+    } finally {
+      tracker.stopTracking();
+      tracker.setActivitySource(previousSource);
+      config.getAll.mockImplementation(getSettings);
+      tracker.reloadConfig();
+    }
+  });
+
+  test('rejects objects that are not activity sources', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(tracker.setActivitySource({})).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+// reprocessor.test.js - Tests for reprocessing history with changed settings
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Check if better-sqlite3 is available
+let dbAvailable = false;
+try {
+  require('better-sqlite3');
+  dbAvailable = true;
+} catch (e) {
+  console.warn('better-sqlite3 not available, skipping reprocessor tests');
+}
+
+const describeIfDb = dbAvailable ? describe : describe.skip;
+
+describeIfDb('HistoryReprocessor', () => {
+  const { WorkTrackerDB } = require('../database');
+  const { HistoryReprocessor } = require('../reprocessor');
+  const { config } = require('../config');
+  const { projects } = require('../projects');
+  let db;
+  let reprocessor;
+  let testDbDir;
+  let settings;
+
+  const at = (date, time) => new Date(`${date}T${time}`).toISOString();
+
+  beforeEach(() => {
+    testDbDir = path.join(os.tmpdir(), '.worktracker-reprocess-test-' + Date.now());
+
+    db = new WorkTrackerDB();
+    db.dbDir = testDbDir;
+    db.dbPath = path.join(testDbDir, 'test.db');
+    db.init();
+
+    reprocessor = new HistoryReprocessor();
+    reprocessor.db = db;
+
+    settings = {
+      productiveApps: ['VSCode'],
+      productiveWebsites: [],
+      browserApps: [],
+      classificationRules: [],
+      categories: [],
+      projectKeywords: {},
+      tierWeights: { productive: 1, neutral: 0, distracting: 0 }
+    };
+    jest.spyOn(config, 'getAll').mockImplementation(() => ({ ...settings }));
+    jest.spyOn(config, 'getProjectKeywords').mockImplementation(() => settings.projectKeywords);
+    projects.invalidateCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (db) {
+      db.close();
+    }
+    if (fs.existsSync(testDbDir)) {
+      fs.rmSync(testDbDir, { recursive: true, force: true });
+    }
+  });
+
+  test('re-tags activity and rebuilds sessions and summaries', async () => {
+    const date = '2024-01-15';
+    db.logActivity(at(date, '09:00:00'), 'VSCode', 'api - notes', false, null, 'Uncategorized');
+    db.logActivity(at(date, '10:00:00'), 'Slack', 'Chat', false, null, 'Uncategorized');
+    db.logActivity(at(date, '11:00:00'), 'VSCode', 'api - notes', false, null, 'Uncategorized');
+    db.logActivity(at(date, '11:30:00'), 'Slack', 'Chat', false, null, 'Uncategorized');
+    db.logActivity(at(date, '12:00:00'), null, null, true, 'start', null);
+    db.startSession(at(date, '09:00:00'), 'Uncategorized');
+    expect(db.calculateWorkTimeForDate(date).totalWorkSeconds).toBe(5400);
+
+    // Slack becomes productive and "api" becomes a project
+    settings.productiveApps = ['VSCode', 'Slack'];
+    settings.projectKeywords = { Api: ['api'] };
+    settings.categories = [{ name: 'Chat', rules: [{ app: 'Slack' }] }];
+
+    const result = await reprocessor.run(date, date);
+    expect(result).toMatchObject({ status: 'completed', daysDone: 1, totalDays: 1, rowsUpdated: 4 });
+
+    const rows = db.getActivityForDate(date).filter(r => !r.is_afk);
+    expect(rows.map(r => r.project)).toEqual(['Api', 'Uncategorized', 'Api', 'Uncategorized']);
+    expect(rows.map(r => r.category)).toEqual([null, 'Chat', null, 'Chat']);
+
+    const sessions = db.getSessionsForDate(date);
+    expect(sessions.map(s => [s.project, s.duration_seconds])).toEqual([
+      ['Api', 3600],
+      ['Uncategorized', 3600],
+      ['Api', 1800],
+      ['Uncategorized', 1800]
+    ]);
+
+    const summary = db.getDailySummary(date);
+    expect(summary.total_work_seconds).toBe(10800);
+    expect(JSON.parse(summary.categories_json)).toEqual({ Chat: 5400 });
+  });
+
+  test('reports progress per day and stops when cancelled', async () => {
+    for (const date of ['2024-01-15', '2024-01-16', '2024-01-17']) {
+      db.logActivity(at(date, '09:00:00'), 'VSCode', 'a.js', false, null, null);
+    }
+
+    const updates = [];
+    const result = await reprocessor.run('2024-01-15', '2024-01-17', progress => {
+      updates.push(progress);
+      reprocessor.cancel();
+    });
+
+    expect(updates).toEqual([{ date: '2024-01-15', daysDone: 1, totalDays: 3, rowsUpdated: 1 }]);
+    expect(result.status).toBe('cancelled');
+    expect(reprocessor.isRunning()).toBe(false);
+  });
+
+  test('refuses to start a second job', async () => {
+    const first = reprocessor.run('2024-01-15', '2024-01-16');
+    const second = await reprocessor.run('2024-01-15', '2024-01-16');
+
+    expect(second.status).toBe('failed');
+    expect((await first).status).toBe('completed');
+  });
+});
@@ -0,0 +1,194 @@
+// sessionBuilder.test.js - Tests for building work sessions from live activity
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Check if better-sqlite3 is available
+let dbAvailable = false;
+try {
+  require('better-sqlite3');
+  dbAvailable = true;
+} catch (e) {
+  console.warn('better-sqlite3 not available, skipping session builder tests');
+}
+
+const describeIfDb = dbAvailable ? describe : describe.skip;
+
+describeIfDb('SessionBuilder', () => {
+  const { WorkTrackerDB } = require('../database');
+  const { SessionBuilder } = require('../sessionBuilder');
+  const { config } = require('../config');
+  let db;
+  let builder;
+  let testDbDir;
+  let interruptions;
+
+  const getSessions = () => db.db.prepare('SELECT * FROM work_sessions ORDER BY id ASC').all();
+
+  beforeEach(() => {
+    testDbDir = path.join(os.tmpdir(), '.worktracker-sessions-test-' + Date.now());
+
+    db = new WorkTrackerDB();
+    db.dbDir = testDbDir;
+    db.dbPath = path.join(testDbDir, 'test.db');
+    db.init();
+
+    builder = new SessionBuilder();
+    builder.db = db;
+
+    // Any interruption ends the session unless a test sets a grace period
+    interruptions = { interruptionGraceSeconds: 0, countInterruptionTime: true };
+    const settings = config.getAll();
+    jest.spyOn(config, 'getAll').mockImplementation(() => ({ ...settings, ...interruptions }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (db) {
+      db.close();
+    }
+    if (fs.existsSync(testDbDir)) {
+      fs.rmSync(testDbDir, { recursive: true, force: true });
+    }
+  });
+
+  test('opens a session on the first productive sample', () => {
+    builder.recordActivity('2024-01-15T09:00:00.000Z', true, 'ProjectA');
+
+    const sessions = getSessions();
+    expect(sessions.length).toBe(1);
+    expect(sessions[0].start_time).toBe('2024-01-15T09:00:00.000Z');
+    expect(sessions[0].project).toBe('ProjectA');
+    expect(sessions[0].end_time).toBeNull();
+  });
+
+  test('extends the open session with running duration', () => {
+    builder.recordActivity('2024-01-15T09:00:00.000Z', true, 'ProjectA');
+    builder.recordActivity('2024-01-15T09:00:30.000Z', true, 'ProjectA');
+    builder.recordActivity('2024-01-15T09:01:00.000Z', true, 'ProjectA');
+
+    const sessions = getSessions();
+    expect(sessions.length).toBe(1);
+    expect(sessions[0].duration_seconds).toBe(60);
+    expect(sessions[0].end_time).toBeNull();
+  });
+
+  test('closes the session on a non-productive sample', () => {
+    builder.recordActivity('2024-01-15T09:00:00.000Z', true, 'ProjectA');
+    builder.recordActivity('2024-01-15T09:10:00.000Z', false, 'Uncategorized');
+
+    const sessions = getSessions();
+    expect(sessions[0].end_time).toBe('2024-01-15T09:10:00.000Z');
+    expect(sessions[0].duration_seconds).toBe(600);
+    expect(builder.getCurrentSession()).toBeNull();
+  });
+
+  test('splits sessions when the project changes', () => {
+    builder.recordActivity('2024-01-15T09:00:00.000Z', true, 'ProjectA');
+    builder.recordActivity('2024-01-15T09:30:00.000Z', true, 'ProjectB');
+    builder.recordActivity('2024-01-15T10:00:00.000Z', false, null);
+
+    const sessions = getSessions();
+    expect(sessions.length).toBe(2);
+    expect(sessions[0].project).toBe('ProjectA');
+    expect(sessions[0].duration_seconds).toBe(1800);
+    expect(sessions[1].project).toBe('ProjectB');
+    expect(sessions[1].start_time).toBe('2024-01-15T09:30:00.000Z');
+    expect(sessions[1].duration_seconds).toBe(1800);
+  });
+
+  test('a brief interruption within the grace period keeps the session open', () => {
+    interruptions.interruptionGraceSeconds = 60;
+
+    builder.recordActivity('2024-01-15T09:00:00.000Z', true, 'ProjectA');
+    builder.recordActivity('2024-01-15T09:10:00.000Z', false, 'Uncategorized');
+    builder.recordActivity('2024-01-15T09:10:30.000Z', true, 'ProjectA');
+    builder.recordActivity('2024-01-15T09:20:00.000Z', true, 'ProjectA');
+
+    const sessions = getSessions();
+    expect(sessions.length).toBe(1);
+    expect(sessions[0].duration_seconds).toBe(1200);
+    expect(sessions[0].end_time).toBeNull();
+  });
+
+  test('interruption time can be left out of the session duration', () => {
+    interruptions.interruptionGraceSeconds = 60;
+    interruptions.countInterruptionTime = false;
+
+    builder.recordActivity('2024-01-15T09:00:00.000Z', true, 'ProjectA');
+    builder.recordActivity('2024-01-15T09:10:00.000Z', false, 'Uncategorized');
+    builder.recordActivity('2024-01-15T09:10:30.000Z', true, 'ProjectA');
+    builder.recordActivity('2024-01-15T09:20:00.000Z', true, 'ProjectA');
+    builder.closeSession('2024-01-15T09:20:00.000Z');
+
+    expect(getSessions()[0].duration_seconds).toBe(1170);
+  });
+
+  test('an interruption outlasting the grace period ends the session where it began', () => {
+    interruptions.interruptionGraceSeconds = 60;
+
+    builder.recordActivity('2024-01-15T09:00:00.000Z', true, 'ProjectA');
+    builder.recordActivity('2024-01-15T09:10:00.000Z', false, 'Uncategorized');
+    builder.recordActivity('2024-01-15T09:15:00.000Z', true, 'ProjectA');
+
+    const sessions = getSessions();
+    expect(sessions.length).toBe(2);
+    expect(sessions[0].end_time).toBe('2024-01-15T09:10:00.000Z');
+    expect(sessions[0].duration_seconds).toBe(600);
+    expect(sessions[1].start_time).toBe('2024-01-15T09:15:00.000Z');
+  });
+
+  test('closes the session when the user goes AFK', () => {
+    builder.recordActivity('2024-01-15T09:00:00.000Z', true, 'ProjectA');
+    builder.recordAfkStart('2024-01-15T09:05:00.000Z');
+
+    const sessions = getSessions();
+    expect(sessions[0].end_time).toBe('2024-01-15T09:05:00.000Z');
+    expect(sessions[0].duration_seconds).toBe(300);
+  });
+
+  test('sessions feed getProjectStats', () => {
+    const today = new Date().toISOString().split('T')[0];
+    const start = new Date();
+    const end = new Date(start.getTime() + 120000);
+
+    builder.recordActivity(start.toISOString(), true, 'ProjectA');
+    builder.closeSession(end.toISOString());
+
+    const stats = db.getProjectStats(today, today);
+    expect(stats.ProjectA.totalSeconds).toBe(120);
+    expect(stats.ProjectA.sessionCount).toBe(1);
+  });
+
+  test('recoverOpenSessions closes sessions left open by a crash', () => {
+    builder.recordActivity('2024-01-15T09:00:00.000Z', true, 'ProjectA');
+    builder.recordActivity('2024-01-15T09:20:00.000Z', true, 'ProjectA');
+
+    // Simulate an app restart: a fresh builder knows nothing of the open row
+    const restarted = new SessionBuilder();
+    restarted.db = db;
+    const recovered = restarted.recoverOpenSessions();
+
+    const sessions = getSessions();
+    expect(recovered).toBe(1);
+    expect(sessions[0].end_time).toBe('2024-01-15T09:20:00.000Z');
+    expect(sessions[0].duration_seconds).toBe(1200);
+    expect(db.getOpenSessions()).toEqual([]);
+  });
+
+  test('recoverOpenSessions ends a session at its last sample when interruptions were skipped', () => {
+    interruptions = { interruptionGraceSeconds: 120, countInterruptionTime: false };
+    builder.recordActivity('2024-01-15T09:00:00.000Z', true, 'ProjectA');
+    builder.recordActivity('2024-01-15T09:10:00.000Z', false);
+    builder.recordActivity('2024-01-15T09:11:00.000Z', true, 'ProjectA');
+    builder.recordActivity('2024-01-15T09:20:00.000Z', true, 'ProjectA');
+
+    const restarted = new SessionBuilder();
+    restarted.db = db;
+    restarted.recoverOpenSessions();
+
+    const [session] = getSessions();
+    expect(session.end_time).toBe('2024-01-15T09:20:00.000Z');
+    expect(session.duration_seconds).toBe(1140);
+  });
+});
@@ -0,0 +1,100 @@
+// shellActivity.test.js - Tests for the shell integration
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Check if better-sqlite3 is available
+let dbAvailable = false;
+try {
+  require('better-sqlite3');
+  dbAvailable = true;
+} catch (e) {
+  console.warn('better-sqlite3 not available, skipping shell activity tests');
+}
+
+const describeIfDb = dbAvailable ? describe : describe.skip;
+
+describeIfDb('ShellActivityManager', () => {
+  const { WorkTrackerDB } = require('../database');
+  const { ShellActivityManager } = require('../shellActivity');
+  const { HistoryReprocessor } = require('../reprocessor');
+  const { projects } = require('../projects');
+  const { config } = require('../config');
+  let db;
+  let shell;
+  let testDir;
+  let repo;
+
+  const date = '2024-01-15';
+  const at = time => new Date(`${date}T${time}`);
+  const unix = time => at(time).getTime() / 1000;
+  const cfg = { terminalApps: ['iTerm2'] };
+
+  beforeEach(() => {
+    testDir = path.join(os.tmpdir(), '.worktracker-shell-test-' + Date.now());
+    repo = path.join(testDir, 'src', 'billing-api');
+    fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+    fs.mkdirSync(path.join(repo, 'lib'));
+
+    db = new WorkTrackerDB();
+    db.dbDir = testDir;
+    db.dbPath = path.join(testDir, 'test.db');
+    db.init();
+
+    shell = new ShellActivityManager();
+    shell.db = db;
+
+    jest.spyOn(config, 'getAll').mockImplementation(() => ({
+      productiveApps: ['iTerm2'],
+      productiveWebsites: [],
+      browserApps: [],
+      classificationRules: [],
+      categories: [],
+      ...cfg
+    }));
+    jest.spyOn(config, 'getProjectKeywords').mockImplementation(() => ({}));
+    projects.invalidateCache();
+
+    db.logActivity(at('09:00:00').toISOString(), 'iTerm2', 'zsh', false, null, 'Uncategorized', null, 600);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (db) {
+      db.close();
+    }
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('stores the command name and repository of each report', () => {
+    expect(shell.ingest([
+      { cwd: path.join(repo, 'lib'), command: 'npm test -- --token=secret', exit_status: 1, time: unix('09:05:00') },
+      { cwd: testDir, command: 'FOO=1 make', time: unix('09:06:00') },
+      { cwd: 'relative/dir', command: 'ls' },
+      { command: 'ls' }
+    ], at('09:30:00'))).toBe(true);
+    expect(shell.ingest({ cwd: 'nowhere' }, at('09:30:00'))).toBe(false);
+
+    const [row] = db.getActivityForDate(date);
+    expect(db.getShellCommandsForDate(date).map(c => [c.cwd, c.repo_root, c.command, c.exit_status, c.activity_id])).toEqual([
+      [path.join(repo, 'lib'), repo, 'npm', 1, row.id],
+      [testDir, null, null, null, row.id]
+    ]);
+  });
+
+  test('attributes terminal time to the repository the shell is in', async () => {
+    shell.ingest({ cwd: path.join(repo, 'lib'), command: 'git', time: unix('09:05:00') }, at('09:05:00'));
+
+    expect(shell.getProjectRoot('iTerm2', at('09:06:00'), cfg)).toBe(repo);
+    // Only terminals, and only while the shell is recent
+    expect(shell.getProjectRoot('Safari', at('09:06:00'), cfg)).toBeNull();
+    expect(shell.getProjectRoot('iTerm2', at('11:00:00'), cfg)).toBeNull();
+
+    const reprocessor = new HistoryReprocessor();
+    reprocessor.db = db;
+    await reprocessor.run(date, date);
+    expect(db.getActivityForDate(date)[0].project).toBe('billing-api');
+  });
+});
@@ -0,0 +1,131 @@
+// triage.test.js - Tests for the unclassified activity triage
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Check if better-sqlite3 is available
+let dbAvailable = false;
+try {
+  require('better-sqlite3');
+  dbAvailable = true;
+} catch (e) {
+  console.warn('better-sqlite3 not available, skipping triage tests');
+}
+
+const describeIfDb = dbAvailable ? describe : describe.skip;
+
+describe('TriageManager.extractSitePattern()', () => {
+  const { triage } = require('../triage');
+
+  test('prefers a domain in the title', () => {
+    expect(triage.extractSitePattern('www.example.com/docs - Page')).toBe('example.com');
+    expect(triage.extractSitePattern('Open news.ycombinator.com')).toBe('news.ycombinator.com');
+  });
+
+  test('falls back to the last title segment', () => {
+    expect(triage.extractSitePattern('Some Video - YouTube')).toBe('YouTube');
+    expect(triage.extractSitePattern('Inbox | Fastmail')).toBe('Fastmail');
+    expect(triage.extractSitePattern('')).toBeNull();
+  });
+
+  test('takes the browser name off Windows and Linux titles', () => {
+    expect(triage.extractSitePattern('Some Video - YouTube - Google Chrome', 'chrome')).toBe('YouTube');
+    expect(triage.extractSitePattern('Inbox — Fastmail — Mozilla Firefox', 'firefox')).toBe('Fastmail');
+    expect(triage.extractSitePattern('Docs - Notion - Microsoft\u200b Edge', 'msedge')).toBe('Notion');
+    // The app name counts too, for browsers not in the list
+    expect(triage.extractSitePattern('Board - Trello - Floorp', 'Floorp')).toBe('Trello');
+    expect(triage.extractSitePattern('Google Chrome', 'Google Chrome')).toBeNull();
+  });
+});
+
+describeIfDb('TriageManager', () => {
+  const { WorkTrackerDB } = require('../database');
+  const { TriageManager } = require('../triage');
+  const { config } = require('../config');
+  let db;
+  let triage;
+  let testDbDir;
+  let settings;
+
+  const date = '2024-01-15';
+  const at = time => new Date(`${date}T${time}`).toISOString();
+
+  beforeEach(() => {
+    testDbDir = path.join(os.tmpdir(), '.worktracker-triage-test-' + Date.now());
+
+    db = new WorkTrackerDB();
+    db.dbDir = testDbDir;
+    db.dbPath = path.join(testDbDir, 'test.db');
+    db.init();
+
+    triage = new TriageManager();
+    triage.db = db;
+
+    settings = {
+      productiveApps: ['VSCode'],
+      productiveWebsites: ['github.com'],
+      distractingApps: [],
+      distractingWebsites: [],
+      browserApps: ['Safari'],
+      classificationRules: [],
+      projectKeywords: { Website: ['Figma'] },
+      triageIgnored: [{ type: 'app', value: 'Finder' }]
+    };
+    jest.spyOn(config, 'getAll').mockImplementation(() => ({ ...settings }));
+
+    db.logActivity(at('09:00:00'), 'VSCode', 'a.js', false, null, null);
+    db.logActivity(at('09:30:00'), 'Slack', 'General', false, null, null);
+    db.logActivity(at('10:00:00'), 'Safari', 'Cats - YouTube', false, null, null);
+    db.logActivity(at('10:45:00'), 'Safari', 'github.com/org/repo', false, null, null);
+    db.logActivity(at('11:00:00'), 'Slack', 'Random', false, null, null);
+    db.logActivity(at('11:10:00'), 'Finder', 'Downloads', false, null, null);
+    db.logActivity(at('11:20:00'), 'Figma', 'Mockups', false, null, null);
+    db.logActivity(at('11:40:00'), null, null, true, 'start', null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (db) {
+      db.close();
+    }
+    if (fs.existsSync(testDbDir)) {
+      fs.rmSync(testDbDir, { recursive: true, force: true });
+    }
+  });
+
+  test('ranks unclassified apps and sites by time spent', () => {
+    const entries = triage.getUnclassified(date, date);
+
+    expect(entries.map(e => [e.type, e.value, e.seconds])).toEqual([
+      ['site', 'YouTube', 2700],
+      ['app', 'Slack', 2400]
+    ]);
+    expect(entries[1].examples).toEqual(['General', 'Random']);
+  });
+
+  test('actions write into the config', () => {
+    const addSite = jest.spyOn(config, 'addDistractingWebsite').mockReturnValue(true);
+    const addApp = jest.spyOn(config, 'addProductiveApp').mockReturnValue(true);
+    const setKeywords = jest.spyOn(config, 'setProjectKeywords').mockReturnValue(true);
+    jest.spyOn(config, 'getProjectKeywords').mockReturnValue({ Chat: ['slack-huddle'] });
+    const ignore = jest.spyOn(config, 'addTriageIgnore').mockReturnValue(true);
+
+    expect(triage.applyAction({ type: 'site', value: 'YouTube', action: 'distracting' })).toBe(true);
+    expect(addSite).toHaveBeenCalledWith('YouTube');
+
+    expect(triage.applyAction({ type: 'app', value: 'Slack', action: 'productive' })).toBe(true);
+    expect(addApp).toHaveBeenCalledWith('Slack');
+
+    expect(triage.applyAction({ type: 'app', value: 'Slack', action: 'project', project: 'Chat' })).toBe(true);
+    expect(setKeywords).toHaveBeenCalledWith('Chat', ['slack-huddle', 'Slack']);
+
+    expect(triage.applyAction({ type: 'app', value: 'Slack', action: 'ignore' })).toBe(true);
+    expect(ignore).toHaveBeenCalledWith('app', 'Slack');
+  });
+
+  test('rejects unknown actions and projects without a name', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(triage.applyAction({ type: 'app', value: 'Slack', action: 'bogus' })).toBe(false);
+    expect(triage.applyAction({ type: 'app', value: 'Slack', action: 'project' })).toBe(false);
+  });
+});
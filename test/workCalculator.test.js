@@ -0,0 +1,351 @@
+// workCalculator.test.js - Tests for the resumable work time calculation
+const { calculator } = require('../workCalculator');
+
+const TIERS = { VSCode: 'productive', Terminal: 'productive', YouTube: 'distracting' };
+const CATEGORIES = { VSCode: 'Work > Coding', Terminal: 'Work > Coding', Slack: 'Work > Communication' };
+const classify = activity => ({
+  tier: TIERS[activity.app_name] || 'neutral',
+  category: CATEGORIES[activity.app_name] || null
+});
+
+let nextId = 1;
+function row(timestamp, appName) {
+  return { id: nextId++, timestamp, app_name: appName, window_title: '', is_afk: 0, afk_type: null };
+}
+function afk(timestamp, type) {
+  return { id: nextId++, timestamp, app_name: null, window_title: null, is_afk: 1, afk_type: type };
+}
+
+describe('WorkCalculator', () => {
+  const activities = () => {
+    nextId = 1;
+    return [
+      row('2024-01-15T09:00:00.000Z', 'VSCode'),
+      row('2024-01-15T09:30:00.000Z', 'VSCode'),
+      row('2024-01-15T10:00:00.000Z', 'Slack'),
+      row('2024-01-15T10:15:00.000Z', 'Terminal'),
+      afk('2024-01-15T10:45:00.000Z', 'start'),
+      afk('2024-01-15T11:30:00.000Z', 'end'),
+      row('2024-01-15T11:30:00.000Z', 'VSCode'),
+      row('2024-01-15T12:00:00.000Z', 'VSCode')
+    ];
+  };
+
+  test('credits productive stretches and skips AFK time', () => {
+    const state = calculator.applyActivities(calculator.createState(), activities(), classify);
+    const result = calculator.finalize(state, { isToday: false });
+
+    // 9:00-10:00, 10:15-10:45, 11:30-12:00
+    expect(result.totalWorkSeconds).toBe(7200);
+    expect(result.sessionsCount).toBe(3);
+  });
+
+  test('resuming from a saved state matches a full replay', () => {
+    const rows = activities();
+    const full = calculator.finalize(
+      calculator.applyActivities(calculator.createState(), rows, classify),
+      { isToday: false }
+    );
+
+    for (let split = 1; split < rows.length; split++) {
+      const state = calculator.applyActivities(calculator.createState(), rows.slice(0, split), classify);
+      // Round-trip through JSON as the database cache does
+      const resumed = JSON.parse(JSON.stringify(state));
+      calculator.applyActivities(resumed, rows.slice(split), classify);
+
+      expect(calculator.finalize(resumed, { isToday: false })).toEqual(full);
+    }
+  });
+
+  test('tracks the last processed row', () => {
+    const rows = activities();
+    const state = calculator.applyActivities(calculator.createState(), rows, classify);
+
+    expect(state.lastActivityId).toBe(rows[rows.length - 1].id);
+    expect(state.lastTimestamp).toBe('2024-01-15T12:00:00.000Z');
+    expect(state.sessionStart).toBe('2024-01-15T11:30:00.000Z');
+  });
+
+  test('finalize counts an open session up to now on the current day', () => {
+    nextId = 1;
+    const state = calculator.applyActivities(calculator.createState(), [
+      row('2024-01-15T09:00:00.000Z', 'VSCode')
+    ], classify);
+
+    const result = calculator.finalize(state, { isToday: true, now: new Date('2024-01-15T09:20:00.000Z') });
+    expect(result.totalWorkSeconds).toBe(1200);
+    // The ongoing session isn't counted until it ends
+    expect(result.sessionsCount).toBe(0);
+    // Finalizing must not change the resumable state
+    expect(state.closedWorkSeconds).toBe(0);
+  });
+
+  test('hourly totals add up to the work total', () => {
+    const state = calculator.applyActivities(calculator.createState(), activities(), classify);
+    const result = calculator.finalize(state, { isToday: false });
+
+    const hourlyTotal = result.hourlySeconds.reduce((sum, seconds) => sum + seconds, 0);
+    expect(hourlyTotal).toBe(result.totalWorkSeconds);
+  });
+
+  test('attributes tracked time to tiers until the next row or AFK', () => {
+    nextId = 1;
+    const state = calculator.applyActivities(calculator.createState(), [
+      row('2024-01-15T09:00:00.000Z', 'VSCode'),
+      row('2024-01-15T10:00:00.000Z', 'Slack'),
+      row('2024-01-15T10:30:00.000Z', 'YouTube'),
+      afk('2024-01-15T10:45:00.000Z', 'start'),
+      afk('2024-01-15T11:30:00.000Z', 'end'),
+      row('2024-01-15T11:30:00.000Z', 'Slack'),
+      row('2024-01-15T11:40:00.000Z', 'VSCode')
+    ], classify);
+    const result = calculator.finalize(state, { isToday: false });
+
+    expect(result.tierSeconds).toEqual({ productive: 3600, neutral: 2400, distracting: 900 });
+    expect(result.tierSeconds.productive).toBe(result.totalWorkSeconds);
+    // Uncategorized time (YouTube) is left out of the category totals
+    expect(result.categorySeconds).toEqual({ 'Work > Coding': 3600, 'Work > Communication': 2400 });
+  });
+
+  describe('rows with durations', () => {
+    const timed = (timestamp, appName, durationSeconds) => ({ ...row(timestamp, appName), duration_seconds: durationSeconds });
+
+    test('credits each row for its recorded duration', () => {
+      nextId = 1;
+      const state = calculator.applyActivities(calculator.createState(), [
+        timed('2024-01-15T09:00:00.000Z', 'VSCode', 1800),
+        timed('2024-01-15T09:30:00.000Z', 'YouTube', 5),
+        timed('2024-01-15T09:30:05.000Z', 'VSCode', 595)
+      ], classify);
+      const result = calculator.finalize(state, { isToday: false });
+
+      // The day ends where the last row does, not at its start
+      expect(result.totalWorkSeconds).toBe(2395);
+      expect(result.tierSeconds).toEqual({ productive: 2395, neutral: 0, distracting: 5 });
+      expect(result.sessionsCount).toBe(2);
+    });
+
+    test('untracked time between rows ends the session', () => {
+      nextId = 1;
+      const state = calculator.applyActivities(calculator.createState(), [
+        timed('2024-01-15T09:00:00.000Z', 'VSCode', 600),
+        // Nothing logged from 09:10 (the machine slept) until 10:00
+        timed('2024-01-15T10:00:00.000Z', 'VSCode', 600)
+      ], classify);
+      const result = calculator.finalize(state, { isToday: false });
+
+      expect(result.totalWorkSeconds).toBe(1200);
+      expect(result.sessionsCount).toBe(2);
+      expect(result.tierSeconds.productive).toBe(1200);
+    });
+  });
+
+  describe('untracked gaps', () => {
+    const timed = (timestamp, appName, durationSeconds) => ({ ...row(timestamp, appName), duration_seconds: durationSeconds });
+
+    test('shutdown and startup markers bound the session', () => {
+      nextId = 1;
+      const rows = [
+        row('2024-01-15T09:00:00.000Z', 'VSCode'),
+        afk('2024-01-15T09:30:00.000Z', 'shutdown'),
+        afk('2024-01-15T11:00:00.000Z', 'startup'),
+        row('2024-01-15T11:00:01.000Z', 'VSCode'),
+        afk('2024-01-15T11:30:01.000Z', 'start')
+      ];
+      const state = calculator.applyActivities(calculator.createState(), rows, classify);
+      const result = calculator.finalize(state, { isToday: false });
+
+      expect(result.totalWorkSeconds).toBe(3600);
+      expect(result.sessionsCount).toBe(2);
+      expect(calculator.getUntrackedGaps(rows)).toEqual([
+        { start: '2024-01-15T09:30:00.000Z', end: '2024-01-15T11:00:00.000Z', seconds: 5400 }
+      ]);
+    });
+
+    test('a startup after a crash closes what was left open', () => {
+      nextId = 1;
+      const rows = [
+        row('2024-01-15T09:00:00.000Z', 'VSCode'),
+        afk('2024-01-15T09:45:00.000Z', 'startup'),
+        row('2024-01-15T09:45:01.000Z', 'Slack')
+      ];
+      const state = calculator.applyActivities(calculator.createState(), rows, classify);
+      expect(calculator.finalize(state, { isToday: false }).sessionsCount).toBe(1);
+    });
+
+    test('today ends with a row that stopped growing', () => {
+      nextId = 1;
+      const rows = [timed('2024-01-15T09:00:00.000Z', 'VSCode', 600)];
+      const state = calculator.applyActivities(calculator.createState(), rows, classify);
+
+      // Heartbeats are still arriving: the session runs up to now
+      const running = calculator.finalize(state, { isToday: true, now: new Date('2024-01-15T09:10:30.000Z'), gapSeconds: 90 });
+      expect(running.totalWorkSeconds).toBe(630);
+      expect(running.sessionsCount).toBe(0);
+
+      // The tracker crashed at 09:10
+      const crashed = calculator.finalize(state, { isToday: true, now: new Date('2024-01-15T12:00:00.000Z'), gapSeconds: 90 });
+      expect(crashed.totalWorkSeconds).toBe(600);
+      expect(crashed.sessionsCount).toBe(1);
+      expect(calculator.getUntrackedGaps(rows, { isToday: true, now: new Date('2024-01-15T12:00:00.000Z'), gapSeconds: 90 }))
+        .toEqual([{ start: '2024-01-15T09:10:00.000Z', end: '2024-01-15T12:00:00.000Z', seconds: 10200 }]);
+    });
+
+    test('AFK time and short gaps are not reported', () => {
+      nextId = 1;
+      const rows = [
+        timed('2024-01-15T09:00:00.000Z', 'VSCode', 600),
+        timed('2024-01-15T09:10:40.000Z', 'VSCode', 600),
+        afk('2024-01-15T09:20:40.000Z', 'start'),
+        afk('2024-01-15T10:00:00.000Z', 'end'),
+        timed('2024-01-15T10:00:00.000Z', 'VSCode', 600)
+      ];
+      expect(calculator.getUntrackedGaps(rows, { gapSeconds: 90 })).toEqual([]);
+    });
+  });
+
+  describe('pauses', () => {
+    const bounds = { start: new Date('2024-01-15T00:00:00.000Z'), end: new Date('2024-01-16T00:00:00.000Z') };
+    const pause = (timestamp, durationSeconds = null) => ({ ...afk(timestamp, 'pause'), duration_seconds: durationSeconds });
+
+    test('a pause ends the session and is reported apart from untracked time', () => {
+      nextId = 1;
+      const rows = [
+        row('2024-01-15T09:00:00.000Z', 'VSCode'),
+        pause('2024-01-15T09:30:00.000Z', 900),
+        afk('2024-01-15T09:45:00.000Z', 'resume'),
+        row('2024-01-15T09:45:01.000Z', 'VSCode'),
+        afk('2024-01-15T10:15:01.000Z', 'start')
+      ];
+      const state = calculator.applyActivities(calculator.createState(), rows, classify);
+      const result = calculator.finalize(state, { isToday: false });
+
+      expect(result.totalWorkSeconds).toBe(3600);
+      expect(result.sessionsCount).toBe(2);
+      expect(calculator.getUntrackedGaps(rows)).toEqual([]);
+      expect(calculator.getPausedPeriods(rows, bounds)).toEqual([
+        { start: '2024-01-15T09:30:00.000Z', end: '2024-01-15T09:45:00.000Z', seconds: 900 }
+      ]);
+    });
+
+    test('a pause lasts its planned length, or until now while open', () => {
+      nextId = 1;
+      // The app was closed during the pause and started again later
+      const expired = [pause('2024-01-15T09:00:00.000Z', 900), afk('2024-01-15T11:00:00.000Z', 'startup')];
+      expect(calculator.getPausedPeriods(expired, bounds)).toEqual([
+        { start: '2024-01-15T09:00:00.000Z', end: '2024-01-15T09:15:00.000Z', seconds: 900 }
+      ]);
+
+      const open = [pause('2024-01-15T22:00:00.000Z')];
+      expect(calculator.getPausedPeriods(open, bounds, { isToday: true, now: new Date('2024-01-15T22:30:00.000Z') }))
+        .toEqual([{ start: '2024-01-15T22:00:00.000Z', end: '2024-01-15T22:30:00.000Z', seconds: 1800 }]);
+      // Paused past midnight: the rest of the day
+      expect(calculator.getPausedPeriods(open, bounds)[0].end).toBe('2024-01-16T00:00:00.000Z');
+      // And the next day up to the resume
+      expect(calculator.getPausedPeriods([afk('2024-01-16T08:00:00.000Z', 'resume')], {
+        start: bounds.end,
+        end: new Date('2024-01-17T00:00:00.000Z')
+      })).toEqual([{ start: '2024-01-16T00:00:00.000Z', end: '2024-01-16T08:00:00.000Z', seconds: 28800 }]);
+    });
+  });
+
+  describe('interruptions', () => {
+    const blip = () => {
+      nextId = 1;
+      return [
+        row('2024-01-15T09:00:00.000Z', 'VSCode'),
+        row('2024-01-15T09:30:00.000Z', 'Slack'),
+        row('2024-01-15T09:30:40.000Z', 'VSCode'),
+        row('2024-01-15T10:00:00.000Z', 'Slack'),
+        row('2024-01-15T10:05:00.000Z', 'VSCode'),
+        afk('2024-01-15T10:30:00.000Z', 'start')
+      ];
+    };
+    const options = { graceSeconds: 60, countInterruptions: true };
+
+    test('a blip within the grace period does not split the session', () => {
+      const state = calculator.applyActivities(calculator.createState(), blip(), classify, options);
+      const result = calculator.finalize(state, { isToday: false, interruptions: options });
+
+      // 9:00-10:00 with the blip credited, then 10:05-10:30
+      expect(result.sessionsCount).toBe(2);
+      expect(result.totalWorkSeconds).toBe(5100);
+      // Tiers still record what was actually in front of the user
+      expect(result.tierSeconds.neutral).toBe(340);
+    });
+
+    test('blip time can be left out of work time', () => {
+      const skip = { graceSeconds: 60, countInterruptions: false };
+      const state = calculator.applyActivities(calculator.createState(), blip(), classify, skip);
+      const result = calculator.finalize(state, { isToday: false, interruptions: skip });
+
+      expect(result.sessionsCount).toBe(2);
+      expect(result.totalWorkSeconds).toBe(5060);
+      const hourlyTotal = result.hourlySeconds.reduce((sum, seconds) => sum + seconds, 0);
+      expect(hourlyTotal).toBe(result.totalWorkSeconds);
+    });
+
+    test('without a grace period every interruption ends the session', () => {
+      const state = calculator.applyActivities(calculator.createState(), blip(), classify);
+      const result = calculator.finalize(state, { isToday: false });
+
+      expect(result.sessionsCount).toBe(3);
+      expect(result.totalWorkSeconds).toBe(5060);
+    });
+
+    test('a pending interruption holds the session open across a resume', () => {
+      const rows = blip();
+      const state = calculator.applyActivities(calculator.createState(), rows.slice(0, 2), classify, options);
+      expect(state.pendingBreak).toBe('2024-01-15T09:30:00.000Z');
+
+      // Still within the grace period today: counted up to the blip only
+      const partial = calculator.finalize(state, {
+        isToday: true,
+        now: new Date('2024-01-15T09:30:30.000Z'),
+        interruptions: options
+      });
+      expect(partial.totalWorkSeconds).toBe(1800);
+      expect(partial.sessionsCount).toBe(0);
+
+      calculator.applyActivities(state, rows.slice(2), classify, options);
+      const full = calculator.applyActivities(calculator.createState(), rows, classify, options);
+      expect(calculator.finalize(state, { interruptions: options }))
+        .toEqual(calculator.finalize(full, { interruptions: options }));
+    });
+
+    test('sleep within the grace period still ends the session', () => {
+      nextId = 1;
+      const rows = [
+        row('2024-01-15T09:00:00.000Z', 'VSCode'),
+        afk('2024-01-15T09:30:00.000Z', 'start'),
+        afk('2024-01-15T09:30:20.000Z', 'end'),
+        row('2024-01-15T09:30:30.000Z', 'VSCode'),
+        afk('2024-01-15T10:00:00.000Z', 'start')
+      ];
+      const state = calculator.applyActivities(calculator.createState(), rows, classify, options);
+      const result = calculator.finalize(state, { isToday: false, interruptions: options });
+
+      expect(result.sessionsCount).toBe(2);
+      expect(result.totalWorkSeconds).toBe(3570);
+    });
+  });
+
+  test('getWeightedSeconds applies tier weights', () => {
+    const tierSeconds = { productive: 3600, neutral: 1800, distracting: 600 };
+    expect(calculator.getWeightedSeconds(tierSeconds, { productive: 1, neutral: 0.5, distracting: 0 })).toBe(4500);
+    // Without weights only productive time counts
+    expect(calculator.getWeightedSeconds(tierSeconds)).toBe(3600);
+  });
+
+  test('addToHours splits time at local hour boundaries', () => {
+    const hourly = calculator.addToHours(
+      Array(24).fill(0),
+      new Date(2024, 0, 15, 9, 45),
+      new Date(2024, 0, 15, 11, 15)
+    );
+
+    expect(hourly[9]).toBe(900);
+    expect(hourly[10]).toBe(3600);
+    expect(hourly[11]).toBe(900);
+  });
+});
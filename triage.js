@@ -0,0 +1,203 @@
+// triage.js - Finds activity no classification rule covers, and files it
+//
+// Unclassified activity is grouped by app name, or for browsers by the site:
+// the URL's domain when the browser extension reported one, otherwise the
+// site found in the window title. Groups are ranked by time spent. Each
+// group can then be marked productive or distracting, assigned to a
+// project, or ignored; all of these write straight into the config.
+const { config } = require('./config');
+const { db } = require('./database');
+const { classifier } = require('./classifier');
+const { projects } = require('./projects');
+const { days } = require('./dayBoundary');
+
+// Titles kept per entry to show what it covers
+const MAX_EXAMPLES = 3;
+// Names browsers append to window titles on Windows and Linux
+// ("Inbox - Google Chrome", "Inbox — Mozilla Firefox")
+const BROWSER_TITLE_SUFFIXES = [
+  'Google Chrome',
+  'Chromium',
+  'Mozilla Firefox',
+  'Firefox',
+  'Microsoft Edge',
+  'Brave',
+  'Vivaldi',
+  'Opera',
+  'Safari',
+  'Arc'
+];
+
+class TriageManager {
+  constructor() {
+    this.db = db;
+  }
+
+  // List the unclassified apps and sites for a date range, most time first
+  getUnclassified(startDate, endDate, limit = 25) {
+    if (!this.db.initialized && !this.db.init()) return [];
+
+    try {
+      const cfg = config.getAll();
+      const classify = classifier.createClassifier(cfg);
+      const browsers = (cfg.browserApps || []).map(b => b.toLowerCase());
+      const entries = new Map();
+
+      for (const date of days.getDateKeysInRange(startDate, endDate)) {
+        const activities = this.db.getActivityForDate(date);
+        const dayStart = days.getDayStart(date);
+
+        activities.forEach((activity, index) => {
+          if (activity.is_afk || !activity.app_name) return;
+          // A row carried over from the day before is counted there
+          if (new Date(activity.timestamp) < dayStart) return;
+          if (classify({ appName: activity.app_name, windowTitle: activity.window_title, url: activity.url }).rule) return;
+
+          const seconds = this.getRowSeconds(activities, index);
+
+          const entry = this.getEntryKey(activity, browsers);
+          if (!entry || this.isFiled(entry, cfg)) return;
+
+          const key = `${entry.type}:${entry.value.toLowerCase()}`;
+          if (!entries.has(key)) {
+            entries.set(key, { ...entry, seconds: 0, examples: [] });
+          }
+
+          const aggregate = entries.get(key);
+          aggregate.seconds += seconds;
+          if (activity.window_title && aggregate.examples.length < MAX_EXAMPLES &&
+              !aggregate.examples.includes(activity.window_title)) {
+            aggregate.examples.push(activity.window_title);
+          }
+        });
+      }
+
+      return [...entries.values()]
+        .sort((a, b) => b.seconds - a.seconds)
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Error finding unclassified activity:', error);
+      return [];
+    }
+  }
+
+  // How long a row lasted: its recorded duration, or for older rows until
+  // the next one (or the AFK marker after it)
+  getRowSeconds(activities, index) {
+    const activity = activities[index];
+    if (activity.duration_seconds !== null && activity.duration_seconds !== undefined) {
+      return activity.duration_seconds;
+    }
+
+    const next = activities[index + 1];
+    return next ? Math.max(0, (new Date(next.timestamp) - new Date(activity.timestamp)) / 1000) : 0;
+  }
+
+  // Group browser rows by site and everything else by app name
+  getEntryKey(activity, browsers) {
+    if (browsers.includes(activity.app_name.toLowerCase())) {
+      const site = this.extractUrlSite(activity.url) || this.extractSitePattern(activity.window_title, activity.app_name);
+      return site ? { type: 'site', value: site, app: activity.app_name } : null;
+    }
+
+    return { type: 'app', value: activity.app_name };
+  }
+
+  // Get the domain of a URL, without www., or null if there's no URL or it
+  // has no host
+  extractUrlSite(url) {
+    if (!url) return null;
+
+    try {
+      const host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+      return host || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Pull a site out of a browser window title: a domain if there is one,
+  // otherwise the last " - " segment, where browsers put the site name
+  // (e.g. "Some Video - YouTube"), once the browser's own name is taken off
+  // the end ("Some Video - YouTube - Google Chrome")
+  extractSitePattern(windowTitle, appName = null) {
+    if (!windowTitle) return null;
+
+    const domainMatch = windowTitle.match(/\b((?:[a-z0-9-]+\.)+[a-z]{2,})(?=[/:\s]|$)/i);
+    if (domainMatch) {
+      return domainMatch[1].toLowerCase().replace(/^www\./, '');
+    }
+
+    const segments = windowTitle.split(/\s+[-|–—·]\s+/).map(s => s.trim()).filter(Boolean);
+    const browserNames = [appName, ...BROWSER_TITLE_SUFFIXES].filter(Boolean).map(name => this.normalizeName(name));
+    while (segments.length > 0 && browserNames.includes(this.normalizeName(segments[segments.length - 1]))) {
+      segments.pop();
+    }
+    return segments.length > 0 ? segments[segments.length - 1] : null;
+  }
+
+  // Helper: Compare names ignoring case and the zero-width spaces some
+  // browsers put in their names ("Microsoft\u200b Edge")
+  normalizeName(name) {
+    return name.replace(/\u200b/g, '').trim().toLowerCase();
+  }
+
+  // Check whether an entry has already been ignored or assigned to a project
+  isFiled(entry, cfg = config.getAll()) {
+    const value = entry.value.toLowerCase();
+
+    const ignored = (cfg.triageIgnored || []).some(item =>
+      item.type === entry.type && item.value.toLowerCase() === value
+    );
+    const assigned = Object.values(cfg.projectKeywords || {}).some(keywords =>
+      Array.isArray(keywords) && keywords.some(keyword => keyword.toLowerCase() === value)
+    );
+
+    return ignored || assigned;
+  }
+
+  // Apply a triage action to an entry:
+  // 'productive', 'distracting', 'project' (with a project name) or 'ignore'
+  applyAction({ type, value, action, project = null }) {
+    let success;
+
+    switch (action) {
+      case 'productive':
+        success = type === 'site' ? config.addProductiveWebsite(value) : config.addProductiveApp(value);
+        break;
+      case 'distracting':
+        success = type === 'site' ? config.addDistractingWebsite(value) : config.addDistractingApp(value);
+        break;
+      case 'project': {
+        if (!project) return false;
+        const keywords = config.getProjectKeywords()[project] || [];
+        success = keywords.includes(value) ? true : config.setProjectKeywords(project, [...keywords, value]);
+        break;
+      }
+      case 'ignore':
+        success = config.addTriageIgnore(type, value);
+        break;
+      default:
+        console.error('Unknown triage action:', action);
+        return false;
+    }
+
+    if (success) {
+      // Same invalidation as saving settings: new rules and keywords apply
+      projects.invalidateCache();
+      if (action !== 'ignore' && this.db.initialized) {
+        this.db.invalidateDailySummaryCache();
+      }
+    }
+
+    return success;
+  }
+}
+
+// Singleton instance
+const triageManager = new TriageManager();
+
+module.exports = {
+  TriageManager,
+  triage: triageManager
+};
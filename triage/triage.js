@@ -0,0 +1,134 @@
+// triage.js - Unclassified activity triage window renderer script
+const { ipcRenderer } = require('electron');
+
+let entries = [];
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+  setupEventListeners();
+  loadEntries();
+});
+
+// Set up event listeners
+function setupEventListeners() {
+  document.getElementById('periodSelect').addEventListener('change', loadEntries);
+
+  // Entry actions (delegated)
+  document.getElementById('entryList').addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const index = parseInt(button.closest('.entry').dataset.index);
+    const action = button.dataset.action;
+
+    if (action === 'choose-project') {
+      showProjectForm(index);
+    } else if (action === 'project') {
+      const input = button.closest('.entry').querySelector('.project-input');
+      const project = input.value.trim();
+      if (project) {
+        applyAction(index, 'project', project);
+      }
+    } else {
+      applyAction(index, action);
+    }
+  });
+}
+
+// Load unclassified entries for the selected period
+async function loadEntries() {
+  try {
+    const dayCount = parseInt(document.getElementById('periodSelect').value);
+    const data = await ipcRenderer.invoke('get-unclassified', { dayCount });
+
+    entries = data.entries;
+    const options = document.getElementById('projectOptions');
+    options.innerHTML = '';
+    for (const project of data.projects) {
+      const option = document.createElement('option');
+      option.value = project;
+      options.appendChild(option);
+    }
+
+    renderEntries();
+  } catch (error) {
+    console.error('Error loading unclassified activity:', error);
+  }
+}
+
+// Render the entry list
+function renderEntries() {
+  const container = document.getElementById('entryList');
+
+  if (entries.length === 0) {
+    container.innerHTML = '<p class="empty">Everything is classified</p>';
+    return;
+  }
+
+  container.innerHTML = entries.map((entry, index) => `
+    <div class="entry" data-index="${index}">
+      <div class="entry-header">
+        <span class="entry-type">${entry.type === 'site' ? 'Site' : 'App'}</span>
+        <span class="entry-name">${escapeHtml(entry.value)}</span>
+        <span class="entry-time">${formatDuration(entry.seconds)}</span>
+      </div>
+      <div class="entry-examples">
+        ${escapeHtml(entry.examples.join(' · '))}
+      </div>
+      <div class="entry-actions">
+        <button data-action="productive">Mark Productive</button>
+        <button data-action="distracting">Mark Distracting</button>
+        <button data-action="choose-project">Assign to Project...</button>
+        <button data-action="ignore">Ignore</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+// Replace an entry's project button with a project name field
+function showProjectForm(index) {
+  const actions = document.querySelector(`.entry[data-index="${index}"] .entry-actions`);
+  actions.innerHTML = `
+    <div class="project-form">
+      <input type="text" class="project-input" list="projectOptions" placeholder="Project name...">
+      <button data-action="project">Assign</button>
+    </div>
+  `;
+  actions.querySelector('.project-input').focus();
+}
+
+// Apply a triage action and drop the entry from the list
+async function applyAction(index, action, project = null) {
+  const entry = entries[index];
+
+  try {
+    const success = await ipcRenderer.invoke('triage-action', {
+      type: entry.type,
+      value: entry.value,
+      action,
+      project
+    });
+
+    if (success) {
+      entries.splice(index, 1);
+      renderEntries();
+    }
+  } catch (error) {
+    console.error('Error applying triage action:', error);
+    alert('Failed to update settings: ' + error.message);
+  }
+}
+
+// Helper: Format seconds as "2h 5m" or "5m"
+function formatDuration(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const mins = Math.floor((totalSeconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+}
+
+// Helper: Escape HTML
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
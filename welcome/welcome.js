@@ -0,0 +1,92 @@
+// welcome.js - Welcome back window renderer script
+const { ipcRenderer } = require('electron');
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+  setupEventListeners();
+  loadPeriod();
+});
+
+// Set up event listeners
+function setupEventListeners() {
+  document.body.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-answer]');
+    if (!button) return;
+
+    const answer = button.dataset.answer;
+    if (answer === 'choose-project') {
+      document.getElementById('projectForm').hidden = false;
+      document.getElementById('projectInput').focus();
+    } else if (answer === 'project') {
+      const project = document.getElementById('projectInput').value.trim();
+      if (project) {
+        resolvePeriod(answer, project);
+      }
+    } else {
+      resolvePeriod(answer);
+    }
+  });
+
+  document.getElementById('projectInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      document.querySelector('button[data-answer="project"]').click();
+    }
+  });
+}
+
+// Show the oldest unanswered absence
+async function loadPeriod() {
+  try {
+    const data = await ipcRenderer.invoke('get-away-period');
+    if (!data.period) {
+      window.close();
+      return;
+    }
+
+    const { start, end, seconds } = data.period;
+    document.getElementById('awayTime').textContent =
+      `You were away from ${formatTime(start)} to ${formatTime(end)} (${formatDuration(seconds)}).`;
+    document.getElementById('pending').textContent =
+      data.pending > 1 ? `${data.pending - 1} more absence${data.pending > 2 ? 's' : ''} to go` : '';
+
+    const options = document.getElementById('projectOptions');
+    options.innerHTML = '';
+    for (const project of data.projects) {
+      const option = document.createElement('option');
+      option.value = project;
+      options.appendChild(option);
+    }
+
+    document.getElementById('projectForm').hidden = true;
+    document.getElementById('projectInput').value = '';
+  } catch (error) {
+    console.error('Error loading away period:', error);
+  }
+}
+
+// Store the answer and move on to the next absence, if any
+async function resolvePeriod(answer, project = null) {
+  try {
+    const result = await ipcRenderer.invoke('resolve-away-period', { answer, project });
+    if (!result.success) {
+      alert('Failed to save the entry: ' + result.error);
+      return;
+    }
+    loadPeriod();
+  } catch (error) {
+    console.error('Error saving away period:', error);
+    alert('Failed to save the entry: ' + error.message);
+  }
+}
+
+// Helper: Format an ISO timestamp as a local time of day
+function formatTime(iso) {
+  return new Date(iso).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+// Helper: Format seconds as "2h 5m" or "5m"
+function formatDuration(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const mins = Math.floor((totalSeconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+}
@@ -11,9 +11,15 @@ const fs = require('fs'); // Still needed for icon file check
 const activityTracker = require('./activityTracker');
 const { analyzeWorkTime, getWorkSummary, getDailyGoalProgress, updateDailySummaryInDB } = require('./workTracker');
 const { config } = require('./config');
+const { db } = require('./database');
 const { notifications } = require('./notifications');
 const { projects } = require('./projects');
 const { exporter } = require('./exporter');
+const { days } = require('./dayBoundary');
+const { browserBridge } = require('./browserBridge');
+const { editorHeartbeats } = require('./editorHeartbeats');
+const { shellActivity } = require('./shellActivity');
+const { ingestServer } = require('./ingestServer');
 
 let tray = null;
 let isQuitting = false;
@@ -38,7 +44,9 @@ function createTray() {
     // Set initial title
     tray.setTitle('Work: ...');
 
-    // Start activity tracking
+    // Start activity tracking, unless a pause from the last run is still on.
+    // Refresh the tray when a timed pause runs out.
+    activityTracker.setPauseEndHandler(updateWorkTime);
     activityTracker.startTracking();
 
     // Set up context menu
@@ -50,6 +58,9 @@ function createTray() {
 
     // Set up daily summary notification callback
     notifications.onDailySummary = showDailySummaryNotification;
+
+    // Tell the user right away if the database could not be upgraded
+    reportMigrationError();
   } catch (error) {
     console.error('Error creating tray:', error);
   }
@@ -60,10 +71,18 @@ function updateContextMenu(workData = null) {
   try {
     let template = [];
     const cfg = config.getAll();
+    const migrationError = db.getMigrationError();
 
     // Work status item with goal progress
-    if (workData) {
-      const { totalWorkTime, formattedWorkTime, shortFormattedWorkTime, sessionsCount } = workData;
+    if (migrationError) {
+      template = [
+        { label: `Database upgrade failed (migration ${migrationError.version})`, enabled: false },
+        { label: 'Tracking data is not being saved', enabled: false },
+        { label: 'Show Details...', click: reportMigrationError },
+        { type: 'separator' }
+      ];
+    } else if (workData) {
+      const { totalWorkTime, formattedWorkTime, shortFormattedWorkTime, sessionsCount, meetingTime, focusTime } = workData;
       const goalProgress = getDailyGoalProgress(totalWorkTime.totalSeconds);
 
       template = [
@@ -72,6 +91,10 @@ function updateContextMenu(workData = null) {
         { label: `Sessions: ${sessionsCount}`, enabled: false }
       ];
 
+      if (meetingTime && meetingTime.totalSeconds > 0) {
+        template.push({ label: `Focus: ${focusTime.formatted} · Meetings: ${meetingTime.formatted}`, enabled: false });
+      }
+
       // Show remaining time if goal not complete
       if (!goalProgress.isComplete) {
         template.push({ label: `Remaining: ${goalProgress.remainingFormatted}`, enabled: false });
@@ -93,24 +116,42 @@ function updateContextMenu(workData = null) {
     }
 
     // Tracking status and control
-    const trackingLabel = activityTracker.isTracking() ?
-      'Activity Tracking: ON' :
-      'Activity Tracking: OFF';
-
-    const trackingToggleLabel = activityTracker.isTracking() ?
-      'Stop Tracking' :
-      'Start Tracking';
-
-    template.push(
-      { label: trackingLabel, enabled: false },
-      { label: trackingToggleLabel, click: toggleTracking },
-      { type: 'separator' }
-    );
+    const pause = activityTracker.getPause();
+    if (pause) {
+      template.push(
+        { label: pause.until ? `Tracking Paused Until ${formatClockTime(pause.until)}` : 'Tracking Paused', enabled: false },
+        { label: 'Resume Tracking', click: resumeTracking },
+        { type: 'separator' }
+      );
+    } else if (activityTracker.isTracking()) {
+      template.push(
+        { label: 'Activity Tracking: ON', enabled: false },
+        {
+          label: 'Pause Tracking',
+          submenu: [
+            { label: 'For 15 Minutes', click: () => pauseTracking(15 * 60 * 1000) },
+            { label: 'For 1 Hour', click: () => pauseTracking(60 * 60 * 1000) },
+            { label: 'Until Tomorrow', click: () => pauseTracking('tomorrow') },
+            { label: 'Until I Resume', click: () => pauseTracking(null) }
+          ]
+        },
+        { label: 'Stop Tracking', click: toggleTracking },
+        { type: 'separator' }
+      );
+    } else {
+      template.push(
+        { label: 'Activity Tracking: OFF', enabled: false },
+        { label: 'Start Tracking', click: toggleTracking },
+        { type: 'separator' }
+      );
+    }
 
     // Add remaining actions
     template = [
       ...template,
       { label: 'View Statistics', click: openStatsWindow },
+      { label: 'Triage Unclassified Activity...', click: openTriageWindow },
+      { label: 'Add Manual Entry...', click: openManualEntryWindow },
       { type: 'separator' },
       {
         label: 'Export Data',
@@ -143,6 +184,24 @@ function updateContextMenu(workData = null) {
   }
 }
 
+// Show the database migration failure, with where the backup was saved
+function reportMigrationError() {
+  const migrationError = db.getMigrationError();
+  if (!migrationError) return;
+
+  let detail = migrationError.message;
+  if (migrationError.backupPath) {
+    detail += `\n\nYour data was backed up before the upgrade to:\n${migrationError.backupPath}`;
+  }
+
+  dialog.showMessageBox({
+    type: 'error',
+    title: 'Database Upgrade Failed',
+    message: 'Work Tracker could not upgrade its database',
+    detail
+  });
+}
+
 // Toggle activity tracking
 function toggleTracking() {
   if (activityTracker.isTracking()) {
@@ -153,6 +212,26 @@ function toggleTracking() {
   updateContextMenu(lastWorkData);
 }
 
+// Pause tracking for a number of milliseconds, until the next tracking day
+// begins ('tomorrow'), or until resumed (null)
+function pauseTracking(duration) {
+  let until = null;
+  if (duration === 'tomorrow') {
+    until = days.getDayStart(days.addDays(days.getToday(), 1));
+  } else if (duration) {
+    until = new Date(Date.now() + duration);
+  }
+
+  activityTracker.pauseTracking(until);
+  updateWorkTime();
+}
+
+// Resume tracking after a pause
+function resumeTracking() {
+  activityTracker.resumeTracking();
+  updateWorkTime();
+}
+
 // Open log file location in file explorer
 function openLogLocation() {
   const logFilePath = activityTracker.getLogFilePath();
@@ -179,12 +258,22 @@ function openStatsWindow() {
   main.openStatsWindow();
 }
 
+// Open Triage Window
+function openTriageWindow() {
+  const main = require('./main');
+  main.openTriageWindow();
+}
+
+// Open the manual entry window for today
+function openManualEntryWindow() {
+  const main = require('./main');
+  main.openManualEntryWindow();
+}
+
 // Export data
 async function exportData(format) {
-  const today = new Date().toISOString().split('T')[0];
-  const monthAgo = new Date();
-  monthAgo.setDate(monthAgo.getDate() - 30);
-  const startDate = monthAgo.toISOString().split('T')[0];
+  const today = days.getToday();
+  const startDate = days.addDays(today, -30);
 
   const defaultPath = exporter.generateFilename(
     format === 'csv' ? 'sessions' : 'full',
@@ -300,13 +389,20 @@ async function updateWorkTime() {
   try {
     const cfg = config.getAll();
 
+    if (db.getMigrationError()) {
+      if (tray) {
+        tray.setTitle('Work: DB Error');
+        updateContextMenu();
+      }
+      return;
+    }
+
     // Get work time analysis from database (analyzeWorkTime no longer needs file path)
     const result = await analyzeWorkTime(null);
     lastWorkData = result;
 
     // Update daily summary in database
-    const today = new Date().toISOString().split('T')[0];
-    updateDailySummaryInDB(today, result.totalWorkTime.totalSeconds, result.sessionsCount);
+    updateDailySummaryInDB(result.date, result.totalWorkTime.totalSeconds, result.sessionsCount);
 
     // Get goal progress
     const goalProgress = getDailyGoalProgress(result.totalWorkTime.totalSeconds);
@@ -319,6 +415,12 @@ async function updateWorkTime() {
       menuBarTitle = `Work: ${result.shortFormattedWorkTime}`;
     }
 
+    // Show how much of a pause is left
+    const pause = activityTracker.getPause();
+    if (pause) {
+      menuBarTitle += pause.until ? ` · Paused ${formatCountdown(pause.until)}` : ' · Paused';
+    }
+
     if (tray) {
       tray.setTitle(menuBarTitle);
       updateContextMenu(result);
@@ -342,8 +444,52 @@ async function updateWorkTime() {
   }
 }
 
+// Helper: Format the time left until an ISO timestamp as "1h 5m" or "5m",
+// rounding up so a running pause never shows 0m
+function formatCountdown(until) {
+  const minutesLeft = Math.max(1, Math.ceil((new Date(until) - Date.now()) / 60000));
+  const hours = Math.floor(minutesLeft / 60);
+  const minutes = minutesLeft % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutesLeft}m`;
+}
+
+// Helper: Format an ISO timestamp as a local time of day
+function formatClockTime(iso) {
+  return new Date(iso).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+// Sleep and screen lock end the work session at once instead of after the
+// idle threshold, which would count the time asleep as work
+function watchPowerEvents() {
+  const powerMonitor = electron.powerMonitor;
+  const away = { suspend: 'resume', 'lock-screen': 'unlock-screen' };
+
+  for (const [awayEvent, backEvent] of Object.entries(away)) {
+    powerMonitor.on(awayEvent, () => {
+      activityTracker.markSystemAway(awayEvent);
+      updateWorkTime();
+    });
+    powerMonitor.on(backEvent, () => {
+      activityTracker.markSystemBack(awayEvent);
+      updateWorkTime();
+    });
+  }
+}
+
 // App ready event
 app.on('ready', function () {
+  watchPowerEvents();
+
+  // Let the browser extension report tab URLs, editors send heartbeats and
+  // shells report commands
+  const serverConfig = config.get('ingestServer') || {};
+  if (serverConfig.enabled) {
+    ingestServer.route('/activity', report => browserBridge.handleReport(report));
+    ingestServer.route('/heartbeats', heartbeats => editorHeartbeats.ingest(heartbeats));
+    ingestServer.route('/shell', commands => shellActivity.ingest(commands));
+    ingestServer.start(serverConfig.port);
+  }
+
   setTimeout(createTray, 100); // Small delay to ensure app is fully initialized
 });
 
@@ -359,6 +505,8 @@ app.on('will-quit', function () {
     activityTracker.stopTracking();
   }
 
+  ingestServer.stop();
+
   // Clean up notifications
   notifications.destroy();
 
@@ -0,0 +1,463 @@
+// workCalculator.js - Replays activity rows into work time totals
+//
+// The calculation is a small state machine that can be paused after any row
+// and resumed later, which lets daily summaries be cached and brought up to
+// date by replaying only the rows logged since the last refresh. State holds
+// only what is needed to resume: totals for sessions that have already
+// closed, the start of the session still open, and the last row seen.
+//
+// Alongside work sessions it attributes tracked time to tiers (productive,
+// neutral, distracting) and category paths: each row's tier and category
+// hold until the next row or AFK.
+//
+// Rows logged with a duration end when it runs out; older rows without one
+// last until the next row. Time between the end of a row and the start of the
+// next was not tracked at all (the app was closed, the machine asleep) and
+// ends the session like AFK, as do the shutdown and startup markers the
+// tracker writes when it stops and starts. Today, a last row whose duration
+// hasn't grown for a few tracking intervals means the tracker isn't running
+// (it crashed), so the day ends with that row rather than running up to now.
+//
+// Interruptions: a non-productive row inside a session only ends it if no
+// productive row follows within the grace period. Otherwise the session
+// carries on, with the interruption either credited as work or skipped
+// (countInterruptions). Sessions that end after an interruption end where it
+// began. AFK markers (idle, sleep, screen lock) end the session outright,
+// however soon work resumes.
+//
+// Pausing tracking from the tray logs a pause marker (with the planned pause
+// length as its duration, or none for "until I resume") and resuming logs a
+// resume marker. In between the user is away, like AFK, but the paused
+// stretch is reported separately rather than as untracked time.
+//
+// Manual entries (time the tracker couldn't see) are added to the finished
+// totals with addManualEntries; they are not part of the resumable state.
+//
+// A state made for a day's bounds clips rows to them: a row carried over
+// from the day before counts from the day's start, and one running past its
+// end stops there, so time that crosses the rollover goes to both days.
+const { TIERS } = require('./classifier');
+
+// Interruption handling when no options are given: any interruption ends the
+// session, as before grace periods existed
+const DEFAULT_INTERRUPTION_OPTIONS = { graceSeconds: 0, countInterruptions: true };
+// Tracking intervals without a heartbeat after which the tracker is taken to
+// have stopped
+const UNTRACKED_GAP_INTERVALS = 3;
+// AFK marker types that end tracked time, and those that resume it
+const AWAY_MARKERS = ['start', 'shutdown', 'pause'];
+const BACK_MARKERS = ['end', 'startup', 'resume'];
+
+class WorkCalculator {
+  // Create an empty calculation state, optionally for a day's { start, end }
+  // bounds
+  createState(bounds = null) {
+    return {
+      dayStart: bounds ? bounds.start.toISOString() : null,
+      dayEnd: bounds ? bounds.end.toISOString() : null,
+      closedWorkSeconds: 0,
+      closedSessionsCount: 0,
+      hourlySeconds: Array(24).fill(0),
+      isAfk: false,
+      sessionStart: null,
+      segmentStart: null,
+      pendingBreak: null,
+      lastActivityId: 0,
+      lastTimestamp: null,
+      rowEnd: null,
+      tierSeconds: this.createTierTotals(),
+      categorySeconds: {},
+      currentTier: null,
+      currentCategory: null,
+      tierStart: null
+    };
+  }
+
+  // Create zeroed per-tier totals
+  createTierTotals() {
+    return Object.fromEntries(TIERS.map(tier => [tier, 0]));
+  }
+
+  // Read the interruption options from a config object
+  getInterruptionOptions(cfg = {}) {
+    const graceSeconds = Number(cfg.interruptionGraceSeconds);
+    return {
+      graceSeconds: graceSeconds > 0 ? graceSeconds : 0,
+      countInterruptions: cfg.countInterruptionTime !== false
+    };
+  }
+
+  // Read how long the current row may go without a heartbeat before the
+  // time since counts as untracked
+  getGapSeconds(cfg = {}) {
+    return (cfg.trackingIntervalSeconds || 30) * UNTRACKED_GAP_INTERVALS;
+  }
+
+  // Replay activity rows (in timestamp order) into the state.
+  // classify(activity) returns { tier, category } for a regular row; only
+  // productive rows count as work.
+  applyActivities(state, activities, classify, options = DEFAULT_INTERRUPTION_OPTIONS) {
+    for (const activity of activities) {
+      const timestamp = this.clipToDay(state, activity.timestamp);
+
+      // Untracked time since the previous row ended
+      if (state.rowEnd && new Date(timestamp) > new Date(state.rowEnd)) {
+        this.closeSession(state, state.rowEnd);
+        this.closeSpan(state, state.rowEnd);
+      }
+
+      state.lastActivityId = Math.max(state.lastActivityId, activity.id || 0);
+      state.lastTimestamp = timestamp;
+      state.rowEnd = this.clipToDay(state, this.getRowEnd(activity));
+
+      // Handle AFK events and tracker shutdown/startup markers
+      if (activity.is_afk) {
+        if (AWAY_MARKERS.includes(activity.afk_type)) {
+          if (!state.isAfk) {
+            this.closeSession(state, timestamp);
+            this.closeSpan(state, timestamp);
+          }
+          state.isAfk = true;
+        } else if (BACK_MARKERS.includes(activity.afk_type)) {
+          // A startup without a shutdown follows a crash
+          if (activity.afk_type === 'startup') {
+            this.closeSession(state, timestamp);
+            this.closeSpan(state, timestamp);
+          }
+          state.isAfk = false;
+        }
+        continue;
+      }
+
+      // Skip if user is AFK
+      if (state.isAfk) continue;
+
+      const { tier, category } = classify(activity);
+      this.closeSpan(state, timestamp);
+      state.currentTier = tier;
+      state.currentCategory = category || null;
+      state.tierStart = timestamp;
+
+      if (tier === 'productive') {
+        this.resumeSession(state, timestamp, options);
+      } else {
+        this.interruptSession(state, timestamp, options);
+      }
+    }
+
+    return state;
+  }
+
+  // End time of a row with a recorded duration, or null for AFK markers and
+  // rows that last until the next one
+  getRowEnd(activity) {
+    if (activity.is_afk || activity.duration_seconds === null || activity.duration_seconds === undefined) {
+      return null;
+    }
+    const start = new Date(activity.timestamp).getTime();
+    return new Date(start + Math.round(activity.duration_seconds * 1000)).toISOString();
+  }
+
+  // Clamp a timestamp to the bounds of the state's day, if it has them
+  clipToDay(state, timestamp) {
+    if (!timestamp) return timestamp;
+    if (state.dayStart && new Date(timestamp) < new Date(state.dayStart)) return state.dayStart;
+    if (state.dayEnd && new Date(timestamp) > new Date(state.dayEnd)) return state.dayEnd;
+    return timestamp;
+  }
+
+  // Handle a productive row: start a session, or carry the open one on
+  // past an interruption that ended within the grace period
+  resumeSession(state, timestamp, options) {
+    if (!state.sessionStart) {
+      state.sessionStart = timestamp;
+      state.segmentStart = timestamp;
+      return;
+    }
+
+    if (!state.pendingBreak) return;
+
+    const interruption = (new Date(timestamp) - new Date(state.pendingBreak)) / 1000;
+    if (interruption > options.graceSeconds) {
+      this.closeSession(state, state.pendingBreak);
+      state.sessionStart = timestamp;
+      state.segmentStart = timestamp;
+      return;
+    }
+
+    if (!options.countInterruptions) {
+      this.creditSegment(state, state.pendingBreak);
+      state.segmentStart = timestamp;
+    }
+    state.pendingBreak = null;
+  }
+
+  // Handle a non-productive row: hold the session open for the grace
+  // period, or end it once the interruption has outlasted it
+  interruptSession(state, timestamp, options) {
+    if (!state.sessionStart) return;
+
+    if (!state.pendingBreak) {
+      if (options.graceSeconds > 0) {
+        state.pendingBreak = timestamp;
+      } else {
+        this.closeSession(state, timestamp);
+      }
+      return;
+    }
+
+    if ((new Date(timestamp) - new Date(state.pendingBreak)) / 1000 > options.graceSeconds) {
+      this.closeSession(state, timestamp);
+    }
+  }
+
+  // Close the open session, crediting its last segment. A session with an
+  // interruption pending ended when the interruption began.
+  closeSession(state, endTimestamp) {
+    if (!state.sessionStart) return;
+
+    const end = state.pendingBreak || endTimestamp;
+    this.creditSegment(state, end);
+
+    if (new Date(end) > new Date(state.sessionStart)) {
+      state.closedSessionsCount++;
+    }
+
+    state.sessionStart = null;
+    state.segmentStart = null;
+    state.pendingBreak = null;
+  }
+
+  // Credit the work time from the start of the current segment up to end
+  creditSegment(state, endTimestamp) {
+    const start = new Date(state.segmentStart || state.sessionStart);
+    const end = new Date(endTimestamp);
+
+    if (end > start) {
+      state.closedWorkSeconds += (end - start) / 1000;
+      this.addToHours(state.hourlySeconds, start, end);
+    }
+  }
+
+  // Credit the time since the current row started to its tier and category
+  closeSpan(state, endTimestamp) {
+    if (state.currentTier && state.tierStart) {
+      const duration = (new Date(endTimestamp) - new Date(state.tierStart)) / 1000;
+      this.creditSpan(state.tierSeconds, state.categorySeconds, state.currentTier, state.currentCategory, duration);
+    }
+
+    state.currentTier = null;
+    state.currentCategory = null;
+    state.tierStart = null;
+  }
+
+  // Add a span's duration to the tier and category totals
+  creditSpan(tierSeconds, categorySeconds, tier, category, duration) {
+    if (duration <= 0) return;
+
+    tierSeconds[tier] += duration;
+    if (category) {
+      categorySeconds[category] = (categorySeconds[category] || 0) + duration;
+    }
+  }
+
+  // Weight per-tier totals into a single focus figure
+  getWeightedSeconds(tierSeconds, weights = {}) {
+    return TIERS.reduce((sum, tier) => {
+      const weight = typeof weights[tier] === 'number' ? weights[tier] : (tier === 'productive' ? 1 : 0);
+      return sum + (tierSeconds[tier] || 0) * weight;
+    }, 0);
+  }
+
+  // Produce totals for the day without modifying the state.
+  // A session still open today runs up to now, unless the last row stopped
+  // growing more than gapSeconds ago; on past days it ends where the last
+  // row does. Either way it stops at an unresolved interruption.
+  finalize(state, { isToday = false, now = new Date(), interruptions = DEFAULT_INTERRUPTION_OPTIONS, gapSeconds = Infinity } = {}) {
+    let totalWorkSeconds = state.closedWorkSeconds;
+    let sessionsCount = state.closedSessionsCount;
+    const hourlySeconds = [...state.hourlySeconds];
+    const tierSeconds = { ...state.tierSeconds };
+    const categorySeconds = { ...state.categorySeconds };
+    const stopped = isToday && state.rowEnd && (now - new Date(state.rowEnd)) / 1000 > gapSeconds;
+    const end = isToday && !stopped ? now : new Date(state.rowEnd || state.lastTimestamp);
+
+    if (state.sessionStart && !state.isAfk) {
+      const sessionEnd = state.pendingBreak ? new Date(state.pendingBreak) : end;
+      const start = new Date(state.segmentStart || state.sessionStart);
+      const duration = (sessionEnd - start) / 1000;
+
+      if (duration > 0) {
+        totalWorkSeconds += duration;
+        this.addToHours(hourlySeconds, start, sessionEnd);
+      }
+
+      // An ongoing session today is not counted until it ends
+      const hasEnded = !isToday || stopped ||
+        (state.pendingBreak && (now - new Date(state.pendingBreak)) / 1000 > interruptions.graceSeconds);
+      if (hasEnded && sessionEnd > new Date(state.sessionStart)) {
+        sessionsCount++;
+      }
+    }
+
+    if (state.currentTier && state.tierStart && !state.isAfk) {
+      const duration = (end - new Date(state.tierStart)) / 1000;
+      this.creditSpan(tierSeconds, categorySeconds, state.currentTier, state.currentCategory, duration);
+    }
+
+    return {
+      totalWorkSeconds,
+      sessionsCount,
+      hourlySeconds,
+      tierSeconds,
+      categorySeconds,
+      sessions: []
+    };
+  }
+
+  // Add manual entries to a day's totals, clipped to the day's { start, end }
+  // bounds. Entries are productive work, and each one is a session.
+  addManualEntries(result, entries, bounds) {
+    result.manualSeconds = 0;
+
+    for (const entry of entries) {
+      const start = new Date(Math.max(new Date(entry.start_time), bounds.start));
+      const end = new Date(Math.min(new Date(entry.end_time), bounds.end));
+      if (end <= start) continue;
+
+      const seconds = (end - start) / 1000;
+      result.totalWorkSeconds += seconds;
+      result.manualSeconds += seconds;
+      result.sessionsCount++;
+      this.addToHours(result.hourlySeconds, start, end);
+      this.creditSpan(result.tierSeconds, result.categorySeconds, 'productive', entry.category, seconds);
+    }
+
+    return result;
+  }
+
+  // Find the stretches of a day's rows (in timestamp order) when nothing was
+  // tracked: from the end of a row to a later start, from a shutdown marker
+  // to the next row and, today, from a row that stopped growing (or a
+  // shutdown) up to now. Only gaps longer than gapSeconds are returned, as
+  // [{ start, end, seconds }]; AFK time isn't a gap.
+  getUntrackedGaps(activities, { isToday = false, now = new Date(), gapSeconds = 0 } = {}) {
+    const gaps = [];
+    let isAfk = false;
+    let rowEnd = null;
+    let stoppedAt = null;
+
+    const addGap = (start, end) => {
+      const seconds = (new Date(end) - new Date(start)) / 1000;
+      if (seconds > gapSeconds) {
+        gaps.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString(), seconds });
+      }
+    };
+
+    for (const activity of activities) {
+      if (stoppedAt) {
+        addGap(stoppedAt, activity.timestamp);
+        stoppedAt = null;
+      } else if (!isAfk && rowEnd && new Date(activity.timestamp) > new Date(rowEnd)) {
+        addGap(rowEnd, activity.timestamp);
+      }
+
+      rowEnd = this.getRowEnd(activity);
+      if (!activity.is_afk) continue;
+
+      if (activity.afk_type === 'shutdown') {
+        stoppedAt = activity.timestamp;
+      }
+      isAfk = AWAY_MARKERS.includes(activity.afk_type) ||
+        (isAfk && !BACK_MARKERS.includes(activity.afk_type));
+    }
+
+    if (isToday) {
+      const start = stoppedAt || (!isAfk && rowEnd);
+      if (start && new Date(now) > new Date(start)) {
+        addGap(start, now);
+      }
+    }
+
+    return gaps;
+  }
+
+  // Find the stretches of a day's rows (in timestamp order) when tracking was
+  // paused, as [{ start, end, seconds }] clipped to the day's bounds. A
+  // pause ends at the next resume or startup marker, or when its planned
+  // length runs out; today an open pause runs up to now.
+  getPausedPeriods(activities, bounds, { isToday = false, now = new Date() } = {}) {
+    const periods = [];
+    let pause = null;
+    let seenRow = false;
+
+    const addPeriod = (start, end) => {
+      const clippedStart = new Date(Math.max(new Date(start), bounds.start));
+      const clippedEnd = new Date(Math.min(new Date(end), bounds.end));
+      if (clippedEnd > clippedStart) {
+        periods.push({
+          start: clippedStart.toISOString(),
+          end: clippedEnd.toISOString(),
+          seconds: (clippedEnd - clippedStart) / 1000
+        });
+      }
+    };
+    const getPauseEnd = (timestamp) => {
+      if (pause.duration_seconds === null || pause.duration_seconds === undefined) return timestamp;
+      const plannedEnd = new Date(pause.timestamp).getTime() + pause.duration_seconds * 1000;
+      return new Date(Math.min(new Date(timestamp).getTime(), plannedEnd));
+    };
+
+    for (const activity of activities) {
+      if (activity.is_afk && activity.afk_type === 'pause') {
+        if (!pause) pause = activity;
+      } else if (activity.is_afk && ['resume', 'startup'].includes(activity.afk_type)) {
+        if (pause) {
+          addPeriod(pause.timestamp, getPauseEnd(activity.timestamp));
+          pause = null;
+        } else if (activity.afk_type === 'resume' && !seenRow) {
+          // Paused since before the day began
+          addPeriod(bounds.start, activity.timestamp);
+        }
+      }
+      seenRow = true;
+    }
+
+    if (pause) {
+      addPeriod(pause.timestamp, getPauseEnd(isToday ? now : bounds.end));
+    }
+
+    return periods;
+  }
+
+  // Spread the time between start and end over local clock-hour buckets
+  addToHours(hourlySeconds, start, end) {
+    let current = new Date(start);
+
+    while (current < end) {
+      let nextHour = new Date(current);
+      nextHour.setMinutes(60, 0, 0);
+      // Guard against the repeated hour when clocks fall back
+      if (nextHour <= current) {
+        nextHour = new Date(current.getTime() + 3600000);
+      }
+
+      const segmentEnd = nextHour < end ? nextHour : end;
+      hourlySeconds[current.getHours()] += (segmentEnd - current) / 1000;
+      current = segmentEnd;
+    }
+
+    return hourlySeconds;
+  }
+}
+
+// Singleton instance
+const workCalculator = new WorkCalculator();
+
+module.exports = {
+  WorkCalculator,
+  calculator: workCalculator,
+  DEFAULT_INTERRUPTION_OPTIONS,
+  AWAY_MARKERS,
+  BACK_MARKERS
+};
@@ -1,6 +1,8 @@
 // workTracker.js - Common module for work tracking functionality
 const { config } = require('./config');
 const { db } = require('./database');
+const { days } = require('./dayBoundary');
+const { TIERS } = require('./classifier');
 
 // Get productive apps from config
 function getProductiveApps() {
@@ -16,9 +18,7 @@ function getProductiveWebsites() {
 
 // Function to analyze work time from the database
 async function analyzeWorkTime(logFilePath, targetDate = null) {
-  const date = targetDate || new Date().toISOString().split('T')[0];
-  const productiveApps = getProductiveApps();
-  const productiveWebsites = getProductiveWebsites();
+  const date = targetDate || days.getToday();
 
   // Ensure database is available
   if (!db.isAvailable()) {
@@ -30,7 +30,7 @@ async function analyzeWorkTime(logFilePath, targetDate = null) {
     return createEmptyResult(date);
   }
 
-  const dbResult = db.calculateWorkTimeForDate(date, productiveApps, productiveWebsites);
+  const dbResult = db.calculateWorkTimeForDate(date);
   if (!dbResult) {
     return createEmptyResult(date);
   }
@@ -38,6 +38,7 @@ async function analyzeWorkTime(logFilePath, targetDate = null) {
   const hours = Math.floor(dbResult.totalWorkSeconds / 3600);
   const minutes = Math.floor((dbResult.totalWorkSeconds % 3600) / 60);
   const seconds = Math.floor(dbResult.totalWorkSeconds % 60);
+  const meetingSeconds = dbResult.meetingSeconds || 0;
 
   return {
     date,
@@ -50,10 +51,35 @@ async function analyzeWorkTime(logFilePath, targetDate = null) {
     formattedWorkTime: `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`,
     shortFormattedWorkTime: `${hours}h ${minutes}m`,
     sessionsCount: dbResult.sessionsCount,
-    sessions: dbResult.sessions || []
+    sessions: dbResult.sessions || [],
+    tiers: formatTiers(dbResult.tierSeconds),
+    weightedSeconds: dbResult.weightedSeconds || 0,
+    // Part of the total that comes from manual entries
+    manualSeconds: dbResult.manualSeconds || 0,
+    // The total split into meetings and the rest
+    meetingTime: formatSeconds(meetingSeconds),
+    focusTime: formatSeconds(Math.max(0, dbResult.totalWorkSeconds - meetingSeconds))
   };
 }
 
+// Format seconds as { totalSeconds, formatted: '1h 20m' }
+function formatSeconds(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  return { totalSeconds, formatted: `${hours}h ${minutes}m` };
+}
+
+// Format per-tier seconds as { productive: { totalSeconds, formatted }, ... }
+function formatTiers(tierSeconds = {}) {
+  const tiers = {};
+
+  for (const tier of TIERS) {
+    tiers[tier] = formatSeconds(tierSeconds[tier] || 0);
+  }
+
+  return tiers;
+}
+
 // Create an empty result for when there's no data
 function createEmptyResult(date) {
   return {
@@ -62,20 +88,23 @@ function createEmptyResult(date) {
     formattedWorkTime: '00:00:00',
     shortFormattedWorkTime: '0h 0m',
     sessionsCount: 0,
-    sessions: []
+    sessions: [],
+    tiers: formatTiers(),
+    weightedSeconds: 0,
+    manualSeconds: 0,
+    meetingTime: formatSeconds(0),
+    focusTime: formatSeconds(0)
   };
 }
 
 // Function to get analysis for multiple days
-async function getWorkSummary(logFilePath, days = 7) {
+async function getWorkSummary(logFilePath, dayCount = 7) {
   try {
     const summaries = [];
-    const today = new Date();
+    const today = days.getToday();
 
-    for (let i = 0; i < days; i++) {
-      const date = new Date();
-      date.setDate(today.getDate() - i);
-      const dateString = date.toISOString().split('T')[0];
+    for (let i = 0; i < dayCount; i++) {
+      const dateString = days.addDays(today, -i);
 
       const summary = await analyzeWorkTime(logFilePath, dateString);
       summaries.push(summary);
@@ -88,6 +117,29 @@ async function getWorkSummary(logFilePath, days = 7) {
   }
 }
 
+// Bring the cached summary for a date up to date and store it
+async function refreshDailySummary(date) {
+  const result = await analyzeWorkTime(null, date);
+
+  // Don't create empty summary rows for days without any work
+  if (result.totalWorkTime.totalSeconds > 0 || result.sessionsCount > 0) {
+    updateDailySummaryInDB(date, result.totalWorkTime.totalSeconds, result.sessionsCount);
+  }
+
+  return result;
+}
+
+// Refresh the summaries for every day in a range (cheap for cached days)
+async function refreshDailySummaries(startDate, endDate) {
+  const results = [];
+
+  for (const date of days.getDateKeysInRange(startDate, endDate)) {
+    results.push(await refreshDailySummary(date));
+  }
+
+  return results;
+}
+
 // Get daily goal progress
 function getDailyGoalProgress(totalWorkSeconds) {
   const cfg = config.getAll();
@@ -124,6 +176,8 @@ function updateDailySummaryInDB(date, totalWorkSeconds, sessionsCount) {
 module.exports = {
   analyzeWorkTime,
   getWorkSummary,
+  refreshDailySummary,
+  refreshDailySummaries,
   getDailyGoalProgress,
   updateDailySummaryInDB,
   getProductiveApps,